@@ -0,0 +1,614 @@
+/**
+ * How Wet is AI? - Background service worker
+ *
+ * The single source of truth for recorded prompts. Content scripts in any
+ * supported chat tab (ChatGPT, Claude, Gemini, ...) report what they capture,
+ * and the worker calculates the energy with the shared estimator and the saved
+ * settings, stores it, and answers the popup's queries, so statistics work
+ * whichever tab is focused.
+ *
+ * Messages (chrome.runtime.sendMessage):
+ * - promptCaptured: A prompt was seen on the page; records it unless its message already was
+ * - responseMeasured: A prompt's reply finished; recalculates with its real size, or records
+ *   a regeneration if the prompt was already measured with a different reply
+ *
+ * Both may carry attachments (uploaded images and files, voice, generated images),
+ * which are stored with the entry and charged with the estimator's attachment factors.
+ * Prompts also carry the code pasted into them, counted apart from their text, and
+ * replies the time a reasoning model showed it thought for. Every prompt is also
+ * charged for re-reading the earlier turns of its conversation as context, and
+ * stored with the conversation's title and address for the popup's conversation view
+ * - getHistory: All recorded prompts, oldest first
+ * - getStats: Aggregated energy and water for a period (or custom dates), with the
+ *   period before it for comparison
+ * - getTimeSeries: Energy, water and prompts per day or week, for the popup's charts
+ * - getConversations: History grouped by conversation, with per-conversation totals
+ * - searchHistory: One page of the prompts matching the Prompts tab's search and filters
+ * - deleteEntries: Delete single entries; deleted prompts aren't recorded again
+ * - redactEntries: Replace entries' text with its hash, keeping their figures
+ * - importLegacyHistory: One-time migration of a page's localStorage history
+ * - clearHistory: Delete all history and tell open chat tabs
+ *
+ * Ports (chrome.runtime.connect):
+ * - recomputeHistory: Re-run the current estimator over all history, reporting progress
+ *
+ * Whenever the history or the budgets set on the options page change, and at
+ * midnight, the toolbar badge is updated with what is left of the tightest
+ * budget, or the water used today without budgets (see badge.js), and a notification is sent when a budget is 80% and 100% used
+ * (see budgets.js).
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+import {
+  getAllEntries, getEntry, getConversationEntries, putEntries, updateEntries, deleteEntries, isDeleted, clearEntries, redactEntry, prepareLegacyEntries
+} from './historyStore.js';
+import { computeStats, computeTimeSeries, getLocaleWeekStart } from './historyStats.js';
+import { BUDGET_PERIODS, getBudgetProgress, getNewThreshold, describeBudget } from './budgets.js';
+import { PERCENTILE_HISTORY_DAYS, getBadgeState } from './badge.js';
+import { getContextTokens, groupConversations } from './conversations.js';
+import { prepareCapturedPrompt, updateConversationInfo } from './capturedPrompts.js';
+import { searchHistory } from './historySearch.js';
+import {
+  calculateEnergy, countTokens, countCodeTokens, getTokenizer, getModelProfile, METHODOLOGY_VERSION
+} from './estimator/index.js';
+
+// Pages where the content script records prompts
+const CHAT_TAB_URLS = chrome.runtime.getManifest().content_scripts.flatMap(script => script.matches);
+
+// Actions after which the badge and budgets are updated
+const BADGE_ACTIONS = new Set(['promptCaptured', 'responseMeasured', 'deleteEntries', 'importLegacyHistory', 'clearHistory']);
+
+// Alarm that starts the badge afresh at midnight
+const BADGE_ALARM = 'refreshBadge';
+
+// Badge updates run one after the other, so a budget threshold is never notified twice
+let badgeUpdate = Promise.resolve();
+
+// Number of history entries recomputed between saves and progress updates
+const RECOMPUTE_CHUNK_SIZE = 50;
+let recomputeInProgress = false;
+
+// Actions that change the history; they run one at a time, and between the chunks of a recompute
+const HISTORY_WRITE_ACTIONS = new Set([
+  'promptCaptured', 'responseMeasured', 'deleteEntries', 'redactEntries', 'importLegacyHistory', 'clearHistory'
+]);
+let historyWrite = Promise.resolve();
+
+/**
+ * Load the bundled vocabulary a model counts tokens in
+ *
+ * Each vocabulary is only loaded the first time one of its models is seen
+ *
+ * INPUT: model - Model slug, e.g. "gpt-4o", provider - Chat site id, for models that aren't known
+ * OUTPUT: Promise resolving to the encoding to pass to countTokens(); approximate
+ *         counts are used if its vocabulary fails to load
+ */
+async function loadModelTokenizer(model, provider) {
+  const { encoding } = getModelProfile(model, provider);
+  try {
+    await getTokenizer(encoding);
+  } catch (error) {
+    console.error(`Error loading the ${encoding} BPE tokenizer, falling back to approximate token counts:`, error);
+  }
+  return encoding;
+}
+
+/**
+ * Read the settings chosen on the options page
+ *
+ * Read on every use, since the worker may be restarted at any time
+ *
+ * INPUT: None
+ * OUTPUT: Promise resolving to { region, coefficients } (either may be missing)
+ */
+async function getEstimationSettings() {
+  const { estimationSettings } = await chrome.storage.local.get('estimationSettings');
+  return estimationSettings || {};
+}
+
+/**
+ * Get all attachments of a history entry, those sent with the prompt and those of its reply
+ *
+ * INPUT: entry - History entry
+ * OUTPUT: Array of attachments for calculateEnergy (empty for text-only entries)
+ * EXAMPLE: getEntryAttachments({ attachments: [{ type: "image" }], responseAttachments: [{ type: "generatedImage" }] })
+ *          // Returns [{ type: "image" }, { type: "generatedImage" }]
+ */
+function getEntryAttachments(entry) {
+  return [...(entry.attachments || []), ...(entry.responseAttachments || [])];
+}
+
+/**
+ * Calculate the energy of a prompt with the saved settings
+ *
+ * INPUT: prompt - Prompt text, options - { code, contextTokens, responseTokens, reasoningSeconds, model,
+ *        provider, region, attachments }, where code is the prompt's code blocks and the rest go to calculateEnergy
+ * OUTPUT: Promise resolving to the energyData object
+ */
+async function estimatePrompt(prompt, { code, ...options }) {
+  const [settings, encoding] = await Promise.all([getEstimationSettings(), loadModelTokenizer(options.model, options.provider)]);
+
+  return calculateEnergy(prompt, countTokens(prompt, encoding), {
+    region: settings.region,
+    ...options,
+    codeTokens: countCodeTokens(code, encoding),
+    coefficients: settings.coefficients
+  });
+}
+
+/**
+ * History request handlers, keyed by message action
+ *
+ * INPUT: request - Message with the action's arguments
+ * OUTPUT: Promise resolving to the response sent back to the caller
+ * EXAMPLE: historyHandlers.getHistory({ action: "getHistory" }) // Resolves to { history: [...] }
+ */
+const historyHandlers = {
+  async promptCaptured(request) {
+    const { existing, deleted, entry } = await prepareCapturedPrompt(request, { getEntry, isDeleted });
+    if (existing) {
+      if (updateConversationInfo(existing, request)) {
+        await putEntries([existing]);
+      }
+      return { recorded: false, entry: existing };
+    }
+    if (deleted) {
+      return { recorded: false, deleted: true };
+    }
+
+    // The earlier turns of the conversation are processed again with this prompt
+    const conversation = entry.conversationId ? await getConversationEntries(entry.conversationId) : [];
+    entry.contextTokens = getContextTokens(entry, conversation);
+    entry.energyData = await estimatePrompt(entry.prompt, {
+      code: entry.code,
+      contextTokens: entry.contextTokens,
+      model: entry.model,
+      provider: entry.provider,
+      attachments: entry.attachments
+    });
+    entry.region = entry.energyData.region; // Data center region selected when the prompt was sent
+
+    await putEntries([entry]);
+    return { recorded: true, entry };
+  },
+
+  async responseMeasured(request) {
+    const entry = await getEntry(request.id);
+    if (!entry) {
+      if (await isDeleted(request.id)) {
+        return { recorded: false, deleted: true };
+      }
+      throw new Error(`Unknown prompt ${request.id}`);
+    }
+
+    const renamed = updateConversationInfo(entry, request);
+    if (entry.redacted) {
+      // Without its text the prompt can't be estimated again, e.g. for a regenerated reply
+      if (renamed) {
+        await putEntries([entry]);
+      }
+      return { recorded: false, entry };
+    }
+    const measured = entry.energyData && entry.energyData.observedResponseTokens != null;
+    if (!measured) {
+      await measureResponse(entry, request);
+      await putEntries([entry]);
+      return { recorded: true, entry };
+    }
+
+    // The reply the prompt was measured with, seen again after a reload or branch switch
+    if (!entry.responseMessageId || !request.responseMessageId || entry.responseMessageId === request.responseMessageId) {
+      const identified = !entry.responseMessageId && request.responseMessageId;
+      if (identified) {
+        entry.responseMessageId = request.responseMessageId; // Measured before replies were identified
+      }
+      if (identified || renamed) {
+        await putEntries([entry]);
+      }
+      return { recorded: false, entry };
+    }
+
+    // A different reply to a measured prompt is a regeneration, unless it was already recorded
+    const existing = await getEntry(request.responseMessageId);
+    if (existing || await isDeleted(request.responseMessageId)) {
+      if (renamed) {
+        await putEntries([entry]);
+      }
+      return { recorded: false, entry: existing || entry };
+    }
+
+    const regeneration = {
+      id: request.responseMessageId,
+      conversationId: entry.conversationId,
+      conversationTitle: entry.conversationTitle,
+      conversationUrl: entry.conversationUrl,
+      messageId: entry.messageId,
+      kind: 'regeneration',
+      parentId: entry.parentId || entry.id,
+      timestamp: new Date().toISOString(),
+      prompt: entry.prompt,
+      code: entry.code,
+      attachments: entry.attachments, // The prompt's attachments are read again for every generation
+      contextTokens: entry.contextTokens, // And so is the conversation before it
+      model: entry.model,
+      region: entry.region,
+      source: entry.source,
+      provider: entry.provider,
+      providerName: entry.providerName
+    };
+    await measureResponse(regeneration, request);
+    await putEntries(renamed ? [entry, regeneration] : [regeneration]);
+    return { recorded: true, entry: regeneration };
+  },
+
+  async getHistory() {
+    return { history: await getAllEntries() };
+  },
+
+  async getStats(request) {
+    const [history, settings] = await Promise.all([getAllEntries(), getEstimationSettings()]);
+    const options = { from: request.from, to: request.to, weekStart: request.weekStart || 0 };
+    return { stats: computeStats(history, request.period, settings.coefficients || null, new Date(), options) };
+  },
+
+  async getTimeSeries(request) {
+    const [history, settings] = await Promise.all([getAllEntries(), getEstimationSettings()]);
+    return {
+      series: computeTimeSeries(history, request.bucket, request.count, settings.coefficients || null, new Date(), request.weekStart || 0)
+    };
+  },
+
+  async getConversations() {
+    const [history, settings] = await Promise.all([getAllEntries(), getEstimationSettings()]);
+    return { conversations: groupConversations(history, settings.coefficients || null) };
+  },
+
+  async searchHistory(request) {
+    const [history, settings] = await Promise.all([getAllEntries(), getEstimationSettings()]);
+    return searchHistory(history, request.query || {}, settings.coefficients || null);
+  },
+
+  async deleteEntries(request) {
+    const ids = request.ids || [];
+    await deleteEntries(ids);
+    await notifyChatTabs({ action: 'historyChanged' });
+    return { success: true, deleted: ids.length };
+  },
+
+  async redactEntries(request) {
+    // Regenerations repeat their prompt's text, so they are redacted with it
+    const selected = new Set(request.ids || []);
+    const history = await getAllEntries();
+    const messageIds = new Set(history.filter(entry => selected.has(entry.id) && entry.messageId).map(entry => entry.messageId));
+    const targets = history.filter(entry =>
+      !entry.redacted && (selected.has(entry.id) || (entry.messageId && messageIds.has(entry.messageId))));
+
+    const redacted = await Promise.all(targets.map(async entry => redactEntry(entry, {
+      promptHash: await hashText(entry.prompt || ''),
+      codeHash: entry.code ? await hashText(entry.code) : null
+    })));
+    await putEntries(redacted);
+    await notifyChatTabs({ action: 'historyChanged' });
+    return { success: true, redacted: redacted.length };
+  },
+
+  async importLegacyHistory(request) {
+    const entries = prepareLegacyEntries(request.entries, request.source);
+    await putEntries(entries);
+    console.log(`Imported ${entries.length} prompts from ${request.source} localStorage`);
+    return { success: true, imported: entries.length };
+  },
+
+  async clearHistory() {
+    await clearEntries();
+    await notifyChatTabs({ action: 'historyCleared' });
+    return { success: true };
+  }
+};
+
+/**
+ * Hash a prompt's text for redaction
+ *
+ * INPUT: text - Prompt text or code
+ * OUTPUT: Promise resolving to 'sha256:' and the hex digest of the UTF-8 text
+ * EXAMPLE: await hashText('test') // Resolves to 'sha256:9f86d081884c7d65...'
+ */
+async function hashText(text) {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+  const hex = Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+  return `sha256:${hex}`;
+}
+
+/**
+ * Calculate a prompt's energy with the size of the reply it got
+ *
+ * INPUT: entry - History entry (updated in place), request - responseMeasured message
+ * OUTPUT: Promise resolving once the entry holds the reply's energy data
+ */
+async function measureResponse(entry, request) {
+  entry.model = request.model || entry.model;
+  const encoding = await loadModelTokenizer(entry.model, entry.provider);
+  entry.responseMessageId = request.responseMessageId || null;
+  entry.responseAttachments = request.attachments || []; // Generated images and spoken replies
+  entry.reasoningSeconds = request.reasoningSeconds || null; // "Thought for N seconds" shown with the reply
+  entry.energyData = await estimatePrompt(entry.prompt, {
+    code: entry.code,
+    contextTokens: entry.contextTokens,
+    responseTokens: countTokens(request.responseText, encoding),
+    reasoningSeconds: entry.reasoningSeconds,
+    model: entry.model,
+    provider: entry.provider,
+    region: entry.region,
+    attachments: getEntryAttachments(entry)
+  });
+}
+
+/**
+ * Send a message to every open tab of a supported chat site
+ *
+ * INPUT: message - Message for the content scripts
+ * OUTPUT: Promise resolving once all tabs were messaged
+ *
+ * Tabs without a running content script are ignored
+ */
+async function notifyChatTabs(message) {
+  const tabs = await chrome.tabs.query({ url: CHAT_TAB_URLS });
+  await Promise.all(tabs.map(tab => chrome.tabs.sendMessage(tab.id, message).catch(() => {})));
+}
+
+/**
+ * Queue a change to the history after the ones already running
+ *
+ * Changes read entries, calculate and write them back; running them one at a
+ * time keeps one from overwriting what another saved in between
+ *
+ * INPUT: write - Function returning a promise that resolves once its change is stored
+ * OUTPUT: Promise resolving or rejecting like write's; a failed change doesn't stop the ones after it
+ */
+function queueHistoryWrite(write) {
+  const result = historyWrite.then(write);
+  historyWrite = result.catch(() => {});
+  return result;
+}
+
+/**
+ * Re-run the current estimator over one stored prompt
+ *
+ * The capture-time energyData is kept as originalEnergyData for audit; measured
+ * facts (observed reply size and thinking time, model, attachments) are carried over,
+ * the context is recounted from the conversation's current figures, and the region
+ * selected now replaces the one the prompt was sent with (still in originalEnergyData)
+ *
+ * INPUT: entry - Stored history entry (updated in place), settings - Saved estimation settings,
+ *        conversation - All entries of the entry's conversation (empty if it has none)
+ * OUTPUT: None
+ */
+function recomputeEntry(entry, settings, conversation) {
+  if (entry.redacted) return; // Its text is gone; the figures are kept as they are
+  const attachments = getEntryAttachments(entry);
+  if (!entry.prompt && !entry.code && attachments.length === 0) return;
+
+  const previous = entry.energyData || {};
+  if (!entry.originalEnergyData) {
+    entry.originalEnergyData = entry.energyData || null;
+  }
+
+  const { encoding } = getModelProfile(entry.model, entry.provider);
+  entry.contextTokens = getContextTokens(entry, conversation);
+  entry.energyData = calculateEnergy(entry.prompt, countTokens(entry.prompt, encoding), {
+    responseTokens: previous.observedResponseTokens,
+    codeTokens: countCodeTokens(entry.code, encoding),
+    contextTokens: entry.contextTokens,
+    reasoningSeconds: entry.reasoningSeconds,
+    model: entry.model,
+    provider: entry.provider,
+    region: settings.region,
+    attachments,
+    coefficients: settings.coefficients
+  });
+  entry.region = entry.energyData.region;
+  entry.recomputedAt = new Date().toISOString();
+}
+
+/**
+ * Recompute all stored prompts in chunks
+ *
+ * Prompts can be captured, measured, deleted or redacted while a recompute
+ * runs, so each chunk is queued with the other history changes and recomputes
+ * the entries as they are stored at that point, skipping deleted ones
+ *
+ * INPUT: onProgress - Called with (done, total) after each chunk is saved
+ * OUTPUT: Promise resolving to the number of prompts recomputed
+ */
+async function recomputeHistory(onProgress) {
+  const [history, settings] = await Promise.all([getAllEntries(), getEstimationSettings()]);
+  const ids = history.map(entry => entry.id);
+  const total = ids.length;
+
+  // Every vocabulary the stored prompts' models count in is loaded before counting
+  const models = new Map(history.map(entry => [`${entry.provider}:${entry.model}`, entry]));
+  await Promise.all([...models.values()].map(entry => loadModelTokenizer(entry.model, entry.provider)));
+
+  // Entries of each conversation by id; history is oldest first, so replacing
+  // them as they are recomputed gives each turn the recomputed earlier turns as context
+  const conversations = new Map();
+  const getConversation = conversationId => {
+    if (!conversations.has(conversationId)) conversations.set(conversationId, new Map());
+    return conversations.get(conversationId);
+  };
+  history.forEach(entry => {
+    if (entry.conversationId) getConversation(entry.conversationId).set(entry.id, entry);
+  });
+
+  for (let start = 0; start < total; start += RECOMPUTE_CHUNK_SIZE) {
+    const chunk = ids.slice(start, start + RECOMPUTE_CHUNK_SIZE);
+    const recomputed = await queueHistoryWrite(() => updateEntries(chunk, entry => {
+      const conversation = entry.conversationId ? getConversation(entry.conversationId) : new Map();
+      recomputeEntry(entry, settings, [...conversation.values()]);
+      if (entry.conversationId) conversation.set(entry.id, entry);
+    }));
+
+    // Entries deleted since the recompute started are no longer anyone's context
+    const found = new Set(recomputed.map(entry => entry.id));
+    chunk.filter(id => !found.has(id)).forEach(id => conversations.forEach(conversation => conversation.delete(id)));
+    onProgress(Math.min(start + RECOMPUTE_CHUNK_SIZE, total), total);
+  }
+
+  console.log(`Recomputed ${total} prompts with methodology version ${METHODOLOGY_VERSION}`);
+  return total;
+}
+
+/**
+ * Run a recompute requested by the popup, reporting progress over its port
+ *
+ * The recompute carries on if the popup is closed midway
+ *
+ * INPUT: port - Port opened by the popup
+ * OUTPUT: Progress, done and error messages posted to the port
+ */
+function handleRecomputeConnection(port) {
+  let connected = true;
+  port.onDisconnect.addListener(() => { connected = false; });
+  const send = message => { if (connected) port.postMessage(message); };
+
+  if (recomputeInProgress) {
+    send({ type: 'error', message: 'A recompute is already running' });
+    return;
+  }
+
+  recomputeInProgress = true;
+  recomputeHistory((done, total) => send({ type: 'progress', done, total }))
+    .then(total => {
+      send({ type: 'done', total, methodologyVersion: METHODOLOGY_VERSION });
+      scheduleBadgeUpdate();
+    })
+    .catch(error => {
+      console.error('Error recomputing history:', error);
+      send({ type: 'error', message: error.message });
+    })
+    .finally(() => { recomputeInProgress = false; });
+}
+
+/**
+ * Send a notification for each budget threshold newly crossed
+ *
+ * INPUT: progress - Progress of every budget set, alerts - Saved alerts (see getNewThreshold())
+ * OUTPUT: Promise resolving once the notifications are sent and the alerts saved
+ */
+async function notifyBudgets(progress, alerts) {
+  const updated = { ...alerts };
+  let changed = false;
+
+  for (const item of progress) {
+    const threshold = getNewThreshold(item, updated);
+    if (threshold === null) continue;
+
+    updated[`${item.period}.${item.metric}`] = { periodStart: item.periodStart, threshold };
+    changed = true;
+    // The same id for a budget's period, so "used up" replaces its 80% notification
+    await chrome.notifications.create(`budget-${item.period}-${item.metric}-${item.periodStart}`, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: threshold >= 1 ? 'Budget used up' : `${Math.round(threshold * 100)}% of your budget used`,
+      message: describeBudget(item)
+    });
+  }
+
+  if (changed) {
+    await chrome.storage.local.set({ budgetAlerts: updated });
+  }
+}
+
+/**
+ * Show the remaining budget or today's water on the toolbar badge and check the budgets
+ *
+ * INPUT: None (reads the history, settings and budgets)
+ * OUTPUT: Promise resolving once the badge is updated, notifications are sent
+ *         and the next midnight update is scheduled
+ */
+async function updateBadge() {
+  const [{ budgets, budgetAlerts }, history, settings] = await Promise.all([
+    chrome.storage.local.get(['budgets', 'budgetAlerts']),
+    getAllEntries(),
+    getEstimationSettings()
+  ]);
+  const coefficients = settings.coefficients || null;
+  const now = new Date();
+
+  const options = { weekStart: getLocaleWeekStart(navigator.language) };
+  const progress = Object.keys(BUDGET_PERIODS).flatMap(period => {
+    const limits = budgets && budgets[period];
+    if (!limits || !Object.values(limits).some(limit => limit > 0)) return [];
+    return getBudgetProgress(budgets, period, computeStats(history, period, coefficients, now, options));
+  });
+  await notifyBudgets(progress, budgetAlerts || {});
+
+  // Today and the days before it that it is ranked among
+  const days = computeTimeSeries(history, 'day', PERCENTILE_HISTORY_DAYS + 1, coefficients, now).buckets;
+  const today = days.pop();
+  const pastDailyWaterMl = days.filter(day => day.prompts > 0).map(day => day.waterMl);
+
+  const { text, color, title } = getBadgeState(today.waterMl, progress, pastDailyWaterMl);
+  await chrome.action.setBadgeText({ text });
+  await chrome.action.setBadgeBackgroundColor({ color });
+  await chrome.action.setTitle({ title: `${chrome.runtime.getManifest().action.default_title}\n${title}` });
+
+  await chrome.alarms.create(BADGE_ALARM, { when: new Date(today.end).getTime() });
+}
+
+/**
+ * Queue a badge update after the ones already running
+ *
+ * INPUT: None
+ * OUTPUT: None; errors are logged
+ */
+function scheduleBadgeUpdate() {
+  badgeUpdate = badgeUpdate
+    .then(updateBadge)
+    .catch(error => console.error('Error updating the badge:', error));
+}
+
+chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
+  // Only the handlers' own actions; inherited names such as "constructor" aren't actions
+  if (!Object.hasOwn(historyHandlers, request.action)) return false;
+  const handler = historyHandlers[request.action];
+
+  const handled = HISTORY_WRITE_ACTIONS.has(request.action) ? queueHistoryWrite(() => handler(request)) : handler(request);
+  handled
+    .then(response => {
+      // Prompts seen again on the page don't change the totals
+      if (BADGE_ACTIONS.has(request.action) && response.recorded !== false) scheduleBadgeUpdate();
+      return response;
+    })
+    .then(sendResponse)
+    .catch(error => {
+      console.error(`Error handling ${request.action}:`, error);
+      sendResponse({ success: false, error: error.message });
+    });
+  return true; // Respond asynchronously
+});
+
+chrome.runtime.onConnect.addListener(port => {
+  if (port.name === 'recomputeHistory') {
+    handleRecomputeConnection(port);
+  }
+});
+
+// Budgets and settings changed on the options page change the badge straight away
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === 'local' && (changes.budgets || changes.estimationSettings)) {
+    scheduleBadgeUpdate();
+  }
+});
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === BADGE_ALARM) {
+    scheduleBadgeUpdate();
+  }
+});
+
+// The badge isn't kept when the browser restarts or the extension is updated
+chrome.runtime.onStartup.addListener(scheduleBadgeUpdate);
+chrome.runtime.onInstalled.addListener(scheduleBadgeUpdate);
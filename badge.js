@@ -0,0 +1,75 @@
+/**
+ * How Wet is AI? - Toolbar badge
+ *
+ * Decides what the extension's toolbar badge shows: when budgets are set (see
+ * budgets.js), what is left of the one closest to running out, colored by how
+ * much of it is used; otherwise the water used today, colored by how today
+ * compares with the days before it, so heavy days stand out without opening
+ * the popup. The background worker applies it whenever a prompt is recorded
+ * and at midnight.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+import { getTightestBudget, formatBadgeAmount, describeBudget } from './budgets.js';
+
+const BADGE_COLORS = Object.freeze({
+  NORMAL: '#1976D2',
+  WARNING: '#FB8C00',  // 80% of a budget used, or a heavier day than 3 in 4
+  EXCEEDED: '#E53935'  // A budget used up, or a heavier day than 9 in 10
+});
+
+// Days before today that today's water is ranked among
+const PERCENTILE_HISTORY_DAYS = 90;
+
+// Fewer days with prompts than this are too few to rank today among
+const MIN_PERCENTILE_DAYS = 7;
+
+/**
+ * Get the share of days that used less water than a given amount
+ *
+ * INPUT: waterMl - Water of the day to rank, dailyWaterMl - Water of the days to rank it among
+ * OUTPUT: Number from 0 to 1
+ * EXAMPLE: getPercentileRank(30, [10, 20, 30, 40]) // Returns 0.5
+ */
+function getPercentileRank(waterMl, dailyWaterMl) {
+  if (dailyWaterMl.length === 0) return 0;
+  return dailyWaterMl.filter(value => value < waterMl).length / dailyWaterMl.length;
+}
+
+/**
+ * Decide the badge's text, color and tooltip
+ *
+ * INPUT: todayWaterMl - Water used today,
+ *        budgetProgress - Progress of every budget set (see getBudgetProgress()),
+ *        pastDailyWaterMl - Water of each earlier day with prompts, within PERCENTILE_HISTORY_DAYS
+ * OUTPUT: { text, color, title }
+ * EXAMPLE: getBadgeState(45, [], [10, 12, 20, 8, 15, 30, 9, 11])
+ *          // Returns { text: '45ml', color: '#E53935', title: "Today: 45.0 ml of water, more than on 100% of your recent days" }
+ *          getBadgeState(84, [{ metric: 'water', remaining: 16, fraction: 0.84, ... }], [])
+ *          // Returns { text: '16ml', color: '#FB8C00', title: "Today: 84.0 ml of water\n84 ml of your 100 ml daily water budget used (84%)" }
+ */
+function getBadgeState(todayWaterMl, budgetProgress, pastDailyWaterMl) {
+  const text = formatBadgeAmount(todayWaterMl, 'water');
+  const lines = [`Today: ${todayWaterMl.toFixed(1)} ml of water`];
+
+  const tightest = getTightestBudget(budgetProgress);
+  if (tightest) {
+    budgetProgress.forEach(progress => lines.push(describeBudget(progress)));
+    const color = tightest.fraction >= 1 ? BADGE_COLORS.EXCEEDED
+      : tightest.fraction >= 0.8 ? BADGE_COLORS.WARNING : BADGE_COLORS.NORMAL;
+    return { text: formatBadgeAmount(tightest.remaining, tightest.metric), color, title: lines.join('\n') };
+  }
+
+  if (pastDailyWaterMl.length < MIN_PERCENTILE_DAYS || todayWaterMl === 0) {
+    return { text, color: BADGE_COLORS.NORMAL, title: lines[0] };
+  }
+
+  const rank = getPercentileRank(todayWaterMl, pastDailyWaterMl);
+  lines[0] += `, more than on ${Math.round(rank * 100)}% of your recent days`;
+  const color = rank >= 0.9 ? BADGE_COLORS.EXCEEDED : rank >= 0.75 ? BADGE_COLORS.WARNING : BADGE_COLORS.NORMAL;
+  return { text, color, title: lines[0] };
+}
+
+export { BADGE_COLORS, PERCENTILE_HISTORY_DAYS, MIN_PERCENTILE_DAYS, getPercentileRank, getBadgeState };
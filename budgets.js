@@ -0,0 +1,182 @@
+/**
+ * How Wet is AI? - Water and energy budgets
+ *
+ * Users can set a daily, weekly and monthly budget for water (ml) and energy
+ * (Wh) on the settings page. They are saved to chrome.storage.local under
+ * "budgets" as { today: { water, energy }, week: {...}, month: {...} }, keyed
+ * by the statistics period they are measured over; unset budgets are null.
+ *
+ * Progress is measured against the period's statistics (see historyStats.js):
+ * the popup draws it on the water cup, and the background worker shows what
+ * is left of the budget closest to running out on the toolbar badge (see
+ * badge.js) and sends a notification when a budget is 80% and 100% used.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+// Periods a budget can be set for, with their names as used in sentences
+const BUDGET_PERIODS = Object.freeze({
+  today: { label: 'Daily', noun: 'daily' },
+  week: { label: 'Weekly', noun: 'weekly' },
+  month: { label: 'Monthly', noun: 'monthly' }
+});
+
+// What a budget can limit: unit, and how to read the used amount from period statistics
+const BUDGET_METRICS = Object.freeze({
+  water: { label: 'Water', unit: 'ml', getUsed: stats => stats.totalWaterMl },
+  energy: { label: 'Energy', unit: 'Wh', getUsed: stats => stats.totalEnergyKwh * 1000 }
+});
+
+// Shares of a budget whose crossing is notified
+const BUDGET_THRESHOLDS = Object.freeze([0.8, 1]);
+
+/**
+ * Check budget values entered on the settings page
+ *
+ * Empty values leave the budget unset
+ *
+ * INPUT: values - { today: { water, energy }, ... } with numbers or strings as entered
+ * OUTPUT: { budgets, errors }: every period and metric, null if unset, and an error
+ *         message keyed by "period.metric" for each invalid value
+ * EXAMPLE: validateBudgets({ today: { water: '100', energy: '-1' } })
+ *          // Returns { budgets: { today: { water: 100, energy: null }, ... },
+ *          //           errors: { 'today.energy': 'Daily energy budget must be a positive number' } }
+ */
+function validateBudgets(values = {}) {
+  const budgets = {};
+  const errors = {};
+
+  Object.entries(BUDGET_PERIODS).forEach(([period, { label }]) => {
+    budgets[period] = {};
+    Object.keys(BUDGET_METRICS).forEach(metric => {
+      budgets[period][metric] = null;
+      const raw = values[period] ? values[period][metric] : undefined;
+      if (raw === undefined || raw === null || raw === '') return;
+
+      const value = typeof raw === 'number' ? raw : Number(raw);
+      if (!Number.isFinite(value) || value <= 0) {
+        errors[`${period}.${metric}`] = `${label} ${metric} budget must be a positive number`;
+      } else {
+        budgets[period][metric] = value;
+      }
+    });
+  });
+
+  return { budgets, errors };
+}
+
+/**
+ * Measure how much of each budget of a period is used
+ *
+ * INPUT: budgets - Saved budgets, period - 'today', 'week' or 'month',
+ *        stats - The period's statistics from computeStats() / getStatsByPeriod()
+ * OUTPUT: Array of { period, metric, limit, used, remaining, fraction, periodStart },
+ *         one per budget set for the period; remaining is 0 once the budget is used up
+ * EXAMPLE: getBudgetProgress({ today: { water: 100 } }, 'today', { totalWaterMl: 84, ... })
+ *          // Returns [{ period: 'today', metric: 'water', limit: 100, used: 84, remaining: 16, fraction: 0.84, ... }]
+ */
+function getBudgetProgress(budgets, period, stats) {
+  const limits = (budgets && budgets[period]) || {};
+
+  return Object.entries(BUDGET_METRICS)
+    .filter(([metric]) => limits[metric] > 0)
+    .map(([metric, { getUsed }]) => {
+      const limit = limits[metric];
+      const used = getUsed(stats);
+      return {
+        period,
+        metric,
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        fraction: used / limit,
+        periodStart: stats.startDate
+      };
+    });
+}
+
+/**
+ * Find the budget closest to running out
+ *
+ * INPUT: progress - Array from getBudgetProgress(), for any periods
+ * OUTPUT: The entry with the highest share used, or null if no budget is set
+ */
+function getTightestBudget(progress) {
+  return progress.reduce((tightest, item) => (!tightest || item.fraction > tightest.fraction ? item : tightest), null);
+}
+
+/**
+ * Find the thresholds a budget has crossed that haven't been notified yet
+ *
+ * Alerts are remembered per budget and period, so each threshold is notified
+ * once a day, week or month, and again once the next period reaches it
+ *
+ * INPUT: progress - Entry from getBudgetProgress(), alerts - Saved alerts,
+ *        { "period.metric": { periodStart, threshold } } with the highest threshold notified
+ * OUTPUT: Highest threshold newly crossed, or null
+ * EXAMPLE: getNewThreshold({ fraction: 1.05, ... }, { 'today.water': { periodStart, threshold: 0.8 } }) // Returns 1
+ */
+function getNewThreshold(progress, alerts = {}) {
+  const alert = alerts[`${progress.period}.${progress.metric}`];
+  const notified = alert && alert.periodStart === progress.periodStart ? alert.threshold : 0;
+  const crossed = BUDGET_THRESHOLDS.filter(threshold => progress.fraction >= threshold && threshold > notified);
+  return crossed.length > 0 ? crossed[crossed.length - 1] : null;
+}
+
+/**
+ * Format an amount of water or energy for display
+ *
+ * INPUT: amount - ml or Wh, metric - 'water' or 'energy'
+ * OUTPUT: String in ml or liters, Wh or kWh
+ * EXAMPLE: formatBudgetAmount(1250, 'water') // Returns "1.25 L"
+ */
+function formatBudgetAmount(amount, metric) {
+  if (metric === 'water') {
+    return amount >= 1000 ? `${(amount / 1000).toFixed(2)} L` : `${amount.toFixed(0)} ml`;
+  }
+  return amount >= 1000 ? `${(amount / 1000).toFixed(2)} kWh` : `${amount.toFixed(1)} Wh`;
+}
+
+/**
+ * Format an amount of water or energy to fit on the toolbar badge (about 4 characters)
+ *
+ * Rounded down, so the badge never shows more than was used or is left
+ *
+ * INPUT: amount - ml or Wh used or left, metric - 'water' or 'energy'
+ * OUTPUT: Short string
+ * EXAMPLE: formatBadgeAmount(45.7, 'water') // Returns "45ml"; 2480 ml returns "2.4L"
+ */
+function formatBadgeAmount(amount, metric) {
+  const [small, large] = metric === 'water' ? ['ml', 'L'] : ['Wh', 'k'];
+  if (amount < 100) return `${Math.floor(amount)}${small}`;
+  if (amount < 10000) return `${Math.floor(amount / 100) / 10}${large}`;
+  return `${Math.floor(amount / 1000)}${large}`;
+}
+
+/**
+ * Describe a budget's progress in a sentence
+ *
+ * INPUT: progress - Entry from getBudgetProgress()
+ * OUTPUT: String for notifications and tooltips
+ * EXAMPLE: describeBudget({ period: 'today', metric: 'water', limit: 100, used: 84, ... })
+ *          // Returns "84 ml of your 100 ml daily water budget used (84%)"
+ */
+function describeBudget(progress) {
+  const { period, metric, limit, used, fraction } = progress;
+  return `${formatBudgetAmount(used, metric)} of your ${formatBudgetAmount(limit, metric)} ` +
+    `${BUDGET_PERIODS[period].noun} ${metric} budget used (${Math.round(fraction * 100)}%)`;
+}
+
+export {
+  BUDGET_PERIODS,
+  BUDGET_METRICS,
+  BUDGET_THRESHOLDS,
+  validateBudgets,
+  getBudgetProgress,
+  getTightestBudget,
+  getNewThreshold,
+  formatBudgetAmount,
+  formatBadgeAmount,
+  describeBudget
+};
@@ -0,0 +1,105 @@
+/**
+ * How Wet is AI? - Capture health
+ *
+ * Judges from a chat page's diagnostics report (see collectDiagnostics in
+ * content.js) whether its prompts are being recorded. Chat sites change their
+ * markup without notice; when the adapter's selectors stop matching, the page
+ * still shows a conversation but nothing is recorded, which this detects so
+ * the popup can warn about it. A page that was just reloaded, or whose newest
+ * reply was stopped or is still streaming, can look the same for a moment, so
+ * a problem is only reported once several checks in a row found it.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+const CAPTURE_STATUS = Object.freeze({
+  OK: 'ok',             // Prompts on the page are found and recorded
+  IDLE: 'idle',         // No conversation on the page
+  DEGRADED: 'degraded', // Recording, but with fallback selectors or without replies
+  BROKEN: 'broken',     // The page shows a conversation but nothing is recorded
+  PENDING: 'pending'    // Looks degraded or broken, but not in enough checks in a row yet
+});
+
+// Checks in a row that must find a problem before it is reported
+const FAILURES_TO_REPORT = 3;
+
+/**
+ * Estimate how many prompts the page shows, independently of the user message selectors
+ *
+ * Every reply answers a prompt; without replies, half the conversation turns
+ * found by generic markup (one turn per message) are prompts
+ *
+ * INPUT: report - Diagnostics report from the content script
+ * OUTPUT: Expected number of prompts
+ * EXAMPLE: getExpectedPrompts({ assistantMessages: 0, turns: 6 }) // Returns 3
+ */
+function getExpectedPrompts(report) {
+  return Math.max(report.assistantMessages || 0, Math.floor((report.turns || 0) / 2));
+}
+
+/**
+ * Judge whether a chat page's prompts are being recorded
+ *
+ * INPUT: report - Diagnostics report from the content script
+ * OUTPUT: Object with status (a CAPTURE_STATUS value), problems (sentences
+ *         describing what looks wrong), foundPrompts and expectedPrompts
+ * EXAMPLE: evaluateCaptureHealth({ userMessages: 0, alternativeUserMessages: 0, assistantMessages: 4, ... })
+ *          // Returns {status: 'broken', problems: ['The page shows 4 prompts but none matched ...'], ...}
+ */
+function evaluateCaptureHealth(report) {
+  const usingFallback = report.userMessages === 0 && report.alternativeUserMessages > 0;
+  const foundPrompts = usingFallback ? report.alternativeUserMessages : report.userMessages;
+  const expectedPrompts = getExpectedPrompts(report);
+  const problems = [];
+
+  if (foundPrompts === 0) {
+    if (expectedPrompts === 0) {
+      return { status: CAPTURE_STATUS.IDLE, problems, foundPrompts, expectedPrompts };
+    }
+    problems.push(`The page shows ${expectedPrompts} prompts but none matched the ${report.providerName} selectors.`);
+    return { status: CAPTURE_STATUS.BROKEN, problems, foundPrompts, expectedPrompts };
+  }
+
+  // Prompts sent to the worker a moment ago may not be confirmed yet
+  if (report.recordedMessages === 0 && report.unconfirmedMessages === 0) {
+    problems.push(`${foundPrompts} prompts were found on the page but none were recorded.`);
+    return { status: CAPTURE_STATUS.BROKEN, problems, foundPrompts, expectedPrompts };
+  }
+
+  if (usingFallback) {
+    problems.push(`Only the fallback selectors matched; ${report.providerName} may have changed its markup.`);
+  }
+  // A reply stopped before it showed any text leaves only the newest prompt without one
+  if (report.assistantMessages === 0 && foundPrompts > 1) {
+    problems.push('No replies matched, so reply sizes are estimated instead of measured.');
+  }
+  if (foundPrompts < expectedPrompts) {
+    problems.push(`Found ${foundPrompts} of about ${expectedPrompts} prompts on the page.`);
+  }
+
+  const status = problems.length > 0 ? CAPTURE_STATUS.DEGRADED : CAPTURE_STATUS.OK;
+  return { status, problems, foundPrompts, expectedPrompts };
+}
+
+/**
+ * Report a capture problem only once several checks in a row found it
+ *
+ * INPUT: health - Result of evaluateCaptureHealth(),
+ *        failures - Checks in a row that found a problem before this one
+ * OUTPUT: Object with health (its status PENDING until FAILURES_TO_REPORT checks
+ *         in a row found a problem) and failures (the count including this check)
+ * EXAMPLE: confirmCaptureHealth({ status: 'broken', problems: [...] }, 0)
+ *          // Returns {health: {status: 'pending', problems: [...]}, failures: 1}
+ */
+function confirmCaptureHealth(health, failures) {
+  if (health.status !== CAPTURE_STATUS.BROKEN && health.status !== CAPTURE_STATUS.DEGRADED) {
+    return { health, failures: 0 };
+  }
+
+  const count = failures + 1;
+  const confirmed = count >= FAILURES_TO_REPORT ? health : { ...health, status: CAPTURE_STATUS.PENDING };
+  return { health: confirmed, failures: count };
+}
+
+export { CAPTURE_STATUS, FAILURES_TO_REPORT, getExpectedPrompts, evaluateCaptureHealth, confirmCaptureHealth };
@@ -0,0 +1,93 @@
+/**
+ * How Wet is AI? - Captured prompts
+ *
+ * Decides what the background worker does with a prompt a chat tab reports
+ * (the promptCaptured message): each message is recorded once however often
+ * the page is reloaded or the same text is asked again, prompts the user
+ * deleted aren't recorded again, and an edited prompt is recorded as a new
+ * version of the prompt it replaced.
+ *
+ * The store is passed in as { getEntry, isDeleted } (see historyStore.js), so
+ * the worker's decisions can be tested without a database.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+/**
+ * Decide whether a captured prompt is recorded, and prepare its entry
+ *
+ * INPUT: request - promptCaptured message, store - { getEntry, isDeleted } reading the history,
+ *        timestamp - When the prompt was captured (ISO string, now by default)
+ * OUTPUT: Promise resolving to { existing } if its message was already recorded,
+ *         { deleted: true } if the user deleted it, or { entry } with the entry to
+ *         record, whose context and energy are still to be calculated
+ * EXAMPLE: await prepareCapturedPrompt({ messageId: 'b2', editOf: 'a1', prompt: 'Shorter, please' }, store)
+ *          // Resolves to { entry: { id: 'b2', kind: 'edit', parentId: 'a1', ... } } if 'a1' is recorded
+ */
+async function prepareCapturedPrompt(request, store, timestamp = new Date().toISOString()) {
+  if (!request.messageId) {
+    throw new Error('Prompts need a message id');
+  }
+
+  // Each message is recorded once, however often the same text is asked
+  const existing = await store.getEntry(request.messageId);
+  if (existing) {
+    return { existing };
+  }
+  if (await store.isDeleted(request.messageId)) {
+    return { deleted: true }; // Deleted by the user, seen again on the page
+  }
+
+  // An edited prompt is a new message in place of an earlier one; link it to the first version
+  const original = request.editOf ? await store.getEntry(request.editOf) : null;
+
+  return {
+    entry: {
+      id: request.messageId,
+      conversationId: request.conversationId || null,
+      conversationTitle: request.conversationTitle || null, // Title in the site's chat list
+      conversationUrl: request.conversationUrl || null,
+      messageId: request.messageId,
+      kind: original ? 'edit' : 'prompt',
+      parentId: original ? (original.parentId || original.id) : null,
+      timestamp,
+      prompt: request.prompt,
+      code: request.code || '', // Code blocks of the prompt, counted apart from its text
+      attachments: request.attachments || [], // Images, files and voice sent with the prompt
+      model: request.model, // Model selected in the UI; replaced by the answering model once the reply is measured
+      source: request.source,
+      provider: request.provider,
+      providerName: request.providerName
+    }
+  };
+}
+
+/**
+ * Copy what a chat tab reported about a prompt's conversation onto its entry
+ *
+ * INPUT: entry - History entry (updated in place),
+ *        request - promptCaptured or responseMeasured message
+ * OUTPUT: True if the entry changed and needs saving; redacted entries keep no title
+ * EXAMPLE: updateConversationInfo({ conversationId: null }, { conversationId: '6f2c' }) // Returns true
+ */
+function updateConversationInfo(entry, request) {
+  let changed = false;
+  // New chats only get their id in the URL after the first prompt is sent
+  if (!entry.conversationId && request.conversationId) {
+    entry.conversationId = request.conversationId;
+    changed = true;
+  }
+  if (!entry.conversationUrl && request.conversationUrl) {
+    entry.conversationUrl = request.conversationUrl;
+    changed = true;
+  }
+  // Chats are named after their first reply and can be renamed at any time
+  if (request.conversationTitle && !entry.redacted && entry.conversationTitle !== request.conversationTitle) {
+    entry.conversationTitle = request.conversationTitle;
+    changed = true;
+  }
+  return changed;
+}
+
+export { prepareCapturedPrompt, updateConversationInfo };
@@ -1,128 +1,233 @@
-// ChatGPT Prompt Recorder with Energy Calculation
+// AI Chat Prompt Recorder with Energy Calculation
+// Captures prompts and replies and reports them to the background worker,
+// which calculates their energy and stores them for every tab and the popup.
+// Works on every site with an adapter in siteAdapters.js.
 
-// Import or include the token estimator functionality
-// We'll include a simplified version directly in this file
-function estimateResponseTokens(prompt, promptTokenCount) {
-    // Simplified version of the token estimator from tokenEstimator.js
-    const lower = prompt.toLowerCase();
-    
-    // Simple pattern checking for common requests
-    if (lower.match(/^(is|are|was|were|do|does|did|can|could|will|would|should|has|have|had)\b.*\?$/i)) {
-        return Math.max(promptTokenCount * 1.2, 20); // Simple yes/no questions
+// Adapter for the chat site this page belongs to
+const siteAdapter = getSiteAdapter(location.hostname);
+
+// Recorded prompts, fetched from the background worker for the history overlay
+let conversationHistory = [];
+
+// Key history was kept under in the page's localStorage before it moved to the extension's IndexedDB
+const LEGACY_HISTORY_KEY = 'chatgpt-conversation-history';
+
+// Send a request to the background worker, which owns the history store
+async function sendToBackground(message) {
+    const response = await chrome.runtime.sendMessage(message);
+    if (response && response.success === false) {
+        throw new Error(response.error);
     }
-    
-    // Check for creative writing requests
-    if (lower.includes("write a story") || lower.includes("write an essay") || 
-        lower.includes("poem") || lower.includes("fiction")) {
-        return Math.max(1500, promptTokenCount * 7); // Creative tasks get longer responses
+    return response;
+}
+
+// One-time move of history this site kept in localStorage into the extension's store
+// localStorage is only cleared once the import has been stored
+async function migrateLegacyHistory() {
+    const storedHistory = localStorage.getItem(LEGACY_HISTORY_KEY);
+    if (!storedHistory) return;
+    
+    let entries;
+    try {
+        entries = JSON.parse(storedHistory);
+    } catch (e) {
+        console.error('Error parsing legacy conversation history, leaving it in place:', e);
+        return;
     }
     
-    // Check for code generation
-    if (lower.includes("code") || lower.includes("program") || lower.includes("function") ||
-        lower.includes("javascript") || lower.includes("python") || lower.includes("java")) {
-        return Math.max(800, promptTokenCount * 5); // Code tends to have medium responses
+    const response = await sendToBackground({ action: 'importLegacyHistory', entries, source: location.hostname });
+    localStorage.removeItem(LEGACY_HISTORY_KEY);
+    console.log('Migrated conversation history from localStorage:', response.imported, 'prompts');
+}
+
+// Fetch the recorded prompts from the background worker
+async function loadConversationHistory() {
+    const response = await sendToBackground({ action: 'getHistory' });
+    conversationHistory = response.history || [];
+    console.log('Loaded existing conversation history:', conversationHistory.length, 'prompts');
+}
+
+// Get the id of the open conversation from the URL
+// New chats have no id until their first prompt has been sent
+function getConversationId() {
+    const match = location.pathname.match(siteAdapter.conversationIdPattern);
+    return match ? match[1] : null;
+}
+
+// Get the title of the open conversation, as the site's chat list shows it
+// Falls back to the page title without the site's name; returns null while the
+// chat has no title yet (sites name new chats after their first reply)
+function getConversationTitle() {
+    const conversationId = getConversationId();
+    if (!conversationId) return null;
+    
+    const sidebar = siteAdapter.sidebarSelector && document.querySelector(siteAdapter.sidebarSelector);
+    if (sidebar) {
+        const link = Array.from(sidebar.querySelectorAll('a[href]'))
+            .find(anchor => anchor.pathname.endsWith(`/${conversationId}`));
+        const title = link && link.textContent.trim();
+        if (title) return title;
     }
     
-    // Default estimate - moderate to detailed response
-    return Math.max(promptTokenCount * 3, 200);
+    const title = document.title.replace(new RegExp(`\\s*[-|\u2013]\\s*${siteAdapter.name}$`), '').trim();
+    return title && title !== siteAdapter.name ? title : null;
 }
 
-// Simplified energy calculation based on the index.js file
-function calculateEnergy(prompt, promptTokens) {
-    // Constants
-    const BASE_KWH_PER_1000_TOKENS = 0.002;
-    const WATER_USAGE_ML_PER_KWH = 1500;
-    const DATACENTER_OVERHEAD_FACTOR = 2.5;
-    const IDLE_LOAD_FACTOR = 1.7;
-    const NETWORK_OVERHEAD_FACTOR = 1.15;
-    const AMORTIZED_TRAINING_FACTOR = 1.2;
-    const PRODUCTION_ENVIRONMENT_FACTOR = 1.3;
-    
-    // Estimate response tokens
-    const estimatedResponseTokens = estimateResponseTokens(prompt, promptTokens);
-    const totalTokens = promptTokens + estimatedResponseTokens;
-    
-    // Basic complexity assessment (simplified)
-    const complexity = Math.min((prompt.length / 500) * 0.5, 0.8);
-    
-    // Base energy calculation
-    const baseKWh = (totalTokens / 1000) * BASE_KWH_PER_1000_TOKENS;
-    
-    // Apply a simplified modifier
-    const totalModifier = 1 + (complexity * 0.5);
-    
-    // Direct inference energy calculation
-    const directKWh = baseKWh * totalModifier;
-    const directWaterUsageMl = directKWh * WATER_USAGE_ML_PER_KWH;
-    
-    // Real-world total energy with overhead
-    const realWorldKWh = directKWh * DATACENTER_OVERHEAD_FACTOR * IDLE_LOAD_FACTOR * 
-                       NETWORK_OVERHEAD_FACTOR * AMORTIZED_TRAINING_FACTOR * PRODUCTION_ENVIRONMENT_FACTOR;
-    const realWorldWaterUsageMl = realWorldKWh * WATER_USAGE_ML_PER_KWH;
-    
-    return {
-        promptTokens,
-        estimatedResponseTokens,
-        totalTokens,
-        directKWh,
-        directWaterUsageMl,
-        realWorldKWh,
-        realWorldWaterUsageMl
-    };
+// Get the address of the open conversation, to link back to it from the popup
+function getConversationUrl() {
+    return getConversationId() ? location.origin + location.pathname : null;
 }
 
-// Function to count tokens (simplified)
-function countTokens(text) {
-    // Simple approximation: ~1.3 tokens per word
-    const words = text.trim().split(/\s+/).length;
-    return Math.ceil(words * 1.3);
+// Selector matching every message in the thread, from either side
+function getAllMessagesSelector() {
+    return `${siteAdapter.userMessageSelector}, ${siteAdapter.assistantMessageSelector}`;
 }
 
-// Data structure to store prompts
-let conversationHistory = [];
+// Hash a message's text into a short id part (32-bit FNV-1a, as hex)
+function hashMessageText(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+}
 
-// Load existing conversation history from localStorage
-function loadConversationHistory() {
-    const storedHistory = localStorage.getItem('chatgpt-conversation-history');
-    if (storedHistory) {
-        try {
-            conversationHistory = JSON.parse(storedHistory);
-            console.log('Loaded existing conversation history:', conversationHistory.length, 'prompts');
-        } catch (e) {
-            console.error('Error parsing stored conversation history:', e);
-            conversationHistory = [];
-        }
+// Text of prompts identified by their text, kept until the element's content changes
+// Every id needs the text of all earlier prompts, so long chats would otherwise re-extract it for each one
+const identifyingTexts = new WeakMap();
+
+// Get the text a prompt is identified by, without buttons and labels that some sites only add on hover
+function getIdentifyingText(message) {
+    const content = message.textContent;
+    const cached = identifyingTexts.get(message);
+    if (cached && cached.content === content) return cached.text;
+    
+    const text = `${extractMessageText(message)}\n${extractCodeText(message)}`;
+    identifyingTexts.set(message, { content, text });
+    return text;
+}
+
+// Get a stable identity for a message
+// Sites that give every message an id (ChatGPT's data-message-id) use it. Other prompts are
+// identified by a hash of their text and how many earlier prompts had the same text, which
+// doesn't change when a long chat loads its older messages later. Replies without a site id
+// have none: they change in place while streaming and when regenerated, so regenerations
+// are only told apart on sites with message ids
+function getMessageId(message) {
+    const idAttribute = siteAdapter.messageIdAttribute;
+    const idElement = idAttribute && (message.closest(`[${idAttribute}]`) || message.querySelector(`[${idAttribute}]`));
+    if (idElement) {
+        return idElement.getAttribute(idAttribute);
     }
+    
+    const conversationId = getConversationId();
+    if (!conversationId || message.matches(siteAdapter.assistantMessageSelector)) return null;
+    
+    const selector = message.matches(siteAdapter.userMessageSelector)
+        ? siteAdapter.userMessageSelector
+        : siteAdapter.alternativeUserMessageSelector;
+    const text = getIdentifyingText(message);
+    let occurrence = 0;
+    for (const other of document.querySelectorAll(selector)) {
+        if (other === message) break;
+        if (getIdentifyingText(other) === text) occurrence++;
+    }
+    return `${siteAdapter.id}:${conversationId}:${hashMessageText(text)}:${occurrence}`;
 }
 
-// Save conversation history to localStorage
-function saveConversationHistory() {
-    localStorage.setItem('chatgpt-conversation-history', JSON.stringify(conversationHistory));
+// ChatGPT shows a "< 2/3 >" navigator next to messages that were edited or regenerated
+const BRANCH_COUNTER_PATTERN = /^(\d+)\s*\/\s*(\d+)$/;
+
+// Find the branch navigator of a message's turn
+// Returns {index, total} (e.g. {index: 2, total: 3}), or null if the turn has a single version
+function getBranchPosition(message) {
+    if (!siteAdapter.turnSelector) return null;
+    
+    const turn = message.closest(siteAdapter.turnSelector) || message.parentElement;
+    if (!turn) return null;
+    
+    for (const element of turn.querySelectorAll('div, span')) {
+        // The counter is a leaf outside the message text, which could contain "1/2" itself
+        if (element.children.length > 0 || message.contains(element)) continue;
+        const match = element.textContent.trim().match(BRANCH_COUNTER_PATTERN);
+        if (match) {
+            return { index: Number(match[1]), total: Number(match[2]) };
+        }
+    }
+    return null;
 }
 
-// Check if a prompt already exists in history
-function isDuplicatePrompt(prompt) {
-    return conversationHistory.some(item => item.prompt === prompt);
+// Message id last seen at each user turn of a conversation, to tell edits from new turns
+// Turns are keyed by the user message before them, since their position changes when a
+// long chat loads its older turns later
+const messagesByTurn = new Map();
+
+// Find the message a user message replaced, if it is an edit
+// Editing a prompt or switching its branch shows another message at the same turn, with
+// the branch navigator; switching to a version already recorded is ignored by the worker
+function findEditedMessageId(message, messageId) {
+    if (!siteAdapter.turnSelector) return null; // No branch navigators to tell edits by
+    
+    const userMessages = Array.from(document.querySelectorAll(siteAdapter.userMessageSelector));
+    const turnIndex = userMessages.indexOf(message);
+    if (turnIndex === -1) return null;
+    
+    const earlierMessage = userMessages[turnIndex - 1];
+    const turnKey = `${getConversationId()}:${earlierMessage ? getMessageId(earlierMessage) : ''}`;
+    const previousId = messagesByTurn.get(turnKey);
+    messagesByTurn.set(turnKey, messageId);
+    
+    if (!previousId || previousId === messageId) return null;
+    // An edit replaces the message it was made from and starts a new branch, so it is the
+    // newest prompt shown; otherwise older turns were loaded or unloaded around it
+    const replaced = !userMessages.some(other => getMessageId(other) === previousId);
+    if (!replaced || turnIndex !== userMessages.length - 1) return null;
+    const branch = getBranchPosition(message);
+    return branch && branch.total > 1 ? previousId : null;
 }
 
-// Add a new prompt to history with energy calculation
-function addPromptToHistory(prompt) {
-    if (!prompt || isDuplicatePrompt(prompt)) {
-        return false; // Don't add empty or duplicate prompts
+// Report a prompt to the background worker, which calculates its energy and records it
+// The worker records each message once, so asking the same thing twice counts twice
+// editOf - Id of the message this one replaced when the prompt was edited
+// code - Code blocks of the prompt (see extractCodeText)
+// attachments - Images, files and voice sent with the prompt (see findAttachments)
+function addPromptToHistory(prompt, messageId, { editOf = null, code = '', attachments = [] } = {}) {
+    if ((!prompt && !code && attachments.length === 0) || !messageId) {
+        return false; // Don't add empty or unidentifiable prompts
     }
     
-    const promptTokens = countTokens(prompt);
-    const energyData = calculateEnergy(prompt, promptTokens);
-    
-    const newPrompt = {
-        timestamp: new Date().toISOString(),
+    sendToBackground({
+        action: 'promptCaptured',
         prompt,
-        energyData // Store energy calculations with the prompt
-    };
-    
-    conversationHistory.push(newPrompt);
-    saveConversationHistory();
-    console.log('New prompt added with energy data:', prompt.substring(0, 50) + '...');
+        code,
+        attachments,
+        messageId,
+        editOf,
+        conversationId: getConversationId(),
+        conversationTitle: getConversationTitle(),
+        conversationUrl: getConversationUrl(),
+        provider: siteAdapter.id,
+        providerName: siteAdapter.name,
+        model: detectModel(),
+        source: location.hostname
+    }).then(response => {
+        recordedMessages.add(messageId);
+        if (response.deleted) return; // Deleted from the history by the user
+        
+        // Measure the reply once it finishes streaming; the worker ignores a reply
+        // it already measured and records a different one as a regeneration
+        pendingResponses.add(messageId);
+        scheduleProcessing(); // The reply may have finished while the worker was recording
+        if (response.recorded) {
+            const label = response.entry.kind === 'edit' ? 'Edited prompt' : 'New prompt';
+            console.log(`${label} added with energy data (${attachments.length} attachments):`, prompt.substring(0, 50) + '...');
+        }
+    }).catch(e => {
+        console.error('Error recording prompt:', e);
+        lastProcessedMessages.delete(messageId);
+        scheduleRetry();
+    });
     return true;
 }
 
@@ -133,115 +238,480 @@ function extractMessageText(element) {
     // Clone the element to avoid modifying the DOM
     const clone = element.cloneNode(true);
     
-    // Remove code blocks, buttons, and other non-text elements that might interfere
-    const elementsToRemove = clone.querySelectorAll('pre, button, svg, img');
+    // Remove code blocks, buttons, file chips and other non-text elements that might interfere
+    // Attachments are counted separately by findAttachments
+    const ignored = ['pre, button, svg, img', siteAdapter.ignoredTextSelector, siteAdapter.attachmentSelector]
+        .filter(Boolean).join(', ');
+    const elementsToRemove = clone.querySelectorAll(ignored);
     elementsToRemove.forEach(el => el.remove());
     
     return clone.textContent.trim();
 }
 
-// Track the last processed messages to avoid duplicates
-let lastProcessedPrompts = new Set();
+// Extract the code blocks of a prompt, which extractMessageText leaves out
+// The worker counts them with a code-aware token ratio, since code is denser than prose
+function extractCodeText(element) {
+    if (!element) return '';
+    
+    return Array.from(element.querySelectorAll('pre')).map(block => {
+        // Code blocks have copy buttons and language icons in their header
+        const clone = block.cloneNode(true);
+        clone.querySelectorAll('button, svg').forEach(el => el.remove());
+        return clone.textContent.trim();
+    }).filter(Boolean).join('\n\n');
+}
 
-// Process chat thread to find new prompts
-function processChat() {
-    console.log('Processing chat for new prompts...');
+// Function to extract the generated text of an assistant message
+// Unlike prompts, code blocks are kept since the model generated those tokens too
+function extractResponseText(element) {
+    if (!element) return '';
+    
+    const clone = element.cloneNode(true);
+    
+    // Remove copy buttons and icons that aren't part of the generated text
+    const ignored = ['button, svg, img', siteAdapter.ignoredTextSelector].filter(Boolean).join(', ');
+    const elementsToRemove = clone.querySelectorAll(ignored);
+    elementsToRemove.forEach(el => el.remove());
+    
+    return clone.textContent.trim();
+}
+
+// Images smaller than this (in pixels, either side) are icons and avatars, not attachments
+const MIN_ATTACHMENT_IMAGE_SIZE = 48;
+
+// Size of a file as shown on its attachment chip, e.g. "1.2 MB"
+const FILE_SIZE_PATTERN = /(\d+(?:[.,]\d+)?)\s*(bytes|[KMG]?B)\b/i;
+const FILE_SIZE_UNITS = { bytes: 1, b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+// Length of a voice message as shown next to it, e.g. "0:42"
+const DURATION_PATTERN = /\b(\d+):([0-5]\d)\b/;
+
+// Speaking pace used to time voice messages that show no length, from their transcript
+const SPOKEN_WORDS_PER_SECOND = 2.5;
+
+// Thinking time reasoning models show with their reply, e.g. "Thought for 12 seconds" or "Thought for 1m 5s"
+const THINKING_TIME_PATTERN = /\b(?:Thought|Reasoned) for (?:(\d+)\s*(?:minutes?|min|m)\s*)?(?:(\d+)\s*(?:seconds?|secs?|s))?/i;
+
+// Find the elements holding messages and what the site shows around them
+// Sites with turns show uploads, generated images and thinking times next to the message rather than in it
+function getMessageScopes(messages) {
+    return new Set(messages.map(message =>
+        (siteAdapter.turnSelector && message.closest(siteAdapter.turnSelector)) || message));
+}
+
+// Read how long a reasoning model thought before its reply, or null if the site doesn't show it
+// The worker estimates the hidden reasoning tokens from this time
+function findReasoningSeconds(responseMessages) {
+    for (const scope of getMessageScopes(responseMessages)) {
+        const match = scope.textContent.match(THINKING_TIME_PATTERN);
+        if (match && (match[1] || match[2])) {
+            return Number(match[1] || 0) * 60 + Number(match[2] || 0);
+        }
+    }
+    return null;
+}
+
+// Read the size of an image, or null if it hasn't loaded and has no size attributes
+function getImageSize(image) {
+    const width = image.naturalWidth || Number(image.getAttribute('width')) || 0;
+    const height = image.naturalHeight || Number(image.getAttribute('height')) || 0;
+    return width && height ? { width, height } : null;
+}
+
+// Read a file's size in bytes from the text of its attachment chip, or null if it isn't shown
+function parseFileSize(text) {
+    const match = text.match(FILE_SIZE_PATTERN);
+    if (!match) return null;
+    return Math.round(parseFloat(match[1].replace(',', '.')) * FILE_SIZE_UNITS[match[2].toLowerCase()]);
+}
+
+// Find out how long a voice message is: from its audio element, the time shown
+// with it, or else from how long its transcript takes to say
+function getVoiceSeconds(voiceElements, transcript) {
+    for (const element of voiceElements) {
+        if (element.tagName === 'AUDIO' && Number.isFinite(element.duration) && element.duration > 0) {
+            return Math.round(element.duration);
+        }
+        const match = element.textContent.match(DURATION_PATTERN);
+        if (match) {
+            return Number(match[1]) * 60 + Number(match[2]);
+        }
+    }
+    const words = transcript.split(/\s+/).filter(Boolean).length;
+    return Math.round(words / SPOKEN_WORDS_PER_SECOND);
+}
+
+// Find the files, images and voice that came with a prompt, or that a reply generated
+// They aren't text tokens, so the worker charges them with the estimator's attachment factors
+// messages - The user message, or a prompt's assistant messages when isResponse is set
+function findAttachments(messages, isResponse = false) {
+    const attachments = [];
+    const seenImages = new Set();
+    
+    getMessageScopes(messages).forEach(scope => {
+        const fileChips = !isResponse && siteAdapter.attachmentSelector
+            ? Array.from(scope.querySelectorAll(siteAdapter.attachmentSelector))
+            : [];
+        fileChips.forEach(chip => {
+            attachments.push({ type: 'document', bytes: parseFileSize(chip.textContent) });
+        });
+        
+        const imageSelector = isResponse ? siteAdapter.generatedImageSelector : 'img';
+        if (imageSelector) {
+            scope.querySelectorAll(imageSelector).forEach(image => {
+                if (fileChips.some(chip => chip.contains(image))) return; // Thumbnail of a file
+                const size = getImageSize(image);
+                if (size && (size.width < MIN_ATTACHMENT_IMAGE_SIZE || size.height < MIN_ATTACHMENT_IMAGE_SIZE)) return;
+                
+                // Sites often render an image twice, e.g. as a blurred backdrop
+                const source = image.currentSrc || image.getAttribute('src');
+                if (source && seenImages.has(source)) return;
+                seenImages.add(source);
+                
+                attachments.push({ type: isResponse ? 'generatedImage' : 'image', ...size });
+            });
+        }
+        
+        const voiceSelector = ['audio', siteAdapter.voiceMessageSelector].filter(Boolean).join(', ');
+        const voiceElements = Array.from(scope.querySelectorAll(voiceSelector));
+        if (scope.matches(voiceSelector)) voiceElements.unshift(scope);
+        if (voiceElements.length > 0) {
+            const transcript = isResponse ? extractResponseText(scope) : extractMessageText(scope);
+            attachments.push({ type: 'audio', seconds: getVoiceSeconds(voiceElements, transcript) });
+        }
+    });
+    
+    return attachments;
+}
+
+// Detect the model that answered a turn
+// Uses the site's own detection where it has one (e.g. ChatGPT's per-message model slug),
+// then the model picker's label
+function detectModel(responseMessages = []) {
+    const siteModel = siteAdapter.detectModel && siteAdapter.detectModel(responseMessages);
+    if (siteModel) return siteModel;
+    
+    const modelPicker = siteAdapter.modelPickerSelector && document.querySelector(siteAdapter.modelPickerSelector);
+    if (modelPicker && modelPicker.textContent.trim()) {
+        return modelPicker.textContent.trim();
+    }
+    
+    return null;
+}
+
+// Ids of the user messages the worker has recorded
+let recordedMessages = new Set();
+
+// Ids of recorded prompts whose current reply hasn't been reported yet
+let pendingResponses = new Set();
+
+// Ids of the replies already reported, so each generation is only sent once per page
+let measuredResponses = new Set();
+
+// Find the assistant messages answering a user message (everything up to the next user message)
+function findResponseMessages(userMessage) {
+    const messages = Array.from(document.querySelectorAll(getAllMessagesSelector()));
+    const start = messages.indexOf(userMessage);
+    if (start === -1) return [];
+    
+    const responses = [];
+    for (let i = start + 1; i < messages.length; i++) {
+        if (messages[i].matches(siteAdapter.userMessageSelector)) break;
+        responses.push(messages[i]);
+    }
+    return responses;
+}
+
+// Check whether the site is still streaming any of the given assistant messages
+function isResponseStreaming(responseMessages) {
+    const streamingSelector = siteAdapter.streamingSelector;
+    if (streamingSelector && responseMessages.some(message =>
+        message.closest(streamingSelector) || message.querySelector(streamingSelector))) {
+        return true;
+    }
     
-    // Find user messages
-    const userMessages = document.querySelectorAll('[data-message-author-role="user"]');
+    // The stop button is shown while the newest reply is being generated
+    const assistantMessages = document.querySelectorAll(siteAdapter.assistantMessageSelector);
+    const newestResponse = assistantMessages[assistantMessages.length - 1];
+    return responseMessages.includes(newestResponse) &&
+        document.querySelector(siteAdapter.stopButtonSelector) !== null;
+}
+
+// Find the user message an assistant message answers (the closest one before it)
+function findPromptMessage(responseMessage, messages) {
+    for (let i = messages.indexOf(responseMessage) - 1; i >= 0; i--) {
+        if (messages[i].matches(siteAdapter.userMessageSelector)) {
+            return messages[i];
+        }
+    }
+    return null;
+}
+
+// Report the replies of pending prompts that have finished streaming, so their real size is counted
+// A regenerated reply has a new message id, which the worker records as another inference
+function processPendingResponses() {
+    if (pendingResponses.size === 0) return;
     
-    console.log(`Found ${userMessages.length} user messages`);
+    const userMessages = Array.from(document.querySelectorAll(siteAdapter.userMessageSelector));
     
+    pendingResponses.forEach(messageId => {
+        const userMessage = userMessages.find(message => getMessageId(message) === messageId);
+        if (!userMessage) return; // Not rendered (yet) or on another branch, keep waiting
+        
+        const responseMessages = findResponseMessages(userMessage);
+        if (responseMessages.length === 0 || isResponseStreaming(responseMessages)) {
+            return;
+        }
+        
+        const responseText = responseMessages.map(extractResponseText).join('\n');
+        const attachments = findAttachments(responseMessages, true);
+        if (!responseText && attachments.length === 0) return;
+        
+        pendingResponses.delete(messageId);
+        const responseMessageId = getMessageId(responseMessages[0]);
+        if (responseMessageId) {
+            if (measuredResponses.has(responseMessageId)) return;
+            measuredResponses.add(responseMessageId);
+        }
+        
+        sendToBackground({
+            action: 'responseMeasured',
+            id: messageId,
+            responseMessageId,
+            responseText,
+            attachments,
+            reasoningSeconds: findReasoningSeconds(responseMessages),
+            conversationTitle: getConversationTitle(), // Often only set once the first reply is done
+            model: detectModel(responseMessages)
+        }).then(response => {
+            if (!response.recorded) return;
+            const { observedResponseTokens, estimatedResponseTokens } = response.entry.energyData;
+            const label = response.entry.kind === 'regeneration' ? 'regenerated response' : 'response';
+            console.log(`Measured ${label} for prompt: ${observedResponseTokens} tokens (estimated ${estimatedResponseTokens})`);
+        }).catch(e => {
+            console.error('Error recording response:', e);
+            measuredResponses.delete(responseMessageId);
+            pendingResponses.add(messageId);
+            scheduleRetry();
+        });
+    });
+}
+
+// Ids of the messages already reported, so each is only sent to the worker once per page
+let lastProcessedMessages = new Set();
+
+// Report the user messages that haven't been reported yet
+// Returns false if any message should be checked again later
+function processUserMessages(userMessages) {
     let allPromptsValid = true;
     
-    // Process each user message
     userMessages.forEach(message => {
         const promptText = extractMessageText(message);
+        const code = extractCodeText(message);
+        const attachments = findAttachments([message]);
+        if (!promptText && !code && attachments.length === 0) return;
         
-        // Generate a unique key for this prompt
-        const promptKey = promptText.substring(0, 50);
+        const messageId = getMessageId(message);
+        if (!messageId) {
+            allPromptsValid = false; // No conversation id in the URL yet
+            return;
+        }
+        const editOf = findEditedMessageId(message, messageId);
+        if (lastProcessedMessages.has(messageId)) return;
         
-        // Check if the prompt seems incomplete or unexpected
-        if (promptText && promptText.length > 0) {
-            if (!lastProcessedPrompts.has(promptKey)) {
-                console.log('Found new prompt:', promptText.substring(0, 50) + '...');
-                
-                // Add the new prompt to our history
-                const added = addPromptToHistory(promptText);
-                
-                // If the prompt couldn't be added (e.g., it's invalid), mark for retry
-                if (!added) {
-                    allPromptsValid = false;
-                } else {
-                    // Mark this prompt as processed
-                    lastProcessedPrompts.add(promptKey);
-                
-                    // Keep the processed prompts set from growing too large
-                    if (lastProcessedPrompts.size > 200) {
-                        // Remove the oldest entries (approximately)
-                        const iterator = lastProcessedPrompts.values();
-                        for (let i = 0; i < 50; i++) {
-                            lastProcessedPrompts.delete(iterator.next().value);
-                        }
-                    }
-                }
-            }
-        } else if (promptText !== '') {
-            // If promptText exists but appears incomplete, mark for retry
+        console.log('Found new prompt:', promptText.substring(0, 50) + '...');
+        if (!addPromptToHistory(promptText, messageId, { editOf, code, attachments })) {
             allPromptsValid = false;
+            return;
+        }
+        lastProcessedMessages.add(messageId);
+        
+        // Keep the processed messages set from growing too large
+        if (lastProcessedMessages.size > 200) {
+            // Remove the oldest entries (approximately); the worker still ignores them if seen again
+            const iterator = lastProcessedMessages.values();
+            for (let i = 0; i < 50; i++) {
+                lastProcessedMessages.delete(iterator.next().value);
+            }
         }
     });
     
-    // If any prompt appears incomplete, schedule another check
-    if (!allPromptsValid) {
-        console.log('Some prompts appear incomplete, will retry in 7 seconds');
-        setTimeout(processChat, 7000);
+    return allPromptsValid;
+}
+
+// Wait this long after the last change to the thread before processing, so a
+// burst of mutations (a message rendering, a reply streaming) is handled once
+const MUTATION_SETTLE_DELAY = 500;
+
+// Wait this long before rescanning for prompts that couldn't be recorded
+const RETRY_DELAY = 7000;
+
+// Observer of the conversation thread, and the element it watches
+let threadObserver = null;
+let observedThread = null;
+
+// User and assistant messages added or changed since the thread was last processed
+let changedUserMessages = new Set();
+let changedResponseMessages = new Set();
+let fullScanRequested = false;
+let processingTimer = null;
+let retryTimer = null;
+
+// Find the user messages on the page, trying the alternative selectors if there are none
+function findAllUserMessages() {
+    const userMessages = document.querySelectorAll(siteAdapter.userMessageSelector);
+    if (userMessages.length > 0 || !siteAdapter.alternativeUserMessageSelector) {
+        return Array.from(userMessages);
     }
     
-    // If the direct approach didn't find anything, try alternative selectors
-    if (userMessages.length === 0) {
-        console.log('Falling back to alternative message detection methods...');
-        
-        // Try to find user messages through other selectors
-        const alternativeUserMessages = document.querySelectorAll('[role="row"] [data-role="user"], .message-thread [data-testid*="user"], .user-message');
-        
-        let allAlternativePromptsValid = true;
+    return Array.from(document.querySelectorAll(siteAdapter.alternativeUserMessageSelector));
+}
+
+// Collect the messages a batch of mutations added or changed
+// Covers whole messages being inserted and text arriving inside an existing message;
+// new replies to earlier prompts are how regenerations and branch switches show up
+function collectChangedMessages(mutations) {
+    const userSelector = [siteAdapter.userMessageSelector, siteAdapter.alternativeUserMessageSelector]
+        .filter(Boolean).join(', ');
+    const collect = (element) => {
+        const userMessage = element.closest(userSelector);
+        if (userMessage) changedUserMessages.add(userMessage);
+        const responseMessage = element.closest(siteAdapter.assistantMessageSelector);
+        if (responseMessage) changedResponseMessages.add(responseMessage);
+    };
+    
+    mutations.forEach(mutation => {
+        const target = mutation.target.nodeType === Node.ELEMENT_NODE ? mutation.target : mutation.target.parentElement;
+        if (target) collect(target);
         
-        alternativeUserMessages.forEach(message => {
-            const promptText = extractMessageText(message);
-            const promptKey = promptText.substring(0, 50);
-            
-            if (promptText && promptText.length > 0) {
-                if (!lastProcessedPrompts.has(promptKey)) {
-                    const added = addPromptToHistory(promptText);
-                    if (!added) {
-                        allAlternativePromptsValid = false;
-                    } else {
-                        lastProcessedPrompts.add(promptKey);
-                    }
-                }
-            } else if (promptText !== '') {
-                allAlternativePromptsValid = false;
-            }
+        mutation.addedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            collect(node);
+            node.querySelectorAll(`${userSelector}, ${siteAdapter.assistantMessageSelector}`).forEach(collect);
         });
-        
-        // If any alternative prompt appears incomplete, schedule another check
-        if (!allAlternativePromptsValid) {
-            console.log('Some alternative prompts appear incomplete, will retry in 7 seconds');
-            setTimeout(processChat, 7000);
+    });
+}
+
+// Queue the replies that changed for measuring, for prompts the worker has recorded
+function queueChangedResponses() {
+    if (changedResponseMessages.size === 0) return;
+    
+    const messages = Array.from(document.querySelectorAll(getAllMessagesSelector()));
+    changedResponseMessages.forEach(responseMessage => {
+        const userMessage = responseMessage.isConnected && findPromptMessage(responseMessage, messages);
+        const messageId = userMessage && getMessageId(userMessage);
+        if (messageId && recordedMessages.has(messageId)) {
+            pendingResponses.add(messageId);
+        }
+    });
+    changedResponseMessages = new Set();
+}
+
+// Process the chat once the thread has settled
+// fullScan - Recheck every message on the page instead of only the changed ones
+function scheduleProcessing(fullScan = false) {
+    fullScanRequested = fullScanRequested || fullScan;
+    clearTimeout(processingTimer);
+    processingTimer = setTimeout(processChat, MUTATION_SETTLE_DELAY);
+}
+
+// Rescan the whole chat later for prompts that couldn't be recorded
+function scheduleRetry() {
+    if (retryTimer) return;
+    
+    console.log(`Some prompts could not be recorded yet, will retry in ${RETRY_DELAY / 1000} seconds`);
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        scheduleProcessing(true);
+    }, RETRY_DELAY);
+}
+
+// Record the new prompts and measure the replies that finished since the last run
+function processChat() {
+    processingTimer = null;
+    
+    let userMessages;
+    if (fullScanRequested) {
+        userMessages = findAllUserMessages();
+        console.log(`Processing chat: found ${userMessages.length} user messages`);
+    } else {
+        // Only the messages that changed; the site's markup wins over the alternatives as in a full scan
+        userMessages = Array.from(changedUserMessages).filter(message => message.isConnected);
+        if (document.querySelector(siteAdapter.userMessageSelector)) {
+            userMessages = userMessages.filter(message => message.matches(siteAdapter.userMessageSelector));
         }
     }
+    fullScanRequested = false;
+    changedUserMessages = new Set();
+    
+    if (!processUserMessages(userMessages)) {
+        scheduleRetry();
+    }
+    
+    // Measure replies that finished streaming since the last run
+    queueChangedResponses();
+    processPendingResponses();
 }
 
-// Setup periodic check for new messages
-function setupPeriodicCheck() {
-    console.log('ChatGPT Recorder: Setting up periodic check for new messages (every 7 seconds)');
+// Watch the conversation thread for new messages and streaming replies
+// Re-attaches when the site replaces the thread, e.g. after switching chats
+function observeThread() {
+    const thread = document.querySelector(siteAdapter.threadSelector) || document.body;
+    if (thread === observedThread) return;
+    
+    if (!threadObserver) {
+        threadObserver = new MutationObserver(mutations => {
+            collectChangedMessages(mutations);
+            scheduleProcessing();
+        });
+    }
     
-    // Do initial processing after a short delay to ensure page is loaded
-    setTimeout(processChat, 2000);
+    threadObserver.disconnect();
+    threadObserver.observe(thread, {
+        childList: true,
+        subtree: true,
+        characterData: true, // Prompt text rendered into an existing message
+        attributes: true,
+        attributeFilter: siteAdapter.watchedAttributes // Streaming state and ids assigned after rendering
+    });
+    observedThread = thread;
+    console.log(`${siteAdapter.name} Recorder: Watching the conversation for new messages`);
+}
+
+// Conversation turns in common chat markup, used to tell how many messages a page
+// shows when the adapter's selectors find none
+const GENERIC_TURN_SELECTOR = 'article, [role="article"], [data-testid*="conversation-turn"]';
+
+// Report which of the adapter's selectors match on this page and how much was recorded
+// Shown by the popup's capture check, which judges it with captureHealth.js
+function collectDiagnostics() {
+    const count = (selector) => selector ? document.querySelectorAll(selector).length : null;
+    const userMessages = Array.from(document.querySelectorAll(siteAdapter.userMessageSelector));
+    const idsOnPage = findAllUserMessages().map(getMessageId).filter(Boolean);
     
-    // Set up interval to check for new messages every 7 seconds
-    setInterval(processChat, 7000);
+    return {
+        provider: siteAdapter.id,
+        providerName: siteAdapter.name,
+        host: location.hostname,
+        conversationId: getConversationId(),
+        selectors: [
+            { name: 'Thread', selector: siteAdapter.threadSelector, matches: count(siteAdapter.threadSelector) },
+            { name: 'User messages', selector: siteAdapter.userMessageSelector, matches: userMessages.length },
+            { name: 'Fallback user messages', selector: siteAdapter.alternativeUserMessageSelector, matches: count(siteAdapter.alternativeUserMessageSelector) },
+            { name: 'Replies', selector: siteAdapter.assistantMessageSelector, matches: count(siteAdapter.assistantMessageSelector) },
+            { name: 'Streaming reply', selector: siteAdapter.streamingSelector, matches: count(siteAdapter.streamingSelector) },
+            { name: 'Stop button', selector: siteAdapter.stopButtonSelector, matches: count(siteAdapter.stopButtonSelector) },
+            { name: 'Model picker', selector: siteAdapter.modelPickerSelector, matches: count(siteAdapter.modelPickerSelector) }
+        ].filter(entry => entry.selector),
+        userMessages: userMessages.length,
+        alternativeUserMessages: count(siteAdapter.alternativeUserMessageSelector) || 0,
+        assistantMessages: count(siteAdapter.assistantMessageSelector),
+        turns: count(GENERIC_TURN_SELECTOR),
+        recordedMessages: idsOnPage.filter(id => recordedMessages.has(id)).length,
+        unconfirmedMessages: idsOnPage.filter(id => lastProcessedMessages.has(id) && !recordedMessages.has(id)).length,
+        pendingResponses: pendingResponses.size,
+        model: detectModel()
+    };
 }
 
 // Add a floating button to view conversation history
@@ -363,8 +833,21 @@ function toggleHistoryOverlay() {
     updateHistoryOverlay(overlay);
 }
 
-// Update the history overlay with current conversation history
+// Get the history overlay if it is shown; a hidden one is updated when it is shown again
+function getOpenHistoryOverlay() {
+    const overlay = document.getElementById('chatgpt-history-overlay');
+    return overlay && overlay.style.display !== 'none' ? overlay : null;
+}
+
+// Update the history overlay with the latest history from the background worker
 function updateHistoryOverlay(overlay) {
+    loadConversationHistory()
+        .catch(e => console.error('Error loading conversation history:', e))
+        .then(() => renderHistoryOverlay(overlay));
+}
+
+// Render the conversation history into the overlay
+function renderHistoryOverlay(overlay) {
     const content = overlay.querySelector('#chatgpt-history-content');
     
     if (conversationHistory.length === 0) {
@@ -396,7 +879,7 @@ function updateHistoryOverlay(overlay) {
         
         const prompt = document.createElement('div');
         prompt.style.cssText = 'background-color: #f0f0f0; padding: 8px; border-radius: 4px; white-space: pre-wrap;';
-        prompt.textContent = item.prompt;
+        prompt.textContent = item.redacted ? `(redacted, ${item.promptHash})` : item.prompt;
         
         const energyInfo = document.createElement('div');
         energyInfo.style.cssText = 'margin-top: 8px; font-size: 12px; color: #333;';
@@ -443,7 +926,8 @@ function exportHistoryAsCSV() {
     conversationHistory.forEach(item => {
         // Escape quotes and format for CSV
         const timestamp = item.timestamp;
-        const prompt = `"${item.prompt.replace(/"/g, '""')}"`;
+        const text = item.redacted ? `[redacted ${item.promptHash}]` : item.prompt;
+        const prompt = `"${text.replace(/"/g, '""')}"`;
         
         csvContent += `${timestamp},${prompt}\n`;
     });
@@ -461,24 +945,38 @@ function exportHistoryAsCSV() {
 }
 
 // Initialize when the page is loaded
-function initialize() {
-    console.log('ChatGPT Conversation Recorder initialized');
-    loadConversationHistory();
+async function initialize() {
+    console.log(`${siteAdapter.name} Conversation Recorder initialized`);
+    
+    try {
+        await migrateLegacyHistory();
+    } catch (e) {
+        console.error('Error migrating conversation history from localStorage:', e);
+    }
     
-    // Give page more time to fully load before starting
-    setTimeout(() => {
-        setupPeriodicCheck();
-        addViewerButton();
-    }, 3000);
+    // Record the messages already on the page, then only what changes
+    observeThread();
+    scheduleProcessing(true);
+    addViewerButton();
     
-    // Also process whenever the URL changes (for when navigating between chats)
+    // Switching chats renders a different conversation, possibly in a new thread element,
+    // and the thread may only be rendered after the page has loaded
     let lastUrl = location.href;
     new MutationObserver(() => {
-        if (location.href !== lastUrl) {
-            lastUrl = location.href;
-            console.log('URL changed, processing chat...');
-            setTimeout(processChat, 2000);
+        const urlChanged = location.href !== lastUrl;
+        const threadReplaced = !observedThread.isConnected ||
+            (observedThread === document.body && document.querySelector(siteAdapter.threadSelector) !== null);
+        if (!urlChanged && !threadReplaced) return;
+        
+        lastUrl = location.href;
+        if (urlChanged) {
+            // Report the messages again: a new chat's first prompt was sent before its
+            // id was in the URL, and the worker needs it to count that turn as context
+            lastProcessedMessages = new Set();
         }
+        console.log('Conversation changed, processing chat...');
+        observeThread();
+        scheduleProcessing(true);
     }).observe(document, {subtree: true, childList: true});
     
     // Listen for messages from the extension popup
@@ -486,19 +984,38 @@ function initialize() {
         if (request.action === "showHistoryOverlay") {
             toggleHistoryOverlay();
             sendResponse({status: "Overlay toggled"});
-        } else if (request.action === "getConversationHistory") {
-            sendResponse({history: conversationHistory});
-        } else if (request.action === "clearHistory") {
+        } else if (request.action === "runDiagnostics") {
+            const report = collectDiagnostics();
+            console.log(`${siteAdapter.name} Recorder diagnostics:`, report);
+            sendResponse(report);
+        } else if (request.action === "historyChanged") {
+            // Entries were deleted or redacted from the popup; an open overlay mustn't keep showing them
+            const overlay = getOpenHistoryOverlay();
+            if (overlay) {
+                updateHistoryOverlay(overlay);
+            } else {
+                loadConversationHistory().catch(e => console.error('Error reloading history:', e));
+            }
+            sendResponse({success: true});
+        } else if (request.action === "historyCleared") {
+            // History was cleared in the extension's store (from the popup)
             conversationHistory = [];
-            saveConversationHistory();
+            recordedMessages = new Set();
+            pendingResponses = new Set();
+            measuredResponses = new Set();
+            const overlay = getOpenHistoryOverlay();
+            if (overlay) renderHistoryOverlay(overlay);
             sendResponse({success: true});
         }
-        return true;
+        // Every action is answered before returning, so the channel isn't kept open
+        return false;
     });
 }
 
 // Wait for the page to be fully loaded
-if (document.readyState === 'loading') {
+if (!siteAdapter) {
+    console.warn(`Prompt Recorder: No site adapter for ${location.hostname}`);
+} else if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', initialize);
 } else {
     initialize();
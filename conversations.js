@@ -0,0 +1,161 @@
+/**
+ * How Wet is AI? - Conversations
+ *
+ * Groups recorded prompts by the conversation they were sent in, and works out
+ * how much of the earlier conversation each turn re-reads. Chat models keep
+ * no memory between turns: every new prompt is processed together with all
+ * the prompts and replies before it, so most of the input of a long chat's
+ * later turns is context. The background worker charges that context with
+ * each prompt's energy and answers the popup's conversation view with these
+ * groups.
+ *
+ * A turn is a prompt with all its versions: the original, its edits and its
+ * regenerated replies, which share the original's id as their turn id.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+import { getAdjustedEnergy } from './historyStats.js';
+
+/**
+ * Get the id of the turn an entry belongs to
+ *
+ * INPUT: entry - History entry
+ * OUTPUT: Id of the turn's first version
+ * EXAMPLE: getTurnId({ id: 'b', kind: 'regeneration', parentId: 'a' }) // Returns 'a'
+ */
+function getTurnId(entry) {
+  return entry.parentId || entry.id;
+}
+
+/**
+ * Count the tokens a turn adds to the context of later turns
+ *
+ * Its prompt (with any pasted code) and its visible reply; hidden reasoning
+ * tokens are discarded by the models after each turn
+ *
+ * INPUT: entry - History entry
+ * OUTPUT: Token count, using the reply's estimated size until it was measured
+ * EXAMPLE: getTurnTokens({ energyData: { promptTokens: 12, observedResponseTokens: 300 } }) // Returns 312
+ */
+function getTurnTokens(entry) {
+  const energyData = entry.energyData || {};
+  const responseTokens = energyData.observedResponseTokens != null
+    ? energyData.observedResponseTokens
+    : energyData.estimatedResponseTokens;
+  return (energyData.promptTokens || 0) + (responseTokens || 0);
+}
+
+/**
+ * Count the context tokens an entry was processed with
+ *
+ * The context is every turn started before the entry's own turn, each in the
+ * version that was current when the entry was sent. Turns that an edit of an
+ * earlier prompt cut off (the old branch) are no longer part of the context.
+ *
+ * INPUT: entry - History entry (needs id, parentId and timestamp),
+ *        conversationEntries - Other entries of the same conversation, in any order
+ * OUTPUT: Number of context tokens (0 for the first turn)
+ * EXAMPLE: For the third prompt of a chat whose first two turns took 150 and 420 tokens,
+ *          getContextTokens(third, [first, second]) // Returns 570
+ */
+function getContextTokens(entry, conversationEntries) {
+  const turnId = getTurnId(entry);
+
+  // Versions of each turn that existed when the entry was sent
+  const turns = new Map();
+  conversationEntries.forEach(other => {
+    if (other.id === entry.id || other.timestamp > entry.timestamp) return;
+    const otherTurnId = getTurnId(other);
+    if (!turns.has(otherTurnId)) turns.set(otherTurnId, []);
+    turns.get(otherTurnId).push(other);
+  });
+
+  // A turn starts with its first version
+  const getTurnStart = versions => versions.reduce((start, version) =>
+    version.timestamp < start ? version.timestamp : start, versions[0].timestamp);
+  const ownVersions = turns.get(turnId) || [];
+  const entryTurnStart = ownVersions.length > 0 ? getTurnStart([entry, ...ownVersions]) : entry.timestamp;
+
+  // Editing a prompt starts a new branch without the turns that followed it
+  const edits = [];
+  turns.forEach(versions => {
+    const start = getTurnStart(versions);
+    versions.filter(version => version.kind === 'edit').forEach(edit => edits.push({ start, time: edit.timestamp }));
+  });
+
+  let contextTokens = 0;
+  turns.forEach((versions, otherTurnId) => {
+    if (otherTurnId === turnId) return;
+    const start = getTurnStart(versions);
+    if (start >= entryTurnStart) return;
+    if (edits.some(edit => edit.start < start && start < edit.time)) return;
+
+    const current = versions.reduce((latest, version) => version.timestamp > latest.timestamp ? version : latest);
+    contextTokens += getTurnTokens(current);
+  });
+
+  return contextTokens;
+}
+
+/**
+ * Group recorded prompts by conversation
+ *
+ * Prompts recorded without a conversation id (e.g. before conversations were
+ * tracked) form a single group whose conversationId is null
+ *
+ * INPUT: history - Recorded prompts, coefficients - Saved coefficients (or null)
+ * OUTPUT: Conversations, most recently active first, each with its conversationId, title and url
+ *         (null until a tab reported them), provider, providerName, startedAt, lastActivity,
+ *         turnCount, entries (oldest first), totalTokens, contextTokens, maxContextTokens, realWorldKWh and realWorldWaterUsageMl
+ * EXAMPLE: groupConversations(history, null) // Returns [{conversationId: '6f2c...', turnCount: 12, ...}, ...]
+ */
+function groupConversations(history, coefficients) {
+  const groups = new Map();
+  history.forEach(entry => {
+    const key = entry.conversationId || null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  });
+
+  const conversations = Array.from(groups, ([conversationId, entries]) => {
+    entries.sort((a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0));
+
+    let totalTokens = 0, contextTokens = 0, maxContextTokens = 0, realWorldKWh = 0, realWorldWaterUsageMl = 0;
+    entries.forEach(entry => {
+      if (!entry.energyData) return;
+      const adjusted = getAdjustedEnergy(entry.energyData, coefficients);
+      totalTokens += entry.energyData.totalTokens || 0;
+      contextTokens += entry.energyData.contextTokens || 0;
+      maxContextTokens = Math.max(maxContextTokens, entry.energyData.contextTokens || 0);
+      realWorldKWh += adjusted.realWorldKWh;
+      realWorldWaterUsageMl += adjusted.realWorldWaterUsageMl;
+    });
+
+    // Chats are renamed (and only named after their first reply), so the newest title wins
+    const latest = field => entries.reduce((value, entry) => entry[field] || value, null);
+
+    const first = entries[0];
+    return {
+      conversationId,
+      title: latest('conversationTitle'),
+      url: latest('conversationUrl'),
+      provider: first.provider,
+      providerName: first.providerName,
+      startedAt: first.timestamp,
+      lastActivity: entries[entries.length - 1].timestamp,
+      turnCount: new Set(entries.map(getTurnId)).size,
+      entries,
+      totalTokens,
+      contextTokens,
+      maxContextTokens,
+      realWorldKWh,
+      realWorldWaterUsageMl
+    };
+  });
+
+  return conversations.sort((a, b) => (a.lastActivity < b.lastActivity ? 1 : a.lastActivity > b.lastActivity ? -1 : 0));
+}
+
+export { getTurnId, getTurnTokens, getContextTokens, groupConversations };
@@ -0,0 +1,177 @@
+/**
+ * Pure-JS byte pair encoding (BPE) tokenizer
+ * 
+ * Implements the tiktoken encoding algorithm so prompts can be tokenized
+ * exactly like OpenAI models do, without WASM or network access. Vocabularies
+ * are shipped offline in ./encoders (cl100k_base for GPT-4 / GPT-3.5,
+ * o200k_base for GPT-4o and the o-series), in the compressed rank format used
+ * by tiktoken's JavaScript ports.
+ * 
+ * @module bpeTokenizer
+ * @author Anonymous
+ * @version 1.0.0
+ */
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Converts a tiktoken regex into one JavaScript understands
+ * 
+ * tiktoken patterns use scoped case-insensitive groups like (?i:'s|'t), which
+ * JavaScript regexes don't support. Letters inside those groups are expanded
+ * into character classes instead.
+ * 
+ * @param {string} pattern - Pattern string from the vocabulary file
+ * @returns {RegExp} Global, unicode-aware splitting regex
+ * 
+ * @example
+ * toJavaScriptRegex("(?i:'s|'t)|\\s+") // Returns /(?:'[sS]|'[tT])|\s+/gu
+ */
+function toJavaScriptRegex(pattern) {
+  const converted = pattern.replace(/\(\?i:([^()]*)\)/g, (match, body) => {
+    const expanded = body.replace(/[a-z]/g, letter => `[${letter}${letter.toUpperCase()}]`);
+    return `(?:${expanded})`;
+  });
+  return new RegExp(converted, 'gu');
+}
+
+/**
+ * Converts a byte array into a string key with one character per byte
+ * 
+ * @param {Uint8Array} bytes - Raw bytes
+ * @returns {string} Map key for the rank table
+ */
+function bytesToKey(bytes) {
+  let key = '';
+  for (let i = 0; i < bytes.length; i++) {
+    key += String.fromCharCode(bytes[i]);
+  }
+  return key;
+}
+
+/**
+ * Parses the compressed rank table of a vocabulary file
+ * 
+ * Each line reads "<label> <offset> <token> <token> ..." where tokens are
+ * base64 encoded byte sequences whose ranks count up from the offset.
+ * 
+ * @param {string} bpeRanks - The bpe_ranks field of a vocabulary file
+ * @returns {Map<string, number>} Byte sequence key → merge rank
+ */
+function parseRanks(bpeRanks) {
+  const ranks = new Map();
+
+  for (const line of bpeRanks.split('\n')) {
+    if (!line) continue;
+
+    const [, offsetText, ...tokens] = line.split(' ');
+    const offset = parseInt(offsetText, 10);
+
+    tokens.forEach((token, index) => {
+      ranks.set(atob(token), offset + index);
+    });
+  }
+
+  return ranks;
+}
+
+/**
+ * Tokenizer for a single BPE vocabulary
+ * 
+ * @example
+ * const tokenizer = new BpeTokenizer(await loadVocabulary("cl100k_base"));
+ * tokenizer.countTokens("What is the capital of France?") // Returns 7
+ */
+class BpeTokenizer {
+  /**
+   * Build a tokenizer from a parsed vocabulary file
+   * 
+   * @param {Object} vocabulary - Contents of an ./encoders/*.json file
+   * @param {string} vocabulary.pat_str - Pre-tokenization regex
+   * @param {Object<string, number>} vocabulary.special_tokens - Special token ids
+   * @param {string} vocabulary.bpe_ranks - Compressed rank table
+   */
+  constructor({ pat_str, special_tokens, bpe_ranks }) {
+    this.pattern = toJavaScriptRegex(pat_str);
+    this.specialTokens = special_tokens || {};
+    this.ranks = parseRanks(bpe_ranks);
+  }
+
+  /**
+   * Encode text into token ids
+   * 
+   * Special tokens such as <|endoftext|> are treated as plain text, matching
+   * how chat interfaces handle user input.
+   * 
+   * @param {string} text - Text to encode
+   * @returns {number[]} Token ids
+   */
+  encode(text) {
+    const tokens = [];
+
+    for (const [piece] of (text || '').matchAll(this.pattern)) {
+      const bytes = textEncoder.encode(piece);
+      const rank = this.ranks.get(bytesToKey(bytes));
+
+      if (rank !== undefined) {
+        tokens.push(rank);
+      } else {
+        tokens.push(...this.bytePairEncode(bytes));
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * Count the tokens in a text
+   * 
+   * @param {string} text - Text to measure
+   * @returns {number} Number of tokens
+   */
+  countTokens(text) {
+    return this.encode(text).length;
+  }
+
+  /**
+   * Merge the bytes of one pre-tokenized piece into tokens
+   * 
+   * Repeatedly merges the adjacent pair with the lowest rank until no
+   * mergeable pair remains, exactly as tiktoken's byte_pair_merge does.
+   * 
+   * @param {Uint8Array} bytes - UTF-8 bytes of the piece
+   * @returns {number[]} Token ids for the piece
+   */
+  bytePairEncode(bytes) {
+    // Boundaries between the current parts; part i spans bytes[bounds[i]..bounds[i + 1])
+    const bounds = Array.from({ length: bytes.length + 1 }, (_, i) => i);
+    const rankOf = (start, end) => {
+      const rank = this.ranks.get(bytesToKey(bytes.subarray(start, end)));
+      return rank === undefined ? Infinity : rank;
+    };
+
+    while (bounds.length > 2) {
+      let lowestRank = Infinity;
+      let lowestIndex = -1;
+
+      for (let i = 0; i < bounds.length - 2; i++) {
+        const rank = rankOf(bounds[i], bounds[i + 2]);
+        if (rank < lowestRank) {
+          lowestRank = rank;
+          lowestIndex = i;
+        }
+      }
+
+      if (lowestIndex === -1) break;
+      bounds.splice(lowestIndex + 1, 1);
+    }
+
+    const tokens = [];
+    for (let i = 0; i < bounds.length - 1; i++) {
+      tokens.push(rankOf(bounds[i], bounds[i + 1]));
+    }
+    return tokens;
+  }
+}
+
+export { BpeTokenizer };
@@ -0,0 +1,87 @@
+/**
+ * Adjustable estimation coefficients
+ * 
+ * Every tunable number in calculateEnergy is described here with its default
+ * and a plausible range, so the settings page can expose them for sensitivity
+ * experiments and the calculator can reject values that make no sense.
+ * 
+ * Data center PUE and water figures are not listed: they come from the
+ * selected region (see regionProfiles.js).
+ * 
+ * @module coefficients
+ * @author Anonymous
+ * @version 1.0.0
+ */
+
+/**
+ * Coefficient definitions, in the order the settings page shows them
+ * 
+ * group "deployment" - Multipliers from direct inference energy to real-world energy
+ * group "prompt" - Energy modifiers added for demanding prompts
+ * group "attachment" - Direct energy of uploaded files, images and voice, and of generated images
+ */
+const COEFFICIENT_DEFINITIONS = Object.freeze([
+  { key: 'IDLE_LOAD_FACTOR', group: 'deployment', label: 'Idle load', description: 'Servers keeping the model in memory and handling context', default: 1.7, min: 1, max: 5 },
+  { key: 'NETWORK_OVERHEAD_FACTOR', group: 'deployment', label: 'Network', description: 'Network transmission energy', default: 1.15, min: 1, max: 3 },
+  { key: 'AMORTIZED_TRAINING_FACTOR', group: 'deployment', label: 'Amortized training', description: 'Share of training energy charged to each inference', default: 1.2, min: 1, max: 5 },
+  { key: 'PRODUCTION_ENVIRONMENT_FACTOR', group: 'deployment', label: 'Production environment', description: 'Shared resources, load balancing, redundancy', default: 1.3, min: 1, max: 3 },
+  { key: 'SIMPLE_REASONING_MODIFIER', group: 'prompt', label: 'Simple reasoning', description: 'Added for prompts with simple reasoning', default: 0.15, min: 0, max: 5 },
+  { key: 'MODERATE_REASONING_MODIFIER', group: 'prompt', label: 'Moderate reasoning', description: 'Added for prompts with moderate reasoning', default: 0.4, min: 0, max: 5 },
+  { key: 'COMPLEX_REASONING_MODIFIER', group: 'prompt', label: 'Complex reasoning', description: 'Added for prompts with complex reasoning', default: 0.8, min: 0, max: 5 },
+  { key: 'MEDIUM_OPENNESS_MODIFIER', group: 'prompt', label: 'Medium openness', description: 'Added for somewhat open-ended prompts', default: 0.25, min: 0, max: 5 },
+  { key: 'HIGH_OPENNESS_MODIFIER', group: 'prompt', label: 'High openness', description: 'Added for open-ended, creative prompts', default: 0.4, min: 0, max: 5 },
+  { key: 'COMPLEXITY_WEIGHT', group: 'prompt', label: 'Vocabulary complexity weight', description: 'Multiplied by the 0-1 vocabulary complexity score', default: 0.4, min: 0, max: 5 },
+  { key: 'BASE_INFERENCE_OVERHEAD', group: 'prompt', label: 'Base inference overhead', description: 'Model parallelism and attention overhead for every prompt', default: 0.1, min: 0, max: 5 },
+  { key: 'MEDIUM_INFERENCE_OVERHEAD', group: 'prompt', label: 'Medium inference overhead', description: 'Used instead of the base overhead for complex reasoning or vocabulary', default: 0.2, min: 0, max: 5 },
+  { key: 'HIGH_INFERENCE_OVERHEAD', group: 'prompt', label: 'High inference overhead', description: 'Used instead of the base overhead for complex reasoning with complex vocabulary', default: 0.3, min: 0, max: 5 },
+  { key: 'IMAGE_INPUT_KWH', group: 'attachment', label: 'Uploaded image (kWh)', description: 'Reading one uploaded image, about 765 tokens at GPT-4 input rates', default: 0.0015, min: 0, max: 0.05 },
+  { key: 'IMAGE_GENERATION_KWH', group: 'attachment', label: 'Generated image (kWh)', description: 'Generating one image; Luccioni et al. (2023) measured 2.9 kWh per 1,000 images', default: 0.0029, min: 0, max: 0.1 },
+  { key: 'DOCUMENT_KWH_PER_KB', group: 'attachment', label: 'Document (kWh per KB)', description: 'Reading each kilobyte of an attached file', default: 0.0001, min: 0, max: 0.01 },
+  { key: 'AUDIO_KWH_PER_SECOND', group: 'attachment', label: 'Voice (kWh per second)', description: 'Transcribing or speaking one second of a voice conversation', default: 0.00002, min: 0, max: 0.001 }
+]);
+
+// Default value of every coefficient, keyed by coefficient key
+const DEFAULT_COEFFICIENTS = Object.freeze(
+  Object.fromEntries(COEFFICIENT_DEFINITIONS.map(definition => [definition.key, definition.default]))
+);
+
+/**
+ * Validates user-supplied coefficients
+ * 
+ * Missing coefficients take their default. Values that are not numbers or lie
+ * outside their range are reported and replaced by the default, so a bad
+ * setting can never produce nonsense figures.
+ * 
+ * @param {Object} [values] - Coefficient values keyed by coefficient key; numeric strings are accepted
+ * @returns {{coefficients: Object, errors: Object<string, string>}} The complete
+ *   coefficient set and an error message per rejected key
+ * 
+ * @example
+ * validateCoefficients({ IDLE_LOAD_FACTOR: "2", NETWORK_OVERHEAD_FACTOR: 0.5 })
+ * // Returns { coefficients: { IDLE_LOAD_FACTOR: 2, NETWORK_OVERHEAD_FACTOR: 1.15, ... },
+ * //           errors: { NETWORK_OVERHEAD_FACTOR: "Network must be between 1 and 3" } }
+ */
+function validateCoefficients(values = {}) {
+  const coefficients = {};
+  const errors = {};
+
+  for (const { key, label, min, max } of COEFFICIENT_DEFINITIONS) {
+    const raw = values ? values[key] : undefined;
+    coefficients[key] = DEFAULT_COEFFICIENTS[key];
+
+    if (raw === undefined || raw === null || raw === '') continue;
+
+    const value = typeof raw === 'number' ? raw : Number(raw);
+    if (!Number.isFinite(value)) {
+      errors[key] = `${label} must be a number`;
+    } else if (value < min || value > max) {
+      errors[key] = `${label} must be between ${min} and ${max}`;
+    } else {
+      coefficients[key] = value;
+    }
+  }
+
+  return { coefficients, errors };
+}
+
+export { COEFFICIENT_DEFINITIONS, DEFAULT_COEFFICIENTS, validateCoefficients };
@@ -0,0 +1,338 @@
+/**
+ * Energy and water usage calculator shared by the extension and the CLI
+ * 
+ * Combines token counts with the prompt analysis scores to estimate both the
+ * theoretical direct inference energy of a prompt and its real-world energy
+ * once data center and deployment overheads are included.
+ * 
+ * @module energyCalculator
+ * @author Anonymous
+ * @version 1.0.0
+ */
+
+import { estimateResponseTokens } from "./tokenEstimator.js";
+import { getVocabComplexity, getReasoningLevel, getOpennessScore } from "./promptAnalysis.js";
+import { countTokens } from "./tokenCounter.js";
+import { getModelProfile, getModelName } from "./modelProfiles.js";
+import { getRegionProfile } from "./regionProfiles.js";
+import { DEFAULT_COEFFICIENTS, validateCoefficients } from "./coefficients.js";
+
+// Version of the estimation methodology, stored with every result as methodologyVersion
+// Bump this whenever a change to the estimator alters the figures it produces, so
+// stored history can be recognized as outdated and recomputed
+// Entries recorded before versioning have no methodologyVersion
+// Version 1 is the shared engine, which also keeps vocabulary complexity from going below 0
+// Version 2 charges attachments with their own factors (options.attachments)
+// Version 3 counts pasted code apart (options.codeTokens) and times hidden reasoning (options.reasoningSeconds)
+// Version 4 charges the earlier turns of a conversation as context (options.contextTokens)
+// Version 5 counts each prompt in its model's own vocabulary (the profile's encoding)
+// Version 6 charges unknown models on other chat sites as a typical model of the site (options.provider)
+const METHODOLOGY_VERSION = 6;
+
+// Water usage estimation factor (ml per kWh)
+// Based on data center cooling efficiency estimates
+// This is the default region's figure; per-region water and PUE live in regionProfiles.js
+const WATER_USAGE_ML_PER_KWH = 1500;
+
+// Most context a prompt is charged for; chat sites truncate or summarize longer
+// conversations to fit the model's context window, 128k tokens for most current models
+const MAX_CONTEXT_TOKENS = 128000;
+
+// Size assumed for an attached document when the page doesn't show it (KB)
+const DEFAULT_DOCUMENT_KB = 100;
+
+/**
+ * Attachment types recognized in options.attachments
+ * Their energy comes from the "attachment" coefficients rather than from tokens
+ */
+const ATTACHMENT_TYPES = Object.freeze({
+  IMAGE: 'image',                    // Image uploaded with the prompt
+  GENERATED_IMAGE: 'generatedImage', // Image generated in the reply
+  DOCUMENT: 'document',              // File attached to the prompt, sized by its bytes
+  AUDIO: 'audio'                     // Voice input or spoken reply, sized by its seconds
+});
+
+/**
+ * Real-world deployment overhead factors
+ * These factors account for the full energy stack of AI inference
+ * Each multiplier represents a different aspect of real-world deployment
+ * These are the defaults, which can be adjusted on the settings page (see coefficients.js);
+ * the data center's PUE comes from the region profile (see regionProfiles.js)
+ */
+const OVERHEAD_FACTORS = Object.freeze({
+  IDLE_LOAD_FACTOR: DEFAULT_COEFFICIENTS.IDLE_LOAD_FACTOR, // Servers maintaining model in memory and context handling
+  NETWORK_OVERHEAD_FACTOR: DEFAULT_COEFFICIENTS.NETWORK_OVERHEAD_FACTOR, // Network transmission energy
+  AMORTIZED_TRAINING_FACTOR: DEFAULT_COEFFICIENTS.AMORTIZED_TRAINING_FACTOR, // Partial amortization of training costs
+  PRODUCTION_ENVIRONMENT_FACTOR: DEFAULT_COEFFICIENTS.PRODUCTION_ENVIRONMENT_FACTOR // Shared resources, load balancing, etc.
+});
+
+/**
+ * Sums the direct energy of the files, images and voice that came with a prompt
+ * 
+ * Attachments of unknown types are ignored. Documents of unknown size are
+ * assumed to be DEFAULT_DOCUMENT_KB, and voice of unknown length adds nothing.
+ * 
+ * @param {Object[]} attachments - Attachments as { type, bytes, seconds }, see ATTACHMENT_TYPES
+ * @param {Object} coefficients - Validated coefficient set
+ * @returns {Object} Counts per type and their total attachmentKWh
+ * 
+ * @example
+ * getAttachmentEnergy([{ type: "image" }, { type: "audio", seconds: 30 }], DEFAULT_COEFFICIENTS)
+ * // Returns {inputImages: 1, generatedImages: 0, documents: 0, audioSeconds: 30, attachmentKWh: 0.0021}
+ */
+function getAttachmentEnergy(attachments, coefficients) {
+  let inputImages = 0, generatedImages = 0, documents = 0, documentKB = 0, audioSeconds = 0;
+
+  for (const attachment of attachments) {
+    switch (attachment && attachment.type) {
+      case ATTACHMENT_TYPES.IMAGE: inputImages++; break;
+      case ATTACHMENT_TYPES.GENERATED_IMAGE: generatedImages++; break;
+      case ATTACHMENT_TYPES.DOCUMENT:
+        documents++;
+        documentKB += attachment.bytes > 0 ? attachment.bytes / 1024 : DEFAULT_DOCUMENT_KB;
+        break;
+      case ATTACHMENT_TYPES.AUDIO:
+        audioSeconds += attachment.seconds > 0 ? attachment.seconds : 0;
+        break;
+    }
+  }
+
+  const attachmentKWh = inputImages * coefficients.IMAGE_INPUT_KWH +
+                        generatedImages * coefficients.IMAGE_GENERATION_KWH +
+                        documentKB * coefficients.DOCUMENT_KWH_PER_KB +
+                        audioSeconds * coefficients.AUDIO_KWH_PER_SECOND;
+
+  return { inputImages, generatedImages, documents, audioSeconds, attachmentKWh };
+}
+
+/**
+ * Calculates estimated energy and water usage for processing a prompt
+ * 
+ * Combines token count, complexity, reasoning level, and openness to estimate
+ * both theoretical direct energy usage and real-world usage with overhead factors
+ * 
+ * When the actual response has been observed, its token count replaces the
+ * estimate so energy reflects what was really generated. The estimate is
+ * still returned for comparison.
+ * 
+ * Input and output tokens are charged at the answering model's rates, and
+ * reasoning models are also charged for their hidden reasoning tokens. When the
+ * chat site showed how long the model thought, the hidden tokens are estimated
+ * from that time at the model's generation speed instead.
+ * 
+ * Chat models have no memory between turns, so every prompt in a conversation
+ * is processed together with the prompts and replies before it. Those context
+ * tokens are charged at the model's input rate, up to MAX_CONTEXT_TOKENS.
+ * 
+ * Code pasted into a prompt is counted separately (see countCodeTokens) and
+ * added to the input tokens without affecting the prompt analysis, since
+ * vocabulary and reasoning scores only make sense for prose.
+ * 
+ * Water and data center PUE come from the region the prompt is assumed to be
+ * served from, so the same prompt can be compared across regions.
+ * 
+ * Uploaded images, documents and voice, and images generated in the reply,
+ * aren't text tokens; their energy comes from dedicated per-image, per-KB and
+ * per-second factors and is added to the direct energy unmodified by the
+ * prompt analysis.
+ * 
+ * @param {string} prompt - The text to analyze
+ * @param {number} [textTokens] - Token count of the prompt's text; counted with countTokens() in the
+ *   model's encoding when omitted
+ * @param {Object} [options] - Additional measurements
+ * @param {number} [options.responseTokens] - Observed token count of the model's response
+ * @param {number} [options.codeTokens] - Token count of code blocks pasted into the prompt
+ * @param {number} [options.contextTokens] - Tokens of the earlier turns of the conversation re-read as context
+ * @param {number} [options.reasoningSeconds] - Observed thinking time, e.g. from "Thought for 12 seconds"
+ * @param {string} [options.model] - Slug of the model that answered, e.g. "gpt-4o-mini" (GPT-4 when omitted)
+ * @param {string} [options.provider] - Chat site the prompt was sent on, e.g. "claude", whose generic
+ *   profile is used when the model is unknown
+ * @param {string} [options.region] - Data center region id, e.g. "nordic" (original estimate when omitted)
+ * @param {Object} [options.coefficients] - Overrides for the adjustable coefficients in coefficients.js;
+ *   missing or invalid values use the defaults
+ * @param {Object[]} [options.attachments] - Files, images and voice of the prompt and reply,
+ *   as { type, bytes, seconds } with type one of ATTACHMENT_TYPES
+ * @returns {Object} Detailed energy and water usage metrics
+ * 
+ * @example
+ * // Calculate energy for a simple query
+ * const simpleEnergy = calculateEnergy("What's the weather today?");
+ * // Returns object with direct and real-world energy/water estimates
+ * // e.g., {directKWh: 0.0000062, realWorldKWh: 0.000078, ...}
+ * 
+ * @example
+ * // Calculate energy for a complex creative request
+ * const complexEnergy = calculateEnergy("Write a 2000 word story about space exploration");
+ * // Returns higher energy usage values
+ * // e.g., {directKWh: 0.000152, realWorldKWh: 0.00192, ...}
+ * 
+ * @example
+ * // Calculate energy once the response is known to be 850 tokens long
+ * const measuredEnergy = calculateEnergy("Explain photosynthesis", 4, { responseTokens: 850 });
+ * // Returns {observedResponseTokens: 850, responseTokens: 850, totalTokens: 854, ...}
+ * 
+ * @example
+ * // Compare the same prompt served from Arizona and from the Nordics
+ * const arizona = calculateEnergy("Explain photosynthesis", 4, { region: "us-arizona" });
+ * const nordic = calculateEnergy("Explain photosynthesis", 4, { region: "nordic" });
+ * // arizona.realWorldWaterUsageMl is many times nordic.realWorldWaterUsageMl
+ * 
+ * @example
+ * // A prompt with a photo whose reply generated an image
+ * const withImages = calculateEnergy("Make this a watercolor", 5, {
+ *   attachments: [{ type: "image", width: 1024, height: 768 }, { type: "generatedImage" }]
+ * });
+ * // Returns {inputImages: 1, generatedImages: 1, attachmentKWh: 0.0044, ...}
+ * 
+ * @example
+ * // o3 thought for 20 seconds before a 500-token answer
+ * const thought = calculateEnergy("Prove there are infinitely many primes", 7, {
+ *   responseTokens: 500, model: "o3", reasoningSeconds: 20
+ * });
+ * // Returns {reasoningSeconds: 20, reasoningTokens: 1200, ...} (20 s at 60 tokens/s)
+ * 
+ * @example
+ * // The tenth turn of a chat whose earlier turns add up to 6000 tokens
+ * const lateTurn = calculateEnergy("And in French?", 4, { responseTokens: 300, contextTokens: 6000 });
+ * // Returns {contextTokens: 6000, totalTokens: 6304, ...}, charging 6004 input tokens
+ */
+function calculateEnergy(prompt, textTokens, options = {}) {
+  const modelProfile = getModelProfile(options.model, options.provider);
+  if (textTokens === undefined) {
+    textTokens = countTokens(prompt, modelProfile.encoding);
+  }
+  
+  // Calculate metrics
+  const codeTokens = Number.isFinite(options.codeTokens) ? options.codeTokens : 0;
+  const promptTokens = textTokens + codeTokens;
+  const contextTokens = options.contextTokens > 0 ? Math.min(options.contextTokens, MAX_CONTEXT_TOKENS) : 0;
+  const estimatedResponseTokens = estimateResponseTokens(prompt, promptTokens);
+  const observedResponseTokens = Number.isFinite(options.responseTokens) ? options.responseTokens : null;
+  const responseTokens = observedResponseTokens !== null ? observedResponseTokens : estimatedResponseTokens;
+  
+  // Reasoning models generate hidden tokens in proportion to their visible answer,
+  // or for as long as the site showed them thinking
+  const regionProfile = getRegionProfile(options.region);
+  const { coefficients } = validateCoefficients(options.coefficients);
+  const reasoningSeconds = options.reasoningSeconds > 0 ? options.reasoningSeconds : null;
+  const reasoningTokens = reasoningSeconds !== null
+    ? Math.round(reasoningSeconds * modelProfile.outputTokensPerSecond)
+    : responseTokens * modelProfile.reasoningTokenMultiplier;
+  const totalTokens = contextTokens + promptTokens + responseTokens + reasoningTokens;
+  
+  const attachmentEnergy = getAttachmentEnergy(Array.isArray(options.attachments) ? options.attachments : [], coefficients);
+  
+  const complexity = getVocabComplexity(prompt);
+  const reasoningLevel = getReasoningLevel(prompt);
+  const openness = getOpennessScore(prompt);
+  
+  // Base energy calculation
+  // This is the theoretical minimum energy for token processing at the model's rates
+  // Example: GPT-4, 1000 tokens → 0.002 kWh base energy
+  const baseKWh = ((contextTokens + promptTokens) / 1000) * modelProfile.inputKWhPer1000Tokens +
+                  ((responseTokens + reasoningTokens) / 1000) * modelProfile.outputKWhPer1000Tokens;
+  
+  // Calculate modifiers based on reasoning and openness
+  // Different reasoning levels require different computational intensities
+  let reasoningModifier = 0;
+  switch(reasoningLevel) {
+    case 3: reasoningModifier = coefficients.COMPLEX_REASONING_MODIFIER; break;
+    case 2: reasoningModifier = coefficients.MODERATE_REASONING_MODIFIER; break;
+    case 1: reasoningModifier = coefficients.SIMPLE_REASONING_MODIFIER; break;
+  }
+  
+  // Different openness levels affect computation differently
+  let opennessModifier = 0;
+  switch(openness) {
+    case 2: opennessModifier = coefficients.HIGH_OPENNESS_MODIFIER; break;
+    case 1: opennessModifier = coefficients.MEDIUM_OPENNESS_MODIFIER; break;
+    case 0: opennessModifier = 0.0; break;
+  }
+  
+  // Apply complexity modifier (range 0-0.4)
+  // Vocabulary complexity affects processing intensity
+  // Example: Complex vocabulary with score 0.8 → modifier 0.32
+  const complexityModifier = complexity * coefficients.COMPLEXITY_WEIGHT;
+  
+  // Add inference overhead factor for model parallelism and attention mechanisms
+  // Higher for complex, reasoning-heavy prompts
+  // Example: Complex reasoning (3) with complexity 0.7 → overhead 0.3
+  let inferenceOverhead = coefficients.BASE_INFERENCE_OVERHEAD; // Base overhead
+  if (reasoningLevel === 3 && complexity > 0.6) {
+    inferenceOverhead = coefficients.HIGH_INFERENCE_OVERHEAD; // Higher overhead for complex reasoning with complex vocabulary
+  } else if (reasoningLevel === 3 || complexity > 0.6) {
+    inferenceOverhead = coefficients.MEDIUM_INFERENCE_OVERHEAD; // Medium-high overhead
+  }
+  
+  // Calculate total modifier
+  // This combines all factors affecting energy usage
+  // Example: reasoningMod 0.8 + opennessMod 0.4 + complexityMod 0.32 + overhead 0.3 = 1.82
+  // Total modifier = 1 + 1.82 = 2.82x base energy
+  const totalModifier = 1 + reasoningModifier + opennessModifier + complexityModifier + inferenceOverhead;
+  
+  // Direct inference energy calculation (theoretical)
+  // This represents the energy used directly by the neural network computation
+  // Attachments are added afterwards since the prompt's wording doesn't change their cost
+  // Example: baseKWh 0.002 * modifier 2.82 + one uploaded image 0.0015 = 0.00714 kWh
+  const directKWh = baseKWh * totalModifier + attachmentEnergy.attachmentKWh;
+  const directWaterUsageMl = directKWh * regionProfile.waterUsageMlPerKWh;
+  
+  // Real-world total energy with overhead factors
+  // This accounts for all the infrastructure and systems supporting the inference
+  // Example: directKWh 0.00564 * all factors = 0.0712 kWh
+  const deploymentOverhead = coefficients.IDLE_LOAD_FACTOR * coefficients.NETWORK_OVERHEAD_FACTOR *
+                             coefficients.AMORTIZED_TRAINING_FACTOR * coefficients.PRODUCTION_ENVIRONMENT_FACTOR;
+  const realWorldKWh = directKWh * regionProfile.pue * deploymentOverhead;
+  
+  // Water is evaporated on site for cooling and off site by the power plants feeding the grid
+  const realWorldOnSiteWaterMl = realWorldKWh * regionProfile.onSiteWaterMlPerKWh;
+  const realWorldOffSiteWaterMl = realWorldKWh * regionProfile.offSiteWaterMlPerKWh;
+  const realWorldWaterUsageMl = realWorldOnSiteWaterMl + realWorldOffSiteWaterMl;
+  
+  return {
+    methodologyVersion: METHODOLOGY_VERSION,
+    promptTokens,           // Text and code tokens of the prompt
+    codeTokens,             // Share of promptTokens from pasted code
+    contextTokens,          // Earlier turns re-read as context, capped at MAX_CONTEXT_TOKENS
+    estimatedResponseTokens,
+    observedResponseTokens, // null until the response has been measured
+    responseTokens,         // Observed count when available, otherwise the estimate
+    reasoningTokens,        // Hidden reasoning tokens (reasoning models only)
+    reasoningSeconds,       // Observed thinking time the reasoning tokens were estimated from, or null
+    totalTokens,            // Every token processed: context, prompt, response and reasoning
+    model: modelProfile.id,
+    modelName: getModelName(options.model, options.provider), // Name of the model that answered, as far as known
+    modelProfileName: modelProfile.name, // Profile it was charged as
+    region: regionProfile.id,
+    regionName: regionProfile.name,
+    pue: regionProfile.pue,
+    waterUsageMlPerKWh: regionProfile.waterUsageMlPerKWh,
+    complexity,
+    reasoningLevel,
+    openness: ["Low", "Medium", "High"][openness],
+    reasoningType: ["Simple", "Moderate", "Complex"][reasoningLevel-1],
+    baseKWh,
+    totalModifier,
+    inferenceOverhead,
+    ...attachmentEnergy,   // inputImages, generatedImages, documents, audioSeconds, attachmentKWh
+    deploymentOverhead, // Product of the deployment factors, excluding PUE
+    directKWh,
+    directWattHours: directKWh * 1000, // Convert to Wh for easier reading
+    directWaterUsageMl,
+    realWorldKWh,
+    realWorldWattHours: realWorldKWh * 1000,
+    realWorldWaterUsageMl,
+    realWorldOnSiteWaterMl,
+    realWorldOffSiteWaterMl
+  };
+}
+
+export {
+  calculateEnergy,
+  METHODOLOGY_VERSION,
+  WATER_USAGE_ML_PER_KWH,
+  OVERHEAD_FACTORS,
+  ATTACHMENT_TYPES,
+  DEFAULT_DOCUMENT_KB,
+  MAX_CONTEXT_TOKENS
+};
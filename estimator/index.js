@@ -0,0 +1,39 @@
+/**
+ * How Wet is AI? estimation engine
+ * 
+ * Single entry point for everything that turns a prompt into energy and water
+ * figures. The browser extension loads this file as an ES module and the CLI
+ * imports it as a package, so a prompt produces the same numbers everywhere.
+ * 
+ * @module howWetIsAIEstimator
+ * @author Anonymous
+ * @version 1.0.0
+ */
+
+export {
+  countTokens,
+  countCodeTokens,
+  setTokenCounter,
+  approximateTokenCount,
+  approximateCodeTokenCount,
+  getTokenizer,
+  loadTokenizer,
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  CODE_CHARS_PER_TOKEN
+} from "./tokenCounter.js";
+export { BpeTokenizer } from "./bpeTokenizer.js";
+export { estimateResponseTokens } from "./tokenEstimator.js";
+export { MODEL_PROFILES, DEFAULT_MODEL, PROVIDER_MODELS, getModelProfile, getModelName, findModelProfileKey } from "./modelProfiles.js";
+export { REGION_PROFILES, DEFAULT_REGION, getRegionProfile } from "./regionProfiles.js";
+export { COEFFICIENT_DEFINITIONS, DEFAULT_COEFFICIENTS, validateCoefficients } from "./coefficients.js";
+export { getVocabComplexity, getReasoningLevel, getOpennessScore } from "./promptAnalysis.js";
+export {
+  calculateEnergy,
+  METHODOLOGY_VERSION,
+  WATER_USAGE_ML_PER_KWH,
+  OVERHEAD_FACTORS,
+  ATTACHMENT_TYPES,
+  DEFAULT_DOCUMENT_KB,
+  MAX_CONTEXT_TOKENS
+} from "./energyCalculator.js";
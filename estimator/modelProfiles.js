@@ -0,0 +1,160 @@
+/**
+ * Per-model energy profiles
+ * 
+ * Different models answering the same prompt use very different amounts of
+ * energy: a mini model runs on a fraction of the hardware of a frontier model,
+ * and reasoning models generate hidden "thinking" tokens before they answer.
+ * Each profile gives the inference energy per 1000 input (prompt) and output
+ * (generated) tokens, plus how many hidden reasoning tokens the model produces
+ * per visible output token and how fast it generates them.
+ * 
+ * Figures are relative to the original GPT-4 baseline of ~0.002 kWh per 1000
+ * tokens, scaled by published active-parameter and throughput estimates.
+ * Output tokens cost more than input tokens because they are generated one at
+ * a time, while the prompt is processed in a single parallel pass.
+ * 
+ * Other chat sites don't say which model answered, or name it in ways too
+ * varied to profile model by model, so each has one generic profile of a
+ * typical model it serves, scaled like OpenAI's models of similar size. Their
+ * own tokenizers aren't published, so cl100k_base stands in for them.
+ * 
+ * @module modelProfiles
+ * @author Anonymous
+ * @version 1.0.0
+ */
+
+/**
+ * Known model profiles keyed by model slug, as used by ChatGPT and the API
+ * 
+ * inputKWhPer1000Tokens - Energy to process 1000 prompt tokens
+ * outputKWhPer1000Tokens - Energy to generate 1000 tokens (visible or hidden)
+ * reasoningTokenMultiplier - Hidden reasoning tokens per visible output token
+ * outputTokensPerSecond - Generation speed, turning an observed thinking time into hidden tokens
+ * encoding - Tokenizer vocabulary the model reads and writes text in (see tokenCounter.js)
+ * generic - Set on the profiles standing for any model of a chat site (see PROVIDER_MODELS)
+ */
+const MODEL_PROFILES = Object.freeze({
+  'gpt-4': { name: 'GPT-4', inputKWhPer1000Tokens: 0.002, outputKWhPer1000Tokens: 0.002, reasoningTokenMultiplier: 0, outputTokensPerSecond: 25, encoding: 'cl100k_base' },
+  'gpt-4-turbo': { name: 'GPT-4 Turbo', inputKWhPer1000Tokens: 0.001, outputKWhPer1000Tokens: 0.002, reasoningTokenMultiplier: 0, outputTokensPerSecond: 35, encoding: 'cl100k_base' },
+  'gpt-4o': { name: 'GPT-4o', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 0, outputTokensPerSecond: 80, encoding: 'o200k_base' },
+  'gpt-4o-mini': { name: 'GPT-4o mini', inputKWhPer1000Tokens: 0.0001, outputKWhPer1000Tokens: 0.0003, reasoningTokenMultiplier: 0, outputTokensPerSecond: 100, encoding: 'o200k_base' },
+  'gpt-4.1': { name: 'GPT-4.1', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 0, outputTokensPerSecond: 80, encoding: 'o200k_base' },
+  'gpt-4.1-mini': { name: 'GPT-4.1 mini', inputKWhPer1000Tokens: 0.0001, outputKWhPer1000Tokens: 0.0003, reasoningTokenMultiplier: 0, outputTokensPerSecond: 100, encoding: 'o200k_base' },
+  'gpt-4.5': { name: 'GPT-4.5', inputKWhPer1000Tokens: 0.004, outputKWhPer1000Tokens: 0.008, reasoningTokenMultiplier: 0, outputTokensPerSecond: 20, encoding: 'o200k_base' },
+  'gpt-3.5-turbo': { name: 'GPT-3.5', inputKWhPer1000Tokens: 0.0002, outputKWhPer1000Tokens: 0.0006, reasoningTokenMultiplier: 0, outputTokensPerSecond: 100, encoding: 'cl100k_base' },
+  'gpt-5': { name: 'GPT-5', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 0, outputTokensPerSecond: 60, encoding: 'o200k_base' },
+  'gpt-5-mini': { name: 'GPT-5 mini', inputKWhPer1000Tokens: 0.0001, outputKWhPer1000Tokens: 0.0003, reasoningTokenMultiplier: 0, outputTokensPerSecond: 100, encoding: 'o200k_base' },
+  'gpt-5-thinking': { name: 'GPT-5 Thinking', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 4, outputTokensPerSecond: 60, encoding: 'o200k_base' },
+  'o1': { name: 'o1', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 4, outputTokensPerSecond: 60, encoding: 'o200k_base' },
+  'o1-mini': { name: 'o1-mini', inputKWhPer1000Tokens: 0.0001, outputKWhPer1000Tokens: 0.0003, reasoningTokenMultiplier: 3, outputTokensPerSecond: 150, encoding: 'o200k_base' },
+  'o1-pro': { name: 'o1 pro', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 10, outputTokensPerSecond: 60, encoding: 'o200k_base' },
+  'o3': { name: 'o3', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 5, outputTokensPerSecond: 60, encoding: 'o200k_base' },
+  'o3-mini': { name: 'o3-mini', inputKWhPer1000Tokens: 0.0001, outputKWhPer1000Tokens: 0.0003, reasoningTokenMultiplier: 3, outputTokensPerSecond: 150, encoding: 'o200k_base' },
+  'o3-pro': { name: 'o3 pro', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 10, outputTokensPerSecond: 60, encoding: 'o200k_base' },
+  'o4-mini': { name: 'o4-mini', inputKWhPer1000Tokens: 0.0001, outputKWhPer1000Tokens: 0.0003, reasoningTokenMultiplier: 3, outputTokensPerSecond: 120, encoding: 'o200k_base' },
+  'claude': { name: 'Claude (typical model)', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 0, outputTokensPerSecond: 70, encoding: 'cl100k_base', generic: true },
+  'gemini': { name: 'Gemini (typical model)', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 0, outputTokensPerSecond: 100, encoding: 'cl100k_base', generic: true },
+  'copilot': { name: 'Copilot (typical model)', inputKWhPer1000Tokens: 0.0005, outputKWhPer1000Tokens: 0.0015, reasoningTokenMultiplier: 0, outputTokensPerSecond: 80, encoding: 'o200k_base', generic: true },
+  'perplexity': { name: 'Perplexity (typical model)', inputKWhPer1000Tokens: 0.0003, outputKWhPer1000Tokens: 0.0009, reasoningTokenMultiplier: 0, outputTokensPerSecond: 120, encoding: 'cl100k_base', generic: true },
+  'mistral': { name: 'Mistral (typical model)', inputKWhPer1000Tokens: 0.0004, outputKWhPer1000Tokens: 0.0012, reasoningTokenMultiplier: 0, outputTokensPerSecond: 80, encoding: 'cl100k_base', generic: true }
+});
+
+// Profile used when the model is unknown; matches the original single-model estimate
+const DEFAULT_MODEL = 'gpt-4';
+
+// Profile used for each chat site's prompts when their model is unknown, by site adapter id
+// (see siteAdapters.js); ChatGPT's, and entries recorded before other sites were supported, use DEFAULT_MODEL
+const PROVIDER_MODELS = Object.freeze({
+  claude: 'claude',
+  gemini: 'gemini',
+  copilot: 'copilot',
+  perplexity: 'perplexity',
+  mistral: 'mistral'
+});
+
+/**
+ * Normalizes a model slug or display name for lookup
+ * 
+ * @param {string} model - e.g. "GPT-4o mini", "ChatGPT 4o", "gpt-4o-2024-08-06", "o3-mini-high"
+ * @returns {string} Lowercase slug with spaces replaced by dashes
+ */
+function normalizeModelSlug(model) {
+  return String(model || '')
+    .trim()
+    .toLowerCase()
+    .replace(/^chatgpt\s+/, '')
+    .replace(/\s+/g, '-')
+    .replace(/^(\d)/, 'gpt-$1'); // The model picker labels GPT models "4o", "4.5", "5"...
+}
+
+/**
+ * Finds the profile key for a model slug
+ * 
+ * Dated and variant slugs ("gpt-4o-2024-08-06", "o3-mini-high") match the
+ * longest known profile they start with.
+ * 
+ * @param {string} model - Model slug or display name
+ * @returns {string|null} Key into MODEL_PROFILES, or null if unknown
+ * 
+ * @example
+ * findModelProfileKey("gpt-4o-mini-2024-07-18") // Returns "gpt-4o-mini"
+ * findModelProfileKey("Claude Sonnet 4") // Returns "claude"
+ * findModelProfileKey("llama-3") // Returns null
+ */
+function findModelProfileKey(model) {
+  const slug = normalizeModelSlug(model);
+  if (!slug) return null;
+
+  let match = null;
+  for (const key of Object.keys(MODEL_PROFILES)) {
+    const isPrefix = slug === key || slug.startsWith(key + '-');
+    if (isPrefix && (!match || key.length > match.length)) {
+      match = key;
+    }
+  }
+  return match;
+}
+
+/**
+ * Looks up the energy profile for a model
+ * 
+ * @param {string} [model] - Model slug or display name
+ * @param {string} [provider] - Id of the chat site it was used on, e.g. "claude"
+ * @returns {Object} Profile with id, name, inputKWhPer1000Tokens,
+ *   outputKWhPer1000Tokens, reasoningTokenMultiplier, outputTokensPerSecond and encoding; the
+ *   site's generic profile when the model is unknown, or the GPT-4 profile without one
+ * 
+ * @example
+ * getModelProfile("gpt-4o-mini").outputKWhPer1000Tokens // Returns 0.0003
+ * getModelProfile(null, "gemini").name // Returns "Gemini (typical model)"
+ */
+function getModelProfile(model, provider) {
+  const providerModel = Object.prototype.hasOwnProperty.call(PROVIDER_MODELS, provider) ? PROVIDER_MODELS[provider] : null;
+  const key = findModelProfileKey(model) || providerModel || DEFAULT_MODEL;
+  return { id: key, ...MODEL_PROFILES[key] };
+}
+
+/**
+ * Gets the name to show for a model
+ * 
+ * Models with a profile of their own are shown by the profile's name; others
+ * by the name the chat site showed, since a generic or fallback profile's
+ * name would claim a model that didn't answer
+ * 
+ * @param {string} [model] - Model slug or display name, as detected on the page
+ * @param {string} [provider] - Id of the chat site it was used on
+ * @returns {string} Display name
+ * 
+ * @example
+ * getModelName("gpt-4o-mini-2024-07-18") // Returns "GPT-4o mini"
+ * getModelName("Claude Sonnet 4", "claude") // Returns "Claude Sonnet 4"
+ * getModelName(null, "claude") // Returns "Claude (typical model)"
+ */
+function getModelName(model, provider) {
+  const profile = getModelProfile(model, provider);
+  const label = String(model || '').trim();
+  const ownProfile = findModelProfileKey(model) !== null && !profile.generic;
+  return ownProfile || !label ? profile.name : label;
+}
+
+export { MODEL_PROFILES, DEFAULT_MODEL, PROVIDER_MODELS, getModelProfile, getModelName, findModelProfileKey };
@@ -0,0 +1,202 @@
+/**
+ * Prompt token counting shared by the extension and the CLI
+ * 
+ * loadTokenizer() lazily loads the bundled BPE vocabulary (cl100k_base by
+ * default, the GPT-4 encoding) and makes countTokens() exact. Until it has
+ * loaded, or if it fails to, countTokens() falls back to a word-based
+ * approximation that works everywhere. setTokenCounter() lets a host swap in
+ * any other counter. countCodeTokens() counts source code, which the word-based
+ * approximation badly under-counts, by characters instead.
+ * 
+ * Models use different encodings (see the encoding of each model profile).
+ * Hosts that count prompts for several models load each encoding with
+ * getTokenizer() and pass it to countTokens() and countCodeTokens().
+ * 
+ * @module tokenCounter
+ * @author Anonymous
+ * @version 1.0.0
+ */
+
+import { BpeTokenizer } from "./bpeTokenizer.js";
+
+// Bundled vocabularies in ./encoders
+const ENCODINGS = ["cl100k_base", "o200k_base"];
+const DEFAULT_ENCODING = "cl100k_base";
+
+// Tokenizers that have been loaded (or are loading), by encoding name
+const tokenizers = new Map();
+
+// Tokenizers that have finished loading, by encoding name
+const loadedTokenizers = new Map();
+
+/**
+ * Approximates the token count of a text from its word count
+ * 
+ * GPT tokenizers average roughly 1.3 tokens per English word.
+ * 
+ * @param {string} text - The text to measure
+ * @returns {number} Approximate token count
+ * 
+ * @example
+ * approximateTokenCount("What is the capital of France?") // Returns 8
+ */
+function approximateTokenCount(text) {
+  const trimmed = (text || '').trim();
+  if (!trimmed) return 0;
+  
+  const words = trimmed.split(/\s+/).length;
+  return Math.ceil(words * 1.3);
+}
+
+// Characters per token in source code; symbols, short identifiers and indentation
+// make code denser than prose, which averages about 4
+const CODE_CHARS_PER_TOKEN = 3;
+
+/**
+ * Approximates the token count of source code from its length
+ * 
+ * @param {string} code - The code to measure
+ * @returns {number} Approximate token count
+ * 
+ * @example
+ * approximateCodeTokenCount("for (let i = 0; i < n; i++) {}") // Returns 10
+ */
+function approximateCodeTokenCount(code) {
+  if (!(code || '').trim()) return 0;
+  return Math.ceil(code.length / CODE_CHARS_PER_TOKEN);
+}
+
+let tokenCounter = approximateTokenCount;
+
+/**
+ * Replaces the function used by countTokens()
+ * 
+ * @param {function(string): number} counter - Returns the token count of a text;
+ *   pass null to restore the built-in approximation
+ * @returns {void}
+ * 
+ * @example
+ * setTokenCounter(text => text.length / 4); // Rough characters-per-token rule
+ */
+function setTokenCounter(counter) {
+  tokenCounter = typeof counter === 'function' ? counter : approximateTokenCount;
+}
+
+/**
+ * Counts the tokens in a text
+ * 
+ * @param {string} text - The text to measure
+ * @param {string} [encoding] - Vocabulary to count with, e.g. "o200k_base"; the currently
+ *   registered counter is used when it is omitted or hasn't been loaded with getTokenizer()
+ * @returns {number} Token count
+ * 
+ * @example
+ * countTokens("What is the capital of France?") // Returns 7 with tiktoken, 8 approximated
+ */
+function countTokens(text, encoding) {
+  const tokenizer = loadedTokenizers.get(encoding);
+  return tokenizer ? tokenizer.countTokens(text || '') : tokenCounter(text || '');
+}
+
+/**
+ * Counts the tokens in source code
+ * 
+ * Uses the registered counter once a real tokenizer is loaded, which is exact
+ * for code too; until then the code-aware approximation is used instead of the
+ * word-based one.
+ * 
+ * @param {string} code - The code to measure
+ * @param {string} [encoding] - Vocabulary to count with, as for countTokens()
+ * @returns {number} Token count
+ * 
+ * @example
+ * countCodeTokens("const total = items.reduce((sum, x) => sum + x, 0);") // Returns 17 approximated
+ */
+function countCodeTokens(code, encoding) {
+  if (loadedTokenizers.has(encoding)) return countTokens(code, encoding);
+  return tokenCounter === approximateTokenCount ? approximateCodeTokenCount(code) : tokenCounter(code || '');
+}
+
+/**
+ * Fetches a bundled vocabulary file from the extension package
+ * 
+ * Used by the background service worker, which counts every prompt's tokens;
+ * the encoders aren't web accessible resources, so content scripts can't
+ * fetch them.
+ * 
+ * @param {string} encoding - Vocabulary name, e.g. "cl100k_base"
+ * @returns {Promise<Object>} Parsed vocabulary file
+ */
+async function fetchVocabulary(encoding) {
+  const response = await fetch(chrome.runtime.getURL(`estimator/encoders/${encoding}.json`));
+  if (!response.ok) {
+    throw new Error(`Failed to load ${encoding} vocabulary: HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+/**
+ * Loads a bundled BPE tokenizer, for countTokens(text, encoding)
+ * 
+ * The vocabulary is only read the first time an encoding is requested;
+ * later calls reuse the same tokenizer.
+ * 
+ * @param {string} [encoding="cl100k_base"] - Bundled vocabulary to use
+ * @param {function(string): Promise<Object>} [loadVocabulary] - Reads a vocabulary
+ *   file by name; defaults to fetching it from the extension, other hosts (the
+ *   Node CLI) pass their own
+ * @returns {Promise<BpeTokenizer>} The loaded tokenizer
+ * 
+ * @example
+ * await getTokenizer("o200k_base");
+ * countTokens("What is the capital of France?", "o200k_base") // Returns 7
+ */
+async function getTokenizer(encoding = DEFAULT_ENCODING, loadVocabulary = fetchVocabulary) {
+  if (!ENCODINGS.includes(encoding)) {
+    throw new Error(`Unknown encoding: ${encoding}`);
+  }
+  
+  if (!tokenizers.has(encoding)) {
+    const loading = loadVocabulary(encoding).then(vocabulary => {
+      const tokenizer = new BpeTokenizer(vocabulary);
+      loadedTokenizers.set(encoding, tokenizer);
+      return tokenizer;
+    });
+    tokenizers.set(encoding, loading);
+    
+    // Allow a later retry if this attempt fails
+    loading.catch(() => tokenizers.delete(encoding));
+  }
+  
+  return tokenizers.get(encoding);
+}
+
+/**
+ * Loads a bundled BPE tokenizer and makes it the active token counter
+ * 
+ * @param {string} [encoding="cl100k_base"] - Bundled vocabulary to use
+ * @param {function(string): Promise<Object>} [loadVocabulary] - As for getTokenizer()
+ * @returns {Promise<BpeTokenizer>} The loaded tokenizer
+ * 
+ * @example
+ * await loadTokenizer();
+ * countTokens("What is the capital of France?") // Returns 7
+ */
+async function loadTokenizer(encoding = DEFAULT_ENCODING, loadVocabulary = fetchVocabulary) {
+  const tokenizer = await getTokenizer(encoding, loadVocabulary);
+  setTokenCounter(text => tokenizer.countTokens(text));
+  return tokenizer;
+}
+
+export {
+  countTokens,
+  countCodeTokens,
+  setTokenCounter,
+  approximateTokenCount,
+  approximateCodeTokenCount,
+  getTokenizer,
+  loadTokenizer,
+  ENCODINGS,
+  DEFAULT_ENCODING,
+  CODE_CHARS_PER_TOKEN
+};
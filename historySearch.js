@@ -0,0 +1,155 @@
+/**
+ * How Wet is AI? - History search
+ *
+ * Searches, filters, sorts and pages the recorded prompts for the popup's
+ * Prompts tab. Histories grow to thousands of entries, so the background
+ * worker answers each search with one page of matches rather than sending
+ * the popup every entry to render.
+ *
+ * A search may combine:
+ * - text: Words that must all appear in the prompt or its pasted code (any case)
+ * - from, to: ISO timestamps bounding when the prompt was sent (inclusive)
+ * - provider: Chat site id, e.g. 'claude'; entries from before other sites were
+ *   supported count as ChatGPT
+ * - model: Estimator model id, e.g. 'gpt-4o'
+ * - reasoningLevel: Reasoning level of the prompt (1 = simple, 2 = moderate, 3 = complex)
+ * - minWaterMl: Least water, with the deployment factors from the settings applied
+ * - sort: One of HISTORY_SORT_ORDERS (newest first by default)
+ * - offset, limit: Page of the matches to return
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+import { getAdjustedEnergy } from './historyStats.js';
+
+const HISTORY_SORT_ORDERS = Object.freeze({
+  NEWEST: 'newest',
+  OLDEST: 'oldest',
+  WATER: 'water',   // Most water first
+  TOKENS: 'tokens'  // Most tokens first
+});
+
+// Entries per page when a search doesn't ask for a page size
+const DEFAULT_PAGE_SIZE = 50;
+
+// Chat site of entries recorded before sites other than ChatGPT were supported
+const DEFAULT_PROVIDER = { id: 'chatgpt', name: 'ChatGPT' };
+
+/**
+ * Split search text into the lowercase words that must all match
+ *
+ * INPUT: text - Search text as typed
+ * OUTPUT: Array of words, empty for blank text
+ * EXAMPLE: getSearchWords('  Water  USE ') // Returns ['water', 'use']
+ */
+function getSearchWords(text) {
+  return (text || '').toLowerCase().split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Check whether an entry matches a search's filters
+ *
+ * INPUT: entry - History entry, query - Search (see the module description),
+ *        coefficients - Saved coefficients (or null), for the water threshold
+ * OUTPUT: True if the entry passes every filter the search sets
+ * EXAMPLE: matchesQuery(entry, { provider: 'claude', minWaterMl: 5 }, null) // Returns false for ChatGPT entries
+ */
+function matchesQuery(entry, query, coefficients) {
+  const energyData = entry.energyData || {};
+
+  const words = getSearchWords(query.text);
+  if (words.length > 0) {
+    const text = `${entry.prompt || ''}\n${entry.code || ''}`.toLowerCase();
+    if (!words.every(word => text.includes(word))) return false;
+  }
+
+  const time = new Date(entry.timestamp);
+  if (query.from && time < new Date(query.from)) return false;
+  if (query.to && time > new Date(query.to)) return false;
+
+  if (query.provider && (entry.provider || DEFAULT_PROVIDER.id) !== query.provider) return false;
+  if (query.model && energyData.model !== query.model) return false;
+  if (query.reasoningLevel && energyData.reasoningLevel !== Number(query.reasoningLevel)) return false;
+
+  if (query.minWaterMl > 0) {
+    if (!entry.energyData) return false;
+    if (getAdjustedEnergy(entry.energyData, coefficients).realWorldWaterUsageMl < query.minWaterMl) return false;
+  }
+
+  return true;
+}
+
+/**
+ * List the chat sites and models found in the history, to filter by
+ *
+ * INPUT: history - Recorded prompts
+ * OUTPUT: { providers, models }, each an array of { id, name } sorted by name
+ * EXAMPLE: getFilterOptions(history) // Returns { providers: [{ id: 'chatgpt', name: 'ChatGPT' }], models: [...] }
+ */
+function getFilterOptions(history) {
+  const providers = new Map();
+  const models = new Map();
+  history.forEach(entry => {
+    const providerId = entry.provider || DEFAULT_PROVIDER.id;
+    providers.set(providerId, entry.providerName || (entry.provider ? providerId : DEFAULT_PROVIDER.name));
+    if (entry.energyData && entry.energyData.model) {
+      // Filtered by profile, so named after it rather than the model detected on the page
+      const { model, modelName, modelProfileName } = entry.energyData;
+      models.set(model, modelProfileName || modelName || model);
+    }
+  });
+
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  return {
+    providers: Array.from(providers, ([id, name]) => ({ id, name })).sort(byName),
+    models: Array.from(models, ([id, name]) => ({ id, name })).sort(byName)
+  };
+}
+
+/**
+ * Search the history
+ *
+ * INPUT: history - Recorded prompts, query - Search (see the module description),
+ *        coefficients - Saved coefficients (or null)
+ * OUTPUT: { entries, total, offset, limit, filterOptions }: the requested page of
+ *         matching entries, how many entries match in all, and what can be filtered by
+ * EXAMPLE: searchHistory(history, { text: 'python', sort: 'water', offset: 0, limit: 50 }, null)
+ *          // Returns { entries: [...50 entries], total: 134, offset: 0, limit: 50, filterOptions: {...} }
+ */
+function searchHistory(history, query = {}, coefficients = null) {
+  const matches = history.filter(entry => matchesQuery(entry, query, coefficients));
+
+  const getWater = entry => entry.energyData ? getAdjustedEnergy(entry.energyData, coefficients).realWorldWaterUsageMl : 0;
+  const getTokens = entry => entry.energyData ? entry.energyData.totalTokens || 0 : 0;
+  const byTime = (a, b) => (a.timestamp < b.timestamp ? -1 : a.timestamp > b.timestamp ? 1 : 0);
+
+  switch (query.sort) {
+    case HISTORY_SORT_ORDERS.OLDEST:
+      matches.sort(byTime);
+      break;
+    case HISTORY_SORT_ORDERS.WATER:
+      matches.sort((a, b) => getWater(b) - getWater(a) || byTime(b, a));
+      break;
+    case HISTORY_SORT_ORDERS.TOKENS:
+      matches.sort((a, b) => getTokens(b) - getTokens(a) || byTime(b, a));
+      break;
+    default:
+      matches.sort((a, b) => byTime(b, a));
+  }
+
+  const limit = query.limit > 0 ? query.limit : DEFAULT_PAGE_SIZE;
+  // Past the end (e.g. after entries were deleted), the last page is returned
+  const lastPageOffset = Math.max(0, Math.floor((matches.length - 1) / limit) * limit);
+  const offset = Math.min(Math.max(0, query.offset || 0), lastPageOffset);
+
+  return {
+    entries: matches.slice(offset, offset + limit),
+    total: matches.length,
+    offset,
+    limit,
+    filterOptions: getFilterOptions(history)
+  };
+}
+
+export { HISTORY_SORT_ORDERS, DEFAULT_PAGE_SIZE, matchesQuery, getFilterOptions, searchHistory };
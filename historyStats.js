@@ -0,0 +1,359 @@
+/**
+ * How Wet is AI? - History statistics
+ *
+ * Aggregates recorded prompts into per-period energy and water totals, each
+ * compared with the period before it, into daily or weekly series for the
+ * popup's charts, and by day, weekday and hour for its Insights heatmaps. The
+ * background worker answers the popup's statistics queries with these, and
+ * the popup uses the same per-prompt adjustment for its prompt list and the
+ * heatmaps it draws from the loaded history, so both always agree.
+ *
+ * Periods are 'today', 'week' and 'month' (so far), the rolling 'last7',
+ * 'last30' and 'last90' days (today included), 'custom' (from and to dates
+ * chosen by the user) and 'all'. Weeks start on the day given as weekStart
+ * (0 = Sunday, 1 = Monday, ...), which the popup takes from the user's locale.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+// Sizes of the buckets a time series can be split into
+const TIME_SERIES_BUCKETS = Object.freeze({
+  DAY: 'day',
+  WEEK: 'week' // Weeks start on weekStart, like the 'week' period
+});
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Length of the rolling periods, in days
+const ROLLING_PERIOD_DAYS = Object.freeze({
+  last7: 7,
+  last30: 30,
+  last90: 90
+});
+
+/**
+ * Get the first day of the week in a locale
+ *
+ * INPUT: locale - BCP 47 language tag, e.g. navigator.language
+ * OUTPUT: Day the week starts on (0 = Sunday, 1 = Monday, ...); Sunday if the browser can't tell
+ * EXAMPLE: getLocaleWeekStart('de-DE') // Returns 1
+ */
+function getLocaleWeekStart(locale) {
+  try {
+    const intlLocale = new Intl.Locale(locale);
+    const weekInfo = typeof intlLocale.getWeekInfo === 'function' ? intlLocale.getWeekInfo() : intlLocale.weekInfo;
+    // Intl numbers the days from 1 (Monday) to 7 (Sunday)
+    return weekInfo ? weekInfo.firstDay % 7 : 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * Get the date a number of calendar days away, at midnight
+ *
+ * Steps by calendar days rather than 24 hours, so dates stay aligned across DST changes
+ *
+ * INPUT: date - Date, days - Days to add (negative to go back)
+ * OUTPUT: Midnight (local time) of the resulting day
+ * EXAMPLE: addDays(new Date(2025, 4, 14, 15, 30), -1) // Returns May 13th, 00:00
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * Get the start of the bucket a date falls in
+ *
+ * INPUT: date - Date, bucket - One of TIME_SERIES_BUCKETS, weekStart - First day of the week (0 = Sunday)
+ * OUTPUT: Date the day or week starts at (local time)
+ * EXAMPLE: getBucketStart(new Date(2025, 4, 14, 15, 30), 'week') // Returns Sunday May 11th, 00:00
+ */
+function getBucketStart(date, bucket, weekStart = 0) {
+  if (bucket === TIME_SERIES_BUCKETS.WEEK) {
+    return addDays(date, -((date.getDay() - weekStart + 7) % 7));
+  }
+  return addDays(date, 0);
+}
+
+/**
+ * Get the start of a statistics period
+ *
+ * INPUT: period - One of the periods above except 'custom', now - Current date,
+ *        weekStart - First day of the week (0 = Sunday)
+ * OUTPUT: Date the period starts at (local time)
+ * EXAMPLE: getPeriodStartDate('month', new Date(2025, 4, 17)) // Returns May 1st, 00:00
+ */
+function getPeriodStartDate(period, now, weekStart = 0) {
+  if (ROLLING_PERIOD_DAYS[period]) {
+    return addDays(now, 1 - ROLLING_PERIOD_DAYS[period]);
+  }
+
+  switch (period) {
+    case 'today':
+      return addDays(now, 0);
+    case 'week':
+      return getBucketStart(now, TIME_SERIES_BUCKETS.WEEK, weekStart);
+    case 'month':
+      return new Date(now.getFullYear(), now.getMonth(), 1);
+    case 'all':
+    default:
+      return new Date(0); // Beginning of time
+  }
+}
+
+/**
+ * Get the bounds of a statistics period
+ *
+ * INPUT: period - One of the periods above, now - Current date,
+ *        options - { from, to } ISO bounds of a 'custom' period, and weekStart
+ * OUTPUT: { start, end } Dates, both included; periods end now unless a custom one ends earlier
+ * EXAMPLE: getPeriodRange('last7', new Date(2025, 4, 14, 15, 30)) // Returns { start: May 8th 00:00, end: May 14th 15:30 }
+ */
+function getPeriodRange(period, now, options = {}) {
+  if (period === 'custom') {
+    if (!options.from || !options.to) {
+      throw new Error('Custom periods need a from and to date');
+    }
+    const end = new Date(options.to);
+    return { start: new Date(options.from), end: end < now ? end : now };
+  }
+  return { start: getPeriodStartDate(period, now, options.weekStart), end: now };
+}
+
+/**
+ * Get the period to compare a period with
+ *
+ * The same stretch of the period before, up to the same point: yesterday until
+ * this time for 'today', last week or month so far for 'week' and 'month', and
+ * the same number of days just before for rolling and custom periods
+ *
+ * INPUT: period - One of the periods above, range - The period's { start, end }
+ * OUTPUT: { start, end } Dates, or null for 'all'
+ * EXAMPLE: getPreviousRange('week', { start: May 11th 00:00, end: May 14th 15:30 })
+ *          // Returns { start: May 4th 00:00, end: May 7th 15:30 }
+ */
+function getPreviousRange(period, range) {
+  if (period === 'all') return null;
+
+  if (period === 'month') {
+    const start = new Date(range.start.getFullYear(), range.start.getMonth() - 1, 1);
+    // Months differ in length, so the previous one may end before the same point
+    const end = new Date(Math.min(start.getTime() + (range.end - range.start), range.start.getTime() - 1));
+    return { start, end };
+  }
+
+  let days;
+  if (period === 'today') {
+    days = 1;
+  } else if (period === 'week') {
+    days = 7;
+  } else if (ROLLING_PERIOD_DAYS[period]) {
+    days = ROLLING_PERIOD_DAYS[period];
+  } else {
+    // Calendar days from the first day to the last, both included (rounded for DST changes)
+    days = Math.max(1, Math.round((addDays(range.end, 1) - addDays(range.start, 0)) / DAY_MS));
+  }
+
+  // Shifted by calendar days, keeping the time of day across DST changes
+  const shift = date => new Date(date.getFullYear(), date.getMonth(), date.getDate() - days,
+    date.getHours(), date.getMinutes(), date.getSeconds(), date.getMilliseconds());
+  return { start: shift(range.start), end: shift(range.end) };
+}
+
+/**
+ * Get the real-world energy and water of a prompt under the current settings
+ *
+ * Prompts store the product of the deployment factors they were calculated
+ * with, so changing those factors on the settings page rescales the whole
+ * history without re-analyzing any prompt. Prompts recorded before the
+ * factors were stored keep their original figures.
+ *
+ * INPUT: energyData - Energy data stored with a prompt, coefficients - Saved coefficients (or null)
+ * OUTPUT: Object with realWorldKWh and realWorldWaterUsageMl
+ * EXAMPLE: With the idle load factor raised from 1.7 to 3.4, getAdjustedEnergy(energyData, coefficients) doubles both values
+ */
+function getAdjustedEnergy(energyData, coefficients) {
+  const realWorldKWh = energyData.realWorldKWh || 0;
+  const realWorldWaterUsageMl = energyData.realWorldWaterUsageMl || 0;
+
+  if (!coefficients || !energyData.deploymentOverhead) {
+    return { realWorldKWh, realWorldWaterUsageMl };
+  }
+
+  const currentOverhead = coefficients.IDLE_LOAD_FACTOR * coefficients.NETWORK_OVERHEAD_FACTOR *
+                          coefficients.AMORTIZED_TRAINING_FACTOR * coefficients.PRODUCTION_ENVIRONMENT_FACTOR;
+  const scale = Number.isFinite(currentOverhead) ? currentOverhead / energyData.deploymentOverhead : 1;
+
+  return {
+    realWorldKWh: realWorldKWh * scale,
+    realWorldWaterUsageMl: realWorldWaterUsageMl * scale
+  };
+}
+
+/**
+ * Add up the prompts recorded between two dates
+ *
+ * INPUT: history - Recorded prompts, range - { start, end } Dates (both included),
+ *        coefficients - Saved coefficients (or null)
+ * OUTPUT: Totals with the range's bounds as ISO strings
+ */
+function sumRange(history, range, coefficients) {
+  let totalPrompts = 0;
+  let totalTokens = 0;
+  let totalEnergyKwh = 0;
+  let totalWaterMl = 0;
+
+  history.forEach(item => {
+    const promptDate = new Date(item.timestamp);
+    if (promptDate < range.start || promptDate > range.end) return;
+
+    totalPrompts++;
+    if (item.energyData) {
+      totalTokens += item.energyData.totalTokens || 0;
+      const { realWorldKWh, realWorldWaterUsageMl } = getAdjustedEnergy(item.energyData, coefficients);
+      totalEnergyKwh += realWorldKWh;
+      totalWaterMl += realWorldWaterUsageMl;
+    }
+  });
+
+  return {
+    totalPrompts,
+    totalTokens,
+    totalEnergyKwh,
+    totalWaterMl,
+    startDate: range.start.toISOString(),
+    endDate: range.end.toISOString()
+  };
+}
+
+/**
+ * Aggregate the prompts recorded in a period
+ *
+ * INPUT: history - Recorded prompts, period - One of the periods above,
+ *        coefficients - Saved coefficients (or null), now - Current date,
+ *        options - { from, to } ISO bounds of a 'custom' period, and weekStart
+ * OUTPUT: Statistics object with totals, the period's bounds as ISO strings, and
+ *         previous: the same totals for the period compared with (null for 'all')
+ * EXAMPLE: computeStats(history, 'week', null) // Returns {totalPrompts: 12, totalWaterMl: 84.2, previous: {totalWaterMl: 68.5, ...}, ...}
+ */
+function computeStats(history, period, coefficients, now = new Date(), options = {}) {
+  const range = getPeriodRange(period, now, options);
+  const previousRange = getPreviousRange(period, range);
+
+  return {
+    ...sumRange(history, range, coefficients),
+    period,
+    previous: previousRange ? sumRange(history, previousRange, coefficients) : null
+  };
+}
+
+/**
+ * Aggregate the prompts of the latest days or weeks, one bucket each
+ *
+ * Buckets without prompts are included, so the series has no gaps
+ *
+ * INPUT: history - Recorded prompts, bucket - One of TIME_SERIES_BUCKETS,
+ *        count - Number of buckets, ending with the current day or week,
+ *        coefficients - Saved coefficients (or null), now - Current date,
+ *        weekStart - First day of the week (0 = Sunday)
+ * OUTPUT: { bucket, buckets }, buckets oldest first, each with its start and end
+ *         (ISO strings, end exclusive) and its prompts, tokens, energyKwh and waterMl
+ * EXAMPLE: computeTimeSeries(history, 'day', 30, null)
+ *          // Returns { bucket: 'day', buckets: [{ start: '...', end: '...', prompts: 4, waterMl: 12.5, ... }, ...30 days] }
+ */
+function computeTimeSeries(history, bucket, count, coefficients, now = new Date(), weekStart = 0) {
+  const step = bucket === TIME_SERIES_BUCKETS.WEEK ? 7 : 1;
+  const first = addDays(getBucketStart(now, bucket, weekStart), -step * (count - 1));
+  const buckets = Array.from({ length: count }, (_, index) => ({
+    start: addDays(first, step * index),
+    end: addDays(first, step * (index + 1)),
+    prompts: 0,
+    tokens: 0,
+    energyKwh: 0,
+    waterMl: 0
+  }));
+
+  history.forEach(item => {
+    const promptDate = new Date(item.timestamp);
+    if (promptDate < first || promptDate > now) return;
+
+    const target = buckets.find(candidate => promptDate < candidate.end);
+    if (!target) return;
+    target.prompts++;
+    if (item.energyData) {
+      target.tokens += item.energyData.totalTokens || 0;
+      const { realWorldKWh, realWorldWaterUsageMl } = getAdjustedEnergy(item.energyData, coefficients);
+      target.energyKwh += realWorldKWh;
+      target.waterMl += realWorldWaterUsageMl;
+    }
+  });
+
+  return {
+    bucket,
+    buckets: buckets.map(item => ({ ...item, start: item.start.toISOString(), end: item.end.toISOString() }))
+  };
+}
+
+/**
+ * Aggregate the prompts of the latest weeks per day, for a calendar heatmap
+ *
+ * Starts at the beginning of the oldest week, so every column of the calendar
+ * is a whole week, and ends today
+ *
+ * INPUT: history - Recorded prompts, weeks - Number of weeks, ending with the current one,
+ *        coefficients - Saved coefficients (or null), now - Current date,
+ *        weekStart - First day of the week (0 = Sunday)
+ * OUTPUT: { weekStart, days }, days oldest first as in computeTimeSeries()
+ * EXAMPLE: computeCalendarHeatmap(history, 26, null) // Returns { weekStart: 0, days: [...between 176 and 182 days] }
+ */
+function computeCalendarHeatmap(history, weeks, coefficients, now = new Date(), weekStart = 0) {
+  const today = addDays(now, 0);
+  const first = addDays(getBucketStart(now, TIME_SERIES_BUCKETS.WEEK, weekStart), -7 * (weeks - 1));
+  // Rounded, since a day across a DST change isn't 24 hours long
+  const count = Math.round((today - first) / DAY_MS) + 1;
+
+  return { weekStart, days: computeTimeSeries(history, TIME_SERIES_BUCKETS.DAY, count, coefficients, now, weekStart).buckets };
+}
+
+/**
+ * Aggregate prompts by weekday and hour of the day they were sent at
+ *
+ * INPUT: history - Recorded prompts, coefficients - Saved coefficients (or null),
+ *        since - Date to count prompts from (all history if omitted)
+ * OUTPUT: { cells }, cells[weekday][hour] with prompts and waterMl, weekday 0 being
+ *         Sunday and hours in local time
+ * EXAMPLE: computeHourWeekdayMatrix(history, null).cells[3][14] // Returns { prompts: 9, waterMl: 21.4 } for Wednesdays 14:00-15:00
+ */
+function computeHourWeekdayMatrix(history, coefficients, since = null) {
+  const cells = Array.from({ length: 7 }, () => Array.from({ length: 24 }, () => ({ prompts: 0, waterMl: 0 })));
+
+  history.forEach(item => {
+    const promptDate = new Date(item.timestamp);
+    if (since && promptDate < since) return;
+
+    const cell = cells[promptDate.getDay()][promptDate.getHours()];
+    cell.prompts++;
+    if (item.energyData) {
+      cell.waterMl += getAdjustedEnergy(item.energyData, coefficients).realWorldWaterUsageMl;
+    }
+  });
+
+  return { cells };
+}
+
+export {
+  TIME_SERIES_BUCKETS,
+  ROLLING_PERIOD_DAYS,
+  getLocaleWeekStart,
+  getBucketStart,
+  getPeriodStartDate,
+  getPeriodRange,
+  getPreviousRange,
+  getAdjustedEnergy,
+  computeStats,
+  computeTimeSeries,
+  computeCalendarHeatmap,
+  computeHourWeekdayMatrix
+};
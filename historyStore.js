@@ -0,0 +1,300 @@
+/**
+ * How Wet is AI? - Conversation history store
+ *
+ * Persists recorded prompts in an IndexedDB database owned by the extension,
+ * so history is shared between all supported chat sites and survives a site
+ * clearing its own storage.
+ *
+ * The background worker is the only user of this module; content scripts and
+ * the popup read and write history through its messages, so every tab sees
+ * the same data.
+ *
+ * Each entry is stored under a unique string id with its timestamp, prompt,
+ * model, region, provider (the chat site's adapter id, e.g. 'claude'; missing
+ * on entries recorded when only ChatGPT was supported) and energyData.
+ * Prompts captured from the page use the site's message id (or a hash of their
+ * text, see content.js) as their id and also keep it, with the conversation
+ * id, as messageId and conversationId. Their kind is 'prompt', 'edit' (a prompt sent
+ * again in changed form) or 'regeneration' (another reply to the same prompt,
+ * stored under the reply's message id); edits and regenerations link to the
+ * first version of the prompt through parentId. contextTokens is the size of
+ * the earlier conversation the prompt was processed with (see conversations.js).
+ *
+ * Users can delete single entries, whose ids are then kept in a separate store
+ * so the prompt isn't recorded again when its chat is revisited, or redact
+ * them: the prompt's text and code are replaced with their SHA-256 hashes
+ * (promptHash, codeHash), its conversation title (often named after the
+ * prompt) is cleared and redacted is set, while energyData is kept.
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+const DB_NAME = 'how-wet-is-ai';
+const DB_VERSION = 3; // 2: conversationId index, 3: deleted store
+const HISTORY_STORE = 'history';
+const DELETED_STORE = 'deleted'; // Ids of deleted entries
+
+let databasePromise = null;
+
+/**
+ * Wrap an IndexedDB request in a promise
+ *
+ * INPUT: request - IDBRequest
+ * OUTPUT: Promise resolving to the request's result
+ */
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Wait for a transaction to commit
+ *
+ * INPUT: transaction - IDBTransaction
+ * OUTPUT: Promise resolving once every write in the transaction is stored
+ */
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Open the history database, creating it on first use
+ *
+ * INPUT: None
+ * OUTPUT: Promise resolving to the IDBDatabase (shared by all callers)
+ */
+function openDatabase() {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      const store = db.objectStoreNames.contains(HISTORY_STORE)
+        ? request.transaction.objectStore(HISTORY_STORE)
+        : db.createObjectStore(HISTORY_STORE, { keyPath: 'id' });
+      if (!store.indexNames.contains('timestamp')) {
+        store.createIndex('timestamp', 'timestamp');
+      }
+      // Entries without a conversation id are left out of this index
+      if (!store.indexNames.contains('conversationId')) {
+        store.createIndex('conversationId', 'conversationId');
+      }
+      if (!db.objectStoreNames.contains(DELETED_STORE)) {
+        db.createObjectStore(DELETED_STORE, { keyPath: 'id' });
+      }
+    };
+
+    databasePromise = requestToPromise(request).catch(error => {
+      databasePromise = null; // Allow a retry on the next call
+      throw error;
+    });
+  }
+  return databasePromise;
+}
+
+/**
+ * Read all stored entries, oldest first
+ *
+ * INPUT: None
+ * OUTPUT: Promise resolving to an array of history entries
+ * EXAMPLE: const history = await getAllEntries(); // [{id, timestamp, prompt, energyData, ...}, ...]
+ */
+async function getAllEntries() {
+  const db = await openDatabase();
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('timestamp');
+  return requestToPromise(index.getAll());
+}
+
+/**
+ * Read a single entry
+ *
+ * INPUT: id - Entry id
+ * OUTPUT: Promise resolving to the entry, or undefined if there is none
+ */
+async function getEntry(id) {
+  const db = await openDatabase();
+  return requestToPromise(db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).get(id));
+}
+
+/**
+ * Read the entries of one conversation
+ *
+ * INPUT: conversationId - Conversation id from the chat's URL
+ * OUTPUT: Promise resolving to the conversation's entries, in no particular order
+ * EXAMPLE: const turns = await getConversationEntries('6f2c...'); // [{id, conversationId: '6f2c...', ...}, ...]
+ */
+async function getConversationEntries(conversationId) {
+  const db = await openDatabase();
+  const index = db.transaction(HISTORY_STORE, 'readonly').objectStore(HISTORY_STORE).index('conversationId');
+  return requestToPromise(index.getAll(conversationId));
+}
+
+/**
+ * Add or update entries in a single transaction
+ *
+ * INPUT: entries - History entries, each with an id
+ * OUTPUT: Promise resolving once all entries are stored
+ * EXAMPLE: await putEntries([entry]) // Inserts a new entry or replaces the one with the same id
+ */
+async function putEntries(entries) {
+  if (entries.some(entry => !entry || !entry.id)) {
+    throw new Error('History entries need an id');
+  }
+
+  const db = await openDatabase();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+
+  entries.forEach(entry => store.put(entry));
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Update entries in place in a single transaction
+ *
+ * Each entry is read and written back in the same transaction, so anything
+ * saved since the caller last read it is kept; entries deleted in the
+ * meantime are skipped
+ *
+ * INPUT: ids - Ids of the entries to update,
+ *        update - Called with each stored entry, in the order of ids; changes it in place
+ * OUTPUT: Promise resolving to the updated entries once they are stored
+ * EXAMPLE: await updateEntries(['a1b2'], entry => { entry.region = 'nordic'; }) // Resolves to [{ id: 'a1b2', region: 'nordic', ... }]
+ */
+async function updateEntries(ids, update) {
+  const db = await openDatabase();
+  const transaction = db.transaction(HISTORY_STORE, 'readwrite');
+  const store = transaction.objectStore(HISTORY_STORE);
+  const updated = [];
+
+  ids.forEach(id => {
+    const request = store.get(id);
+    request.onsuccess = () => {
+      const entry = request.result;
+      if (!entry) return;
+      update(entry);
+      store.put(entry);
+      updated.push(entry);
+    };
+  });
+
+  await transactionDone(transaction);
+  return updated;
+}
+
+/**
+ * Delete entries, remembering their ids
+ *
+ * INPUT: ids - Ids of the entries to delete
+ * OUTPUT: Promise resolving once the entries are deleted
+ * EXAMPLE: await deleteEntries(['a1b2', 'c3d4']) // isDeleted('a1b2') now resolves to true
+ */
+async function deleteEntries(ids) {
+  const db = await openDatabase();
+  const transaction = db.transaction([HISTORY_STORE, DELETED_STORE], 'readwrite');
+  const history = transaction.objectStore(HISTORY_STORE);
+  const deleted = transaction.objectStore(DELETED_STORE);
+  const deletedAt = new Date().toISOString();
+
+  ids.forEach(id => {
+    history.delete(id);
+    deleted.put({ id, deletedAt });
+  });
+
+  return transactionDone(transaction);
+}
+
+/**
+ * Check whether an entry was deleted by the user
+ *
+ * INPUT: id - Entry id
+ * OUTPUT: Promise resolving to true if an entry with this id was deleted
+ */
+async function isDeleted(id) {
+  const db = await openDatabase();
+  const record = await requestToPromise(db.transaction(DELETED_STORE, 'readonly').objectStore(DELETED_STORE).get(id));
+  return Boolean(record);
+}
+
+/**
+ * Delete every stored entry, and the ids of those deleted one by one
+ *
+ * INPUT: None
+ * OUTPUT: Promise resolving once the stores are empty
+ */
+async function clearEntries() {
+  const db = await openDatabase();
+  const transaction = db.transaction([HISTORY_STORE, DELETED_STORE], 'readwrite');
+  transaction.objectStore(HISTORY_STORE).clear();
+  transaction.objectStore(DELETED_STORE).clear();
+  return transactionDone(transaction);
+}
+
+/**
+ * Redact an entry's text, keeping its figures
+ *
+ * INPUT: entry - History entry, hashes - { promptHash, codeHash } of its prompt
+ *        and code ('sha256:' and the hex digest; codeHash null without code)
+ * OUTPUT: Copy of the entry without its text and conversation title; energyData and all other fields are kept
+ * EXAMPLE: redactEntry({ id: 'a1', prompt: 'My password is...', code: '', energyData }, { promptHash: 'sha256:9f86...', codeHash: null })
+ *          // Returns { id: 'a1', prompt: '', code: '', conversationTitle: null, redacted: true, promptHash: 'sha256:9f86...', codeHash: null, energyData, ... }
+ */
+function redactEntry(entry, { promptHash, codeHash }) {
+  return {
+    ...entry,
+    prompt: '',
+    code: '',
+    conversationTitle: null, // Sites name chats after their first prompt
+    redacted: true,
+    promptHash,
+    codeHash: codeHash || null,
+    redactedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Prepare entries from a page's legacy localStorage history for the store
+ *
+ * Ids are derived from the site and the entry's position, so importing the
+ * same data twice (e.g. if the page closed before clearing localStorage)
+ * overwrites rather than duplicates it.
+ *
+ * INPUT: entries - Parsed legacy history array, source - Hostname it came from
+ * OUTPUT: Entries with ids, skipping anything that isn't a recorded prompt
+ * EXAMPLE: prepareLegacyEntries([{timestamp, prompt, energyData}], "chatgpt.com")
+ *          // Returns [{id: "legacy-chatgpt.com-0", source: "chatgpt.com", timestamp, prompt, energyData}]
+ */
+function prepareLegacyEntries(entries, source) {
+  if (!Array.isArray(entries)) return [];
+
+  return entries
+    .map((entry, index) => ({ entry, index }))
+    .filter(({ entry }) => entry && typeof entry.prompt === 'string' && entry.timestamp)
+    .map(({ entry, index }) => ({
+      ...entry,
+      id: entry.id || `legacy-${source}-${index}`,
+      source: entry.source || source
+    }));
+}
+
+export {
+  openDatabase,
+  getAllEntries,
+  getEntry,
+  getConversationEntries,
+  putEntries,
+  updateEntries,
+  deleteEntries,
+  isDeleted,
+  clearEntries,
+  redactEntry,
+  prepareLegacyEntries
+};
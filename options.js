@@ -0,0 +1,382 @@
+/**
+ * How Wet is AI? - Settings page
+ *
+ * Lets the user choose which data center region their prompts are assumed to
+ * be served from, adjust the estimation coefficients, set water and energy
+ * budgets, and compares the water footprint of a typical prompt across all
+ * known regions (best and worst case).
+ *
+ * Settings are saved to chrome.storage.local under "estimationSettings", where
+ * the background worker picks them up for every new prompt and applies the
+ * deployment factors to the statistics. Budgets are saved under "budgets"
+ * (see budgets.js).
+ *
+ * @author How Wet is AI? Team
+ * @version 1.0.0
+ */
+
+import {
+  REGION_PROFILES,
+  DEFAULT_REGION,
+  getRegionProfile,
+  calculateEnergy,
+  COEFFICIENT_DEFINITIONS,
+  DEFAULT_COEFFICIENTS,
+  validateCoefficients
+} from './estimator/index.js';
+import { BUDGET_PERIODS, BUDGET_METRICS, validateBudgets } from './budgets.js';
+
+// Typical prompt used for the region comparison table
+const SAMPLE_PROMPT = 'Explain how photosynthesis works';
+const SAMPLE_PROMPT_TOKENS = 6;
+const SAMPLE_RESPONSE_TOKENS = 500;
+
+// Saved estimation settings: { region, coefficients }
+let settings = {};
+
+/**
+ * Initialize the settings page
+ *
+ * INPUT: None (triggered by DOM content loaded event)
+ * OUTPUT: Region selector and comparison table reflecting the saved settings
+ * EXAMPLE: Opening the page with "nordic" saved selects and highlights the Nordics
+ */
+document.addEventListener('DOMContentLoaded', () => {
+  chrome.storage.local.get(['estimationSettings', 'budgets'], (result) => {
+    settings = result.estimationSettings || {};
+    const region = getRegionProfile(settings.region).id;
+
+    populateRegionSelect(region);
+    renderRegionDetails(region);
+    renderCoefficientInputs(validateCoefficients(settings.coefficients).coefficients);
+    renderBudgetInputs(validateBudgets(result.budgets).budgets);
+    renderComparisonTable(region);
+  });
+
+  document.getElementById('coefficients-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveCoefficients();
+  });
+  document.getElementById('reset-coefficients').addEventListener('click', resetCoefficients);
+  document.getElementById('budgets-form').addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveBudgets();
+  });
+  document.getElementById('clear-budgets').addEventListener('click', clearBudgets);
+});
+
+/**
+ * Fill the region selector and save the selection when it changes
+ *
+ * INPUT: selectedRegion - Region id to preselect
+ * OUTPUT: Populated <select> element
+ * EXAMPLE: Choosing "Arizona, US" saves {region: "us-arizona"} to storage
+ */
+function populateRegionSelect(selectedRegion) {
+  const select = document.getElementById('region-select');
+
+  Object.entries(REGION_PROFILES).forEach(([id, profile]) => {
+    const option = document.createElement('option');
+    option.value = id;
+    option.textContent = profile.name;
+    option.selected = id === selectedRegion;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => {
+    saveRegion(select.value);
+    renderRegionDetails(select.value);
+    renderComparisonTable(select.value);
+  });
+}
+
+/**
+ * Save the selected region, keeping any other estimation settings
+ *
+ * INPUT: region - Region id
+ * OUTPUT: Updated "estimationSettings" in chrome.storage.local
+ */
+function saveRegion(region) {
+  saveSettings({ region }, 'save-status');
+}
+
+/**
+ * Merge changes into the saved estimation settings
+ *
+ * INPUT: changes - Settings to overwrite, statusId - Element that confirms the save
+ * OUTPUT: Updated "estimationSettings" in chrome.storage.local
+ * EXAMPLE: saveSettings({ region: "nordic" }, "save-status")
+ */
+function saveSettings(changes, statusId) {
+  settings = { ...settings, ...changes };
+  chrome.storage.local.set({ estimationSettings: settings }, () => showSaved(statusId));
+}
+
+/**
+ * Confirm a save for a moment
+ *
+ * INPUT: statusId - Element to show "Saved" in
+ * OUTPUT: "Saved" shown for 1.5 seconds
+ */
+function showSaved(statusId) {
+  const status = document.getElementById(statusId);
+  status.textContent = 'Saved';
+  setTimeout(() => { status.textContent = ''; }, 1500);
+}
+
+/**
+ * Create one number input per coefficient, grouped as on the page
+ *
+ * INPUT: coefficients - Complete coefficient set to show
+ * OUTPUT: Labelled inputs with the default as placeholder and allowed range
+ * EXAMPLE: "Idle load (default 1.7, 1-5)" with an input holding 1.7
+ */
+function renderCoefficientInputs(coefficients) {
+  const containers = {
+    deployment: document.getElementById('deployment-coefficients'),
+    prompt: document.getElementById('prompt-coefficients'),
+    attachment: document.getElementById('attachment-coefficients')
+  };
+  Object.values(containers).forEach(container => { container.innerHTML = ''; });
+
+  COEFFICIENT_DEFINITIONS.forEach(definition => {
+    const row = document.createElement('div');
+    row.className = 'coefficient-row';
+
+    const label = document.createElement('label');
+    label.htmlFor = `coefficient-${definition.key}`;
+    label.textContent = `${definition.label} (default ${definition.default}, ${definition.min}-${definition.max})`;
+
+    const description = document.createElement('span');
+    description.className = 'description';
+    description.textContent = definition.description;
+    label.appendChild(description);
+
+    const error = document.createElement('span');
+    error.className = 'error';
+    error.id = `coefficient-error-${definition.key}`;
+    label.appendChild(error);
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = 'any';
+    input.min = definition.min;
+    input.max = definition.max;
+    input.id = `coefficient-${definition.key}`;
+    input.placeholder = definition.default;
+    input.value = coefficients[definition.key];
+
+    row.appendChild(label);
+    row.appendChild(input);
+    containers[definition.group].appendChild(row);
+  });
+}
+
+/**
+ * Validate the coefficient inputs and save them if they are all valid
+ *
+ * Empty inputs fall back to their default. Invalid inputs are highlighted with
+ * their error message and nothing is saved until they are fixed.
+ *
+ * INPUT: None (reads the coefficient inputs)
+ * OUTPUT: Complete coefficient set saved under estimationSettings.coefficients
+ * EXAMPLE: Entering 0.5 for "Network" shows "Network must be between 1 and 3"
+ */
+function saveCoefficients() {
+  const values = {};
+  COEFFICIENT_DEFINITIONS.forEach(({ key }) => {
+    values[key] = document.getElementById(`coefficient-${key}`).value;
+  });
+
+  const { coefficients, errors } = validateCoefficients(values);
+
+  COEFFICIENT_DEFINITIONS.forEach(({ key }) => {
+    document.getElementById(`coefficient-${key}`).classList.toggle('invalid', Boolean(errors[key]));
+    document.getElementById(`coefficient-error-${key}`).textContent = errors[key] || '';
+  });
+
+  if (Object.keys(errors).length > 0) return;
+
+  saveSettings({ coefficients }, 'coefficients-status');
+  renderComparisonTable(getRegionProfile(settings.region).id);
+}
+
+/**
+ * Restore every coefficient to its default value
+ *
+ * INPUT: None (triggered by the "Reset to defaults" button)
+ * OUTPUT: Default coefficients shown and saved
+ */
+function resetCoefficients() {
+  renderCoefficientInputs(DEFAULT_COEFFICIENTS);
+  saveSettings({ coefficients: { ...DEFAULT_COEFFICIENTS } }, 'coefficients-status');
+  renderComparisonTable(getRegionProfile(settings.region).id);
+}
+
+/**
+ * Create a row of budget inputs per period
+ *
+ * INPUT: budgets - Complete budgets to show, null where unset
+ * OUTPUT: "Daily", "Weekly" and "Monthly" rows with a water and an energy input each
+ */
+function renderBudgetInputs(budgets) {
+  const tbody = document.getElementById('budget-inputs');
+  tbody.innerHTML = '';
+
+  Object.entries(BUDGET_PERIODS).forEach(([period, { label }]) => {
+    const row = document.createElement('tr');
+    const name = document.createElement('td');
+    name.textContent = label;
+    row.appendChild(name);
+
+    Object.entries(BUDGET_METRICS).forEach(([metric, { unit }]) => {
+      const cell = document.createElement('td');
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.step = 'any';
+      input.min = 0;
+      input.id = `budget-${period}-${metric}`;
+      input.placeholder = 'No budget';
+      input.setAttribute('aria-label', `${label} ${metric} budget (${unit})`);
+      input.value = budgets[period][metric] === null ? '' : budgets[period][metric];
+
+      const error = document.createElement('span');
+      error.className = 'error';
+      error.id = `budget-error-${period}-${metric}`;
+
+      cell.appendChild(input);
+      cell.appendChild(error);
+      row.appendChild(cell);
+    });
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Save the budgets
+ *
+ * Each budget is alerted at 80% and 100% once per period; saving new budgets
+ * lets the alerts fire again for them
+ *
+ * INPUT: budgets - Complete budgets, null where unset
+ * OUTPUT: "budgets" saved and the alerts already sent forgotten
+ */
+function storeBudgets(budgets) {
+  chrome.storage.local.set({ budgets, budgetAlerts: {} }, () => showSaved('budgets-status'));
+}
+
+/**
+ * Validate the budget inputs and save them if they are all valid
+ *
+ * INPUT: None (reads the budget inputs)
+ * OUTPUT: Budgets saved, or invalid inputs highlighted with their error
+ * EXAMPLE: Entering -5 for the daily water budget shows "Daily water budget must be a positive number"
+ */
+function saveBudgets() {
+  const values = {};
+  Object.keys(BUDGET_PERIODS).forEach(period => {
+    values[period] = {};
+    Object.keys(BUDGET_METRICS).forEach(metric => {
+      values[period][metric] = document.getElementById(`budget-${period}-${metric}`).value;
+    });
+  });
+
+  const { budgets, errors } = validateBudgets(values);
+
+  Object.keys(BUDGET_PERIODS).forEach(period => {
+    Object.keys(BUDGET_METRICS).forEach(metric => {
+      const error = errors[`${period}.${metric}`];
+      document.getElementById(`budget-${period}-${metric}`).classList.toggle('invalid', Boolean(error));
+      document.getElementById(`budget-error-${period}-${metric}`).textContent = error || '';
+    });
+  });
+
+  if (Object.keys(errors).length > 0) return;
+  storeBudgets(budgets);
+}
+
+/**
+ * Remove every budget
+ *
+ * INPUT: None (triggered by the "Remove budgets" button)
+ * OUTPUT: Empty inputs and no budgets saved
+ */
+function clearBudgets() {
+  const { budgets } = validateBudgets({});
+  renderBudgetInputs(budgets);
+  storeBudgets(budgets);
+}
+
+/**
+ * Describe the selected region's figures
+ *
+ * INPUT: region - Region id
+ * OUTPUT: Summary of PUE and water intensity below the selector
+ * EXAMPLE: "PUE 1.1 · 0.05 L/kWh on-site · 0.4 L/kWh off-site · 445 ml per kWh overall"
+ */
+function renderRegionDetails(region) {
+  const profile = getRegionProfile(region);
+  const details = document.getElementById('region-details');
+
+  details.textContent = `PUE ${profile.pue} · ${profile.onSiteWueLPerKWh} L/kWh on-site · ` +
+    `${profile.offSiteWaterLPerKWh} L/kWh off-site · ` +
+    `${Math.round(profile.waterUsageMlPerKWh)} ml per kWh overall` +
+    (region === DEFAULT_REGION ? ' (the original estimate)' : '');
+}
+
+/**
+ * Compare the water used by a typical prompt in every region
+ *
+ * The region with the least water is tagged "best case" and the one with the
+ * most "worst case", so the spread between regions is visible at a glance.
+ *
+ * INPUT: selectedRegion - Region id to highlight
+ * OUTPUT: One table row per region
+ */
+function renderComparisonTable(selectedRegion) {
+  const table = document.getElementById('comparison-table');
+  document.getElementById('comparison-hint').textContent =
+    `Real-world water for "${SAMPLE_PROMPT}" with a ${SAMPLE_RESPONSE_TOKENS}-token reply from the default model.`;
+
+  const rows = Object.keys(REGION_PROFILES).map(id => {
+    const profile = getRegionProfile(id);
+    const energyData = calculateEnergy(SAMPLE_PROMPT, SAMPLE_PROMPT_TOKENS, {
+      responseTokens: SAMPLE_RESPONSE_TOKENS,
+      region: id,
+      coefficients: settings.coefficients
+    });
+    return { profile, waterMl: energyData.realWorldWaterUsageMl };
+  });
+
+  const waterValues = rows.map(row => row.waterMl);
+  const best = Math.min(...waterValues);
+  const worst = Math.max(...waterValues);
+
+  table.innerHTML = '';
+  rows.forEach(({ profile, waterMl }) => {
+    const row = document.createElement('tr');
+    if (profile.id === selectedRegion) row.className = 'selected';
+
+    const cells = [
+      profile.name,
+      profile.pue.toFixed(2),
+      profile.onSiteWueLPerKWh.toFixed(2),
+      profile.offSiteWaterLPerKWh.toFixed(2),
+      waterMl.toFixed(1)
+    ];
+    cells.forEach(text => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    if (waterMl === best || waterMl === worst) {
+      const tag = document.createElement('span');
+      tag.className = waterMl === best ? 'tag best' : 'tag worst';
+      tag.textContent = waterMl === best ? 'best case' : 'worst case';
+      row.lastChild.appendChild(tag);
+    }
+
+    table.appendChild(row);
+  });
+}
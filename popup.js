@@ -2,24 +2,56 @@
  * How Wet is AI? - Water & Energy Impact Tracker
  * 
  * This file manages the popup UI for the Chrome extension, displaying water
- * and energy usage statistics for ChatGPT conversations.
+ * and energy usage statistics for AI chat conversations (ChatGPT, Claude, Gemini, ...).
  * 
  * Key functionality:
  * - Tab navigation between Statistics and Prompts views
  * - Loading and displaying statistics from different time periods
  * - Visualizing water usage with animated graphics
+ * - Charting water, energy and prompts per day or week
  * - Exporting conversation history in JSON and CSV formats
+ * - Deleting or redacting single prompts, or several ticked ones
+ * - Recomputing stored history with the current estimator
+ * - Warning when the active chat page's prompts aren't being captured
  * 
  * UI Components:
  * - Water cup visualization with dynamic fill level
  * - Statistical counters for energy and water usage
  * - Prompt history list with timestamps
+ * - Conversation list, drilling into each chat's per-turn token breakdown
  * - Data sharing toggle for anonymized reporting
  * 
  * @author How Wet is AI? Team
  * @version 1.0.0
  */
 
+// Chat site of entries recorded before sites other than ChatGPT were supported
+const DEFAULT_PROVIDER_NAME = 'ChatGPT';
+
+// Labels for history entries that are not the first version of a prompt
+const ENTRY_KIND_LABELS = {
+  edit: 'Edited prompt',
+  regeneration: 'Regenerated reply'
+};
+
+/**
+ * Describe the attachments an entry's energy includes
+ * 
+ * INPUT: energyData - Entry's energy data with the estimator's attachment counts
+ * OUTPUT: Readable summary, or an empty string for text-only entries
+ * EXAMPLE: describeAttachments({ inputImages: 2, generatedImages: 0, documents: 1, audioSeconds: 0 })
+ *          // Returns "2 images, 1 document"
+ */
+function describeAttachments(energyData) {
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const parts = [];
+  if (energyData.inputImages) parts.push(plural(energyData.inputImages, 'image'));
+  if (energyData.documents) parts.push(plural(energyData.documents, 'document'));
+  if (energyData.audioSeconds) parts.push(`${Math.round(energyData.audioSeconds)} s of voice`);
+  if (energyData.generatedImages) parts.push(plural(energyData.generatedImages, 'generated image'));
+  return parts.join(', ');
+}
+
 /**
  * Initialize the UI
  * 
@@ -41,50 +73,11 @@ document.addEventListener('DOMContentLoaded', async () => {
     loadingScreen.classList.add('hidden');
     setTimeout(() => {
       loadingScreen.style.display = 'none';
-      checkSiteCompatibility(); // Check site compatibility before initializing
+      initializeApp();
     }, 300); // Additional time for fade out animation
   }, 1500);
 });
 
-/**
- * Check if the current site is a ChatGPT site
- * 
- * Verifies if the extension is being used on a compatible site
- * Shows compatibility message if not on ChatGPT
- * 
- * INPUT: None
- * OUTPUT: Boolean indicating if site is compatible
- * EXAMPLE: If user opens extension on google.com, shows message that extension only works on ChatGPT
- */
-function checkSiteCompatibility() {
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    const currentTab = tabs[0];
-    const url = currentTab?.url || '';
-    
-    // Check if the URL is from ChatGPT domains
-    const isChatGPTSite = url.includes('chat.openai.com') || url.includes('chatgpt.com');
-    
-    if (isChatGPTSite) {
-      // On ChatGPT site, initialize the app
-      initializeApp();
-    } else {
-      // Not on ChatGPT, show compatibility message
-      const compatibilityMessage = document.getElementById('compatibility-message');
-      const mainContent = document.querySelector('h1');
-      
-      if (compatibilityMessage) {
-        compatibilityMessage.style.display = 'flex';
-      }
-      
-      // Hide main content
-      const allMainElements = document.querySelectorAll('body > *:not(#compatibility-message):not(#loading-screen)');
-      allMainElements.forEach(element => {
-        element.style.display = 'none';
-      });
-    }
-  });
-}
-
 /**
  * Initialize the application components
  * 
@@ -107,6 +100,9 @@ function initializeApp() {
   // Setup event listeners
   setupEventListeners();
   
+  // Warn if the chat page in this tab shows messages the recorder can't find
+  updateCaptureWarning();
+  
   // If popup was opened via browser action, no need to trigger overlay
   // Only trigger when opened via content script
   const queryParams = new URLSearchParams(window.location.search);
@@ -118,7 +114,7 @@ function initializeApp() {
 /**
  * Setup tab navigation system
  * 
- * Configures tab navigation between Statistics and Prompts views
+ * Configures tab navigation between the Statistics, Prompts and Insights views
  * 
  * INPUT: None
  * OUTPUT: Configured tab navigation system
@@ -169,7 +165,9 @@ async function loadStats() {
     const selectedPeriod = periodSelect.value;
     
     updateStatsDisplay(selectedPeriod);
-    updatePromptsList();
+    updateUsageChart();
+    updatePromptsView();
+    updateInsights();
     
     // Check if data reporting is enabled and submit latest data
     chrome.storage.local.get('dataReportingEnabled', (result) => {
@@ -185,20 +183,173 @@ async function loadStats() {
   }
 }
 
+// What each period is compared with, as shown after "vs."
+const PREVIOUS_PERIOD_LABELS = {
+  today: 'yesterday by this time',
+  week: 'last week by this time',
+  month: 'last month by this time',
+  last7: 'the 7 days before',
+  last30: 'the 30 days before',
+  last90: 'the 90 days before',
+  custom: 'the same number of days before'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a date as the value of a date input
+ * 
+ * INPUT: date - Date
+ * OUTPUT: String "YYYY-MM-DD" in local time
+ * EXAMPLE: toDateInputValue(new Date(2025, 4, 7)) // Returns "2025-05-07"
+ */
+function toDateInputValue(date) {
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the dates chosen for the custom period
+ * 
+ * INPUT: None (reads the From and To date inputs)
+ * OUTPUT: { from, to } ISO bounds from the start of the first day to the end of the last,
+ *         or null unless both dates are set and in order
+ * EXAMPLE: With May 1st and May 7th chosen, returns { from: May 1st 00:00, to: May 7th 23:59:59.999 } as ISO strings
+ */
+function getCustomRange() {
+  const from = document.getElementById('period-from').value;
+  const to = document.getElementById('period-to').value;
+  if (!from || !to || from > to) return null;
+  
+  return {
+    from: new Date(`${from}T00:00:00`).toISOString(),
+    to: new Date(`${to}T23:59:59.999`).toISOString()
+  };
+}
+
+/**
+ * Show or hide the custom period's date inputs
+ * 
+ * The first time they are shown, they are set to the last 7 days
+ * 
+ * INPUT: period - Selected period
+ * OUTPUT: Date inputs shown for 'custom' only
+ */
+function updateCustomRangeInputs(period) {
+  const fromInput = document.getElementById('period-from');
+  const toInput = document.getElementById('period-to');
+  
+  document.getElementById('custom-range').hidden = period !== 'custom';
+  if (period === 'custom' && !fromInput.value && !toInput.value) {
+    const today = new Date();
+    fromInput.value = toDateInputValue(new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6));
+    toInput.value = toDateInputValue(today);
+  }
+}
+
+/**
+ * Format the change from one figure to another
+ * 
+ * INPUT: current - Figure of the period, previous - Figure of the period compared with
+ * OUTPUT: Element with the change in percent, colored by whether usage went up or down
+ * EXAMPLE: formatChange(12.3, 10) // Returns <span class="change-up">+23%</span>
+ */
+function formatChange(current, previous) {
+  const span = document.createElement('span');
+  if (previous > 0) {
+    const percent = Math.round((current - previous) / previous * 100);
+    span.textContent = percent > 0 ? `+${percent}%` : percent < 0 ? `−${-percent}%` : '±0%';
+    if (percent !== 0) span.className = percent > 0 ? 'change-up' : 'change-down';
+  } else if (current > 0) {
+    span.textContent = 'new';
+    span.className = 'change-up';
+  } else {
+    span.textContent = '±0%';
+  }
+  return span;
+}
+
+/**
+ * Show how a period compares with the one before it
+ * 
+ * INPUT: stats - Statistics from getStatsByPeriod(), with the previous period's totals
+ * OUTPUT: Comparison line, e.g. "vs. last week by this time: water +23%, energy +18%, prompts +2%";
+ *         empty for 'all'
+ */
+function updatePeriodComparison(stats) {
+  const comparisonEl = document.getElementById('period-comparison');
+  comparisonEl.textContent = '';
+  comparisonEl.title = '';
+  if (!stats.previous) return;
+  
+  const previous = stats.previous;
+  if (stats.totalPrompts === 0 && previous.totalPrompts === 0) {
+    comparisonEl.textContent = `No prompts in this period or ${PREVIOUS_PERIOD_LABELS[stats.period]}.`;
+    return;
+  }
+  
+  comparisonEl.append(`vs. ${PREVIOUS_PERIOD_LABELS[stats.period]}: water `);
+  comparisonEl.append(formatChange(stats.totalWaterMl, previous.totalWaterMl), ', energy ');
+  comparisonEl.append(formatChange(stats.totalEnergyKwh, previous.totalEnergyKwh), ', prompts ');
+  comparisonEl.append(formatChange(stats.totalPrompts, previous.totalPrompts));
+  comparisonEl.title = `${PREVIOUS_PERIOD_LABELS[stats.period]}: ${previous.totalWaterMl.toFixed(2)} ml, ` +
+    `${formatEnergy(previous.totalEnergyKwh)}, ${previous.totalPrompts} prompts`;
+}
+
+/**
+ * Show the progress of the selected period's budgets
+ * 
+ * INPUT: period - Selected period, stats - Its statistics
+ * OUTPUT: A line per budget below the water used, colored from 80% used on, and the
+ *         budget line on the cup for a water budget; returns the water budget's progress, if set
+ */
+function updateBudgetDisplay(period, stats) {
+  const progress = window.energyStats.getBudgetProgress(period, stats);
+  const statusEl = document.getElementById('budget-status');
+  statusEl.innerHTML = '';
+  
+  progress.forEach(budget => {
+    const line = document.createElement('div');
+    line.textContent = budget.description;
+    if (budget.fraction >= 1) {
+      line.className = 'exceeded';
+    } else if (budget.fraction >= 0.8) {
+      line.className = 'warning';
+    }
+    statusEl.appendChild(line);
+  });
+  
+  const waterBudget = progress.find(budget => budget.metric === 'water') || null;
+  const budgetLine = document.getElementById('budget-line');
+  budgetLine.hidden = !waterBudget;
+  budgetLine.title = waterBudget ? waterBudget.description : '';
+  return waterBudget;
+}
+
 /**
  * Update the statistics display for the selected period
  * 
  * Updates all UI elements with statistics for the selected time period
  * 
- * INPUT: period - String representing time period ('today', 'week', 'month', 'all')
- * OUTPUT: Updated UI elements with new statistics
+ * INPUT: period - 'today', 'week', 'month', 'last7', 'last30', 'last90', 'custom'
+ *        (the dates chosen below the menu) or 'all'
+ * OUTPUT: Updated UI elements with new statistics and the comparison with the period before
  * EXAMPLE: updateStatsDisplay('week') shows statistics for the current week
  * 
  * Contains intelligent formatting for different units (ml/L, Wh/kWh)
  * Animates the water cup fill level based on usage
  */
-function updateStatsDisplay(period) {
-  const stats = window.energyStats.getStatsByPeriod(period);
+async function updateStatsDisplay(period) {
+  let range = {};
+  if (period === 'custom') {
+    range = getCustomRange();
+    if (!range) {
+      document.getElementById('period-comparison').textContent = 'Choose a start date on or before the end date.';
+      return;
+    }
+  }
+  
+  const stats = await window.energyStats.getStatsByPeriod(period, range);
   
   if (!stats) {
     console.error('No stats available');
@@ -248,17 +399,32 @@ function updateStatsDisplay(period) {
     case 'month':
       fillMultiplier = 0.025;
       break;
+    case 'last7':
+    case 'last30':
+    case 'last90':
+    case 'custom': {
+      // A full cup for as many days as the period has at today's rate
+      const days = Math.max(1, Math.round((new Date(stats.endDate) - new Date(stats.startDate)) / DAY_MS));
+      fillMultiplier = 0.8 / days;
+      break;
+    }
     case 'all':
     default:
       fillMultiplier = 0.005;
       break;
   }
+  // With a water budget, the cup is scaled so the budget line sits at 80% of its height
+  const waterBudget = updateBudgetDisplay(period, stats);
+  if (waterBudget) {
+    fillMultiplier = 80 / waterBudget.limit;
+  }
   // Cap at 100% to avoid overflow
   const fillLevel = Math.min(stats.totalWaterMl * fillMultiplier, 100);
   waterCupEl.style.height = fillLevel + '%';
   
   // Generate and display eco-comparison
   ecoComparisonEl.textContent = window.energyStats.generateEcoComparisons(stats);
+  updatePeriodComparison(stats);
   
   // Check if data reporting is enabled and submit stats
   chrome.storage.local.get('dataReportingEnabled', (result) => {
@@ -269,76 +435,1001 @@ function updateStatsDisplay(period) {
   });
 }
 
+// Ranges the usage chart can show: bucket size and number of buckets
+const CHART_RANGES = {
+  days: { bucket: 'day', count: 30 },
+  weeks: { bucket: 'week', count: 12 }
+};
+
+// Values the usage chart can show, with their label, unit formatting and color
+const CHART_METRICS = {
+  water: {
+    label: 'Water',
+    value: bucket => bucket.waterMl,
+    format: ml => ml >= 1000 ? `${formatChartNumber(ml / 1000)} L` : `${formatChartNumber(ml)} ml`,
+    color: '#2196F3'
+  },
+  energy: {
+    label: 'Energy',
+    value: bucket => bucket.energyKwh * 1000,
+    format: wh => `${formatChartNumber(wh)} Wh`,
+    color: '#FB8C00'
+  },
+  prompts: {
+    label: 'Prompts',
+    value: bucket => bucket.prompts,
+    format: count => formatChartNumber(count),
+    color: '#43A047'
+  }
+};
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
 /**
- * Update the prompts list in the UI
+ * Format a chart value compactly
+ * 
+ * INPUT: value - Number to show on an axis or in a tooltip
+ * OUTPUT: String with two significant digits for small values
+ * EXAMPLE: formatChartNumber(0.004321) // Returns "0.0043"
+ */
+function formatChartNumber(value) {
+  if (value === 0) return '0';
+  if (value >= 100) return Math.round(value).toLocaleString();
+  if (value >= 1) return value.toFixed(1).replace(/\.0$/, '');
+  return String(Number(value.toPrecision(2)));
+}
+
+/**
+ * Get the top of a chart's scale
+ * 
+ * INPUT: max - Largest value shown
+ * OUTPUT: The next round number (1, 2 or 5 times a power of ten) at or above it
+ * EXAMPLE: getChartScaleMax(37) // Returns 50
+ */
+function getChartScaleMax(max) {
+  if (!(max > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(max)));
+  return [1, 2, 5, 10].find(step => step * magnitude >= max) * magnitude;
+}
+
+/**
+ * Create an SVG element
  * 
- * Populates the prompts tab with recorded conversations
+ * INPUT: name - Tag name, attributes - Attributes to set, text - Text content (optional)
+ * OUTPUT: SVG element
+ * EXAMPLE: createSvgElement('rect', { x: 0, y: 0, width: 10, height: 20 })
+ */
+function createSvgElement(name, attributes, text) {
+  const element = document.createElementNS(SVG_NAMESPACE, name);
+  Object.entries(attributes).forEach(([attribute, value]) => element.setAttribute(attribute, value));
+  if (text !== undefined) element.textContent = text;
+  return element;
+}
+
+/**
+ * Draw a time series as a bar or line chart
  * 
- * INPUT: None (uses conversation history from energyStats)
- * OUTPUT: Updated UI with list of recorded prompts
- * EXAMPLE: updatePromptsList() displays all recorded prompts with timestamps and impact data
+ * Drawn as inline SVG, so the popup needs no charting library. Every bar or
+ * point has a tooltip with its exact value.
  * 
- * Sorts prompts by timestamp (newest first)
- * Truncates very long prompts for better display
+ * INPUT: container - Element to draw into, series - Time series from the background worker,
+ *        metricName - Key of CHART_METRICS, type - 'bar' or 'line'
+ * OUTPUT: Chart with a scale, gridlines and the first, middle and last dates
+ * EXAMPLE: renderUsageChart(element, series, 'water', 'bar') draws 30 daily bars of water use
  */
-function updatePromptsList() {
+function renderUsageChart(container, series, metricName, type) {
+  const metric = CHART_METRICS[metricName];
+  const values = series.buckets.map(metric.value);
+  container.innerHTML = '';
+  
+  if (values.every(value => value === 0)) {
+    container.innerHTML = '<p class="empty-state">No prompts recorded in this range yet.</p>';
+    return;
+  }
+  
+  const width = 300;
+  const height = 150;
+  const margin = { top: 8, right: 6, bottom: 20, left: 42 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const scaleMax = getChartScaleMax(Math.max(...values));
+  const slot = plotWidth / values.length;
+  const x = index => margin.left + slot * (index + 0.5);
+  const y = value => margin.top + plotHeight * (1 - value / scaleMax);
+  
+  const svg = createSvgElement('svg', {
+    viewBox: `0 0 ${width} ${height}`,
+    role: 'img',
+    'aria-label': `${metric.label} per ${series.bucket}`
+  });
+  
+  // Gridlines at zero, half and the top of the scale
+  [0, 0.5, 1].forEach(fraction => {
+    const lineY = y(scaleMax * fraction);
+    svg.appendChild(createSvgElement('line', { class: 'grid-line', x1: margin.left, x2: width - margin.right, y1: lineY, y2: lineY }));
+    svg.appendChild(createSvgElement('text', { class: 'axis-label', x: margin.left - 4, y: lineY + 3, 'text-anchor': 'end' }, metric.format(scaleMax * fraction)));
+  });
+  
+  const dateLabel = bucket => {
+    const date = new Date(bucket.start).toLocaleDateString([], { month: 'short', day: 'numeric' });
+    return series.bucket === 'week' ? `Week of ${date}` : date;
+  };
+  const tooltip = (bucket, value) => `${dateLabel(bucket)}: ${metric.format(value)}`;
+  
+  if (type === 'line') {
+    const points = values.map((value, index) => `${x(index)},${y(value)}`).join(' ');
+    svg.appendChild(createSvgElement('polyline', { points, fill: 'none', stroke: metric.color, 'stroke-width': 2 }));
+    series.buckets.forEach((bucket, index) => {
+      const point = createSvgElement('circle', { cx: x(index), cy: y(values[index]), r: 2.5, fill: metric.color });
+      point.appendChild(createSvgElement('title', {}, tooltip(bucket, values[index])));
+      svg.appendChild(point);
+    });
+  } else {
+    const barWidth = Math.max(1, slot * 0.7);
+    series.buckets.forEach((bucket, index) => {
+      const bar = createSvgElement('rect', {
+        x: x(index) - barWidth / 2,
+        y: y(values[index]),
+        width: barWidth,
+        height: margin.top + plotHeight - y(values[index]),
+        fill: metric.color,
+        rx: 1
+      });
+      bar.appendChild(createSvgElement('title', {}, tooltip(bucket, values[index])));
+      svg.appendChild(bar);
+    });
+  }
+  
+  // Dates of the first, middle and last bucket
+  const labelled = [...new Set([0, Math.floor((values.length - 1) / 2), values.length - 1])];
+  labelled.forEach(index => {
+    const anchor = index === 0 ? 'start' : index === values.length - 1 ? 'end' : 'middle';
+    const labelX = index === 0 ? margin.left : index === values.length - 1 ? width - margin.right : x(index);
+    const date = new Date(series.buckets[index].start).toLocaleDateString([], { month: 'short', day: 'numeric' });
+    svg.appendChild(createSvgElement('text', { class: 'axis-label', x: labelX, y: height - 6, 'text-anchor': anchor }, date));
+  });
+  
+  container.appendChild(svg);
+}
+
+/**
+ * Update the usage chart on the Statistics tab
+ * 
+ * INPUT: None (reads the chart's value, range and type menus)
+ * OUTPUT: Chart of the selected value over the selected range
+ * EXAMPLE: Choosing "Energy" and "Last 12 weeks" shows weekly energy use
+ */
+async function updateUsageChart() {
+  const container = document.getElementById('usage-chart');
+  const range = CHART_RANGES[document.getElementById('chart-range').value];
+  const series = await window.energyStats.getTimeSeries(range.bucket, range.count);
+  
+  if (!series) {
+    container.innerHTML = '<p class="empty-state">Chart not available.</p>';
+    return;
+  }
+  renderUsageChart(container, series, document.getElementById('chart-metric').value, document.getElementById('chart-type').value);
+}
+
+// Values the Insights heatmaps can show
+const INSIGHTS_METRICS = {
+  prompts: {
+    value: cell => cell.prompts,
+    format: count => `${count} prompt${count === 1 ? '' : 's'}`
+  },
+  water: {
+    value: cell => cell.waterMl,
+    format: ml => CHART_METRICS.water.format(ml)
+  }
+};
+
+// Shades of a heatmap cell with prompts, from a few to the most
+const HEATMAP_LEVELS = 4;
+
+// Heatmap cell whose prompts are listed below the heatmaps, with its title
+let openInsightsCell = null;
+
+/**
+ * Get the name of a weekday in the user's language
+ * 
+ * INPUT: weekday - 0 for Sunday, 1 for Monday, ..., style - 'short' or 'long'
+ * OUTPUT: Localized name
+ * EXAMPLE: getWeekdayName(3, 'long') // Returns "Wednesday" in English
+ */
+function getWeekdayName(weekday, style = 'short') {
+  // January 1st 2023 was a Sunday
+  return new Date(2023, 0, 1 + weekday).toLocaleDateString(undefined, { weekday: style });
+}
+
+/**
+ * Format an hour of the day
+ * 
+ * INPUT: hour - 0 to 23
+ * OUTPUT: String such as "09:00"
+ */
+function formatHour(hour) {
+  return `${String(hour).padStart(2, '0')}:00`;
+}
+
+/**
+ * Create a heatmap cell shaded by its value
+ * 
+ * INPUT: value - Cell's value, max - Highest value of the heatmap,
+ *        label - Tooltip, e.g. "Wed, May 14: 5 prompts", onSelect - Called when a cell with prompts is clicked
+ * OUTPUT: .heatmap-cell element; cells with prompts can be clicked or selected with Enter
+ */
+function createHeatmapCell(value, max, label, onSelect) {
+  const cell = document.createElement('div');
+  const level = value > 0 ? Math.max(1, Math.ceil(value / max * HEATMAP_LEVELS)) : 0;
+  cell.className = `heatmap-cell level-${level}`;
+  cell.title = label;
+  
+  if (onSelect) {
+    cell.setAttribute('role', 'button');
+    cell.setAttribute('aria-label', label);
+    cell.tabIndex = 0;
+    cell.addEventListener('click', onSelect);
+    cell.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') onSelect();
+    });
+  }
+  return cell;
+}
+
+/**
+ * Draw the calendar heatmap: a column per week and a row per weekday
+ * 
+ * INPUT: container - Element to draw into, heatmap - From getCalendarHeatmap(), metric - Key of INSIGHTS_METRICS
+ * OUTPUT: Calendar scrolled to the current week
+ */
+function renderCalendarHeatmap(container, heatmap, metric) {
+  const { value, format } = INSIGHTS_METRICS[metric];
+  const max = Math.max(...heatmap.days.map(value));
+  container.innerHTML = '';
+  
+  // Every other weekday is labeled, as there is no room for all
+  const weekdays = document.createElement('div');
+  weekdays.className = 'calendar-weekdays';
+  for (let row = 0; row < 7; row++) {
+    const label = document.createElement('div');
+    label.textContent = row % 2 === 1 ? getWeekdayName((heatmap.weekStart + row) % 7) : '';
+    weekdays.appendChild(label);
+  }
+  container.appendChild(weekdays);
+  
+  const days = document.createElement('div');
+  days.className = 'calendar-days';
+  heatmap.days.forEach(day => {
+    const date = new Date(day.start).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+    const onSelect = day.prompts > 0 ? () => showInsightsDrilldown({ title: date, start: day.start, end: day.end }) : null;
+    days.appendChild(createHeatmapCell(value(day), max, `${date}: ${format(value(day))}`, onSelect));
+  });
+  container.appendChild(days);
+  
+  container.scrollLeft = container.scrollWidth;
+}
+
+/**
+ * Draw the weekday by hour heatmap: a row per weekday and a column per hour
+ * 
+ * INPUT: container - Element to draw into, matrix - From getHourWeekdayMatrix(),
+ *        metric - Key of INSIGHTS_METRICS, weekStart - Weekday of the first row, since - Start of the range
+ * OUTPUT: Heatmap with hours labeled every 6 hours
+ */
+function renderHourMatrix(container, matrix, metric, weekStart, since) {
+  const { value, format } = INSIGHTS_METRICS[metric];
+  const max = Math.max(...matrix.cells.flat().map(value));
+  container.innerHTML = '';
+  
+  const addLabel = (text, className = 'matrix-label') => {
+    const label = document.createElement('div');
+    label.className = className;
+    label.textContent = text;
+    container.appendChild(label);
+  };
+  
+  // Labels span 6 columns so they fit
+  addLabel('');
+  for (let hour = 0; hour < 24; hour += 6) {
+    addLabel(formatHour(hour), 'matrix-label hour-label');
+    container.lastChild.style.gridColumn = 'span 6';
+  }
+  
+  for (let row = 0; row < 7; row++) {
+    const weekday = (weekStart + row) % 7;
+    addLabel(getWeekdayName(weekday));
+    matrix.cells[weekday].forEach((cell, hour) => {
+      const title = `${getWeekdayName(weekday, 'long')}s ${formatHour(hour)}–${formatHour((hour + 1) % 24)}`;
+      const onSelect = cell.prompts > 0 ? () => showInsightsDrilldown({ title, weekday, hour, since }) : null;
+      container.appendChild(createHeatmapCell(value(cell), max, `${title}: ${format(value(cell))}`, onSelect));
+    });
+  }
+}
+
+/**
+ * Describe when the most prompts were sent, or the most water was used
+ * 
+ * INPUT: matrix - From getHourWeekdayMatrix(), metric - Key of INSIGHTS_METRICS
+ * OUTPUT: String such as "Busiest day: Wednesdays · Busiest hour: 14:00–15:00"
+ */
+function describeBusiestTimes(matrix, metric) {
+  const { value } = INSIGHTS_METRICS[metric];
+  if (matrix.cells.flat().every(cell => cell.prompts === 0)) {
+    return 'No prompts recorded in this range yet.';
+  }
+  
+  const sum = cells => cells.reduce((total, cell) => total + value(cell), 0);
+  const busiest = totals => totals.indexOf(Math.max(...totals));
+  const weekday = busiest(matrix.cells.map(sum));
+  const hour = busiest(Array.from({ length: 24 }, (_, index) => sum(matrix.cells.map(row => row[index]))));
+  
+  return `Busiest day: ${getWeekdayName(weekday, 'long')}s · Busiest hour: ${formatHour(hour)}–${formatHour((hour + 1) % 24)}`;
+}
+
+/**
+ * List the prompts of a heatmap cell below the heatmaps
+ * 
+ * INPUT: cell - Title and bounds of the cell, as passed to getPromptsInCell()
+ * OUTPUT: Newest prompts of the cell, one page at most
+ */
+function showInsightsDrilldown(cell) {
+  openInsightsCell = cell;
+  const prompts = window.energyStats.getPromptsInCell(cell);
+  const list = document.getElementById('drilldown-list');
+  
+  document.getElementById('drilldown-title').textContent = `${cell.title}: ${INSIGHTS_METRICS.prompts.format(prompts.length)}`;
+  list.innerHTML = '';
+  prompts.slice(0, PROMPTS_PAGE_SIZE).forEach(item => list.appendChild(createPromptElement(item, { selectable: false })));
+  if (prompts.length > PROMPTS_PAGE_SIZE) {
+    const note = document.createElement('p');
+    note.className = 'empty-state';
+    note.textContent = `Showing the newest ${PROMPTS_PAGE_SIZE}; search the Prompts tab to see all of them.`;
+    list.appendChild(note);
+  }
+  
+  // Deleting the last of a cell's prompts leaves nothing to show
+  document.getElementById('insights-drilldown').hidden = prompts.length === 0;
+  if (prompts.length === 0) openInsightsCell = null;
+}
+
+/**
+ * Update the Insights tab
+ * 
+ * INPUT: None (reads the range and value menus)
+ * OUTPUT: Calendar and weekday by hour heatmaps of the selected range, and the
+ *         prompts of the cell that was open, if any
+ */
+function updateInsights() {
+  const metric = document.getElementById('insights-metric').value;
+  const heatmap = window.energyStats.getCalendarHeatmap(Number(document.getElementById('insights-range').value));
+  if (!heatmap) return;
+  
+  const since = new Date(heatmap.days[0].start);
+  const matrix = window.energyStats.getHourWeekdayMatrix(since);
+  
+  document.getElementById('insights-summary').textContent = describeBusiestTimes(matrix, metric);
+  renderCalendarHeatmap(document.getElementById('calendar-heatmap'), heatmap, metric);
+  renderHourMatrix(document.getElementById('hour-matrix'), matrix, metric, heatmap.weekStart, since);
+  
+  if (openInsightsCell) {
+    showInsightsDrilldown(openInsightsCell.weekday != null ? { ...openInsightsCell, since } : openInsightsCell);
+  }
+}
+
+/**
+ * Format an energy figure for display
+ * 
+ * INPUT: kWh - Energy in kilowatt-hours
+ * OUTPUT: String in Wh for small values, otherwise in kWh
+ * EXAMPLE: formatEnergy(0.00042) // Returns "0.42 Wh"
+ */
+function formatEnergy(kWh) {
+  return kWh < 0.001 ? `${(kWh * 1000).toFixed(2)} Wh` : `${kWh.toFixed(6)} kWh`;
+}
+
+/**
+ * Show the recorded prompts in the view selected on the Prompts tab
+ * 
+ * INPUT: None (reads the view selector)
+ * OUTPUT: Prompts listed one by one, or grouped by conversation
+ */
+function updatePromptsView() {
+  const byConversation = document.getElementById('prompts-view').value === 'conversations';
+  
+  // Search, paging and selection apply to the list of prompts
+  document.getElementById('history-filters').hidden = byConversation;
+  document.getElementById('selection-controls').hidden = byConversation;
+  if (byConversation) {
+    document.getElementById('history-pagination').hidden = true;
+    updateConversationsList();
+  } else {
+    updatePromptsList();
+  }
+}
+
+// Conversation opened in the conversation view, by getConversationKey (null shows the list)
+let openConversationKey = null;
+
+/**
+ * Get the key a conversation is opened by
+ * 
+ * INPUT: conversation - Conversation from the background worker
+ * OUTPUT: Its conversation id, or 'none' for the prompts recorded without one
+ * EXAMPLE: getConversationKey({ conversationId: null }) // Returns "none"
+ */
+function getConversationKey(conversation) {
+  return conversation.conversationId || 'none';
+}
+
+/**
+ * Get the name a conversation is listed under
+ * 
+ * INPUT: conversation - Conversation from the background worker
+ * OUTPUT: Its title in the site's chat list, or a placeholder until one was seen
+ * EXAMPLE: getConversationLabel({ conversationId: '6f2c...', title: null }) // Returns "Untitled conversation"
+ */
+function getConversationLabel(conversation) {
+  if (!conversation.conversationId) return 'Prompts without a conversation';
+  return conversation.title || 'Untitled conversation';
+}
+
+/**
+ * Describe when a conversation took place
+ * 
+ * INPUT: conversation - Conversation with startedAt and lastActivity timestamps
+ * OUTPUT: Date and time range, with the date given once for single-day chats
+ * EXAMPLE: formatConversationDates(conversation) // Returns "5/14/2025, 10:00 AM – 10:42 AM"
+ */
+function formatConversationDates(conversation) {
+  const start = new Date(conversation.startedAt);
+  const end = new Date(conversation.lastActivity);
+  const time = date => date.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+  
+  if (start.toDateString() === end.toDateString()) {
+    const endTime = end - start >= 60000 ? ` – ${time(end)}` : '';
+    return `${start.toLocaleDateString()}, ${time(start)}${endTime}`;
+  }
+  return `${start.toLocaleDateString()} – ${end.toLocaleDateString()}`;
+}
+
+/**
+ * Display the recorded prompts grouped by conversation
+ * 
+ * Lists each chat with its totals; clicking one opens its turns
+ * (see showConversationDetail)
+ * 
+ * INPUT: None (asks the background worker for the conversations)
+ * OUTPUT: One item per conversation, most recently active first, or the open conversation's turns
+ * EXAMPLE: A 12-turn chat is listed as "Turns: 12" with its energy and water
+ */
+async function updateConversationsList() {
   const conversationList = document.getElementById('conversation-list');
-  const history = window.energyStats.conversationHistory;
+  const conversations = await window.energyStats.getConversations();
   
-  if (!history || history.length === 0) {
+  if (conversations.length === 0) {
+    openConversationKey = null;
     conversationList.innerHTML = '<p class="empty-state">No prompts recorded yet.</p>';
     return;
   }
   
   conversationList.innerHTML = '';
   
-  // Sort prompts by timestamp (newest first)
-  const sortedHistory = [...history].sort((a, b) => 
-    new Date(b.timestamp) - new Date(a.timestamp)
-  );
+  const openConversation = conversations.find(conversation => getConversationKey(conversation) === openConversationKey);
+  if (openConversation) {
+    showConversationDetail(conversationList, openConversation);
+    return;
+  }
+  openConversationKey = null;
   
-  // Display prompts
-  sortedHistory.forEach(item => {
-    const promptElement = document.createElement('div');
-    promptElement.className = 'prompt-item';
+  conversations.forEach(conversation => {
+    const item = document.createElement('div');
+    item.className = 'prompt-item conversation-group';
+    item.tabIndex = 0;
+    item.setAttribute('role', 'button');
     
-    const timestamp = document.createElement('div');
-    timestamp.className = 'timestamp';
-    timestamp.textContent = new Date(item.timestamp).toLocaleString();
+    const title = document.createElement('div');
+    title.className = 'conversation-title';
+    title.textContent = getConversationLabel(conversation);
     
-    const promptText = document.createElement('div');
-    promptText.className = 'prompt';
-    promptText.textContent = item.prompt.length > 300 
-      ? item.prompt.substring(0, 300) + '...' 
-      : item.prompt;
+    const dates = document.createElement('div');
+    dates.className = 'timestamp';
+    dates.textContent = `${conversation.providerName || DEFAULT_PROVIDER_NAME} · ${formatConversationDates(conversation)}`;
     
-    const impactInfo = document.createElement('div');
-    impactInfo.className = 'environmental-impact';
+    const summary = document.createElement('div');
+    summary.className = 'environmental-impact';
+    summary.innerHTML = `
+      <strong>Turns:</strong> ${conversation.turnCount}<br>
+      <strong>Energy:</strong> ${formatEnergy(conversation.realWorldKWh)}<br>
+      <strong>Water:</strong> ${conversation.realWorldWaterUsageMl.toFixed(2)} ml
+    `;
     
-    if (item.energyData) {
-      // Format energy (use Wh for small values)
-      let energyText;
-      if (item.energyData.realWorldKWh < 0.001) {
-        energyText = `${(item.energyData.realWorldKWh * 1000).toFixed(2)} Wh`;
-      } else {
-        energyText = `${item.energyData.realWorldKWh.toFixed(6)} kWh`;
+    const open = () => {
+      openConversationKey = getConversationKey(conversation);
+      updateConversationsList();
+    };
+    item.addEventListener('click', open);
+    item.addEventListener('keydown', event => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        open();
       }
-      
-      impactInfo.innerHTML = `
-        <strong>Tokens:</strong> ${item.energyData.totalTokens.toLocaleString()}<br>
-        <strong>Energy:</strong> ${energyText}<br>
-        <strong>Water:</strong> ${item.energyData.realWorldWaterUsageMl.toFixed(2)} ml
-      `;
+    });
+    
+    item.appendChild(title);
+    item.appendChild(dates);
+    item.appendChild(summary);
+    conversationList.appendChild(item);
+  });
+}
+
+/**
+ * Display one conversation's turns
+ * 
+ * Each turn shows where its tokens went: the prompt (with any pasted code), the
+ * reply, hidden reasoning and the earlier turns it re-read as context, so the
+ * growing cost of a long chat's later turns is visible
+ * 
+ * INPUT: container - Element to fill, conversation - Conversation from the background worker
+ * OUTPUT: Back button, the conversation's totals, a link back to the chat and a row per turn
+ * EXAMPLE: The third turn of a chat shows "Context: 570" for the two turns before it
+ */
+function showConversationDetail(container, conversation) {
+  const back = document.createElement('button');
+  back.className = 'conversation-back';
+  back.textContent = '\u2190 All conversations';
+  back.addEventListener('click', () => {
+    openConversationKey = null;
+    updateConversationsList();
+  });
+  
+  const title = document.createElement('div');
+  title.className = 'conversation-title';
+  title.textContent = getConversationLabel(conversation);
+  
+  const providerName = conversation.providerName || DEFAULT_PROVIDER_NAME;
+  const dates = document.createElement('div');
+  dates.className = 'timestamp';
+  dates.textContent = `${providerName} · ${formatConversationDates(conversation)}`;
+  
+  const contextShare = conversation.totalTokens > 0
+    ? Math.round(conversation.contextTokens / conversation.totalTokens * 100)
+    : 0;
+  const summary = document.createElement('div');
+  summary.className = 'environmental-impact';
+  summary.innerHTML = `
+    <strong>Turns:</strong> ${conversation.turnCount}<br>
+    <strong>Tokens:</strong> ${conversation.totalTokens.toLocaleString()} (${contextShare}% re-read from earlier turns)<br>
+    <strong>Energy:</strong> ${formatEnergy(conversation.realWorldKWh)}<br>
+    <strong>Water:</strong> ${conversation.realWorldWaterUsageMl.toFixed(2)} ml
+  `;
+  
+  const detail = document.createElement('div');
+  detail.className = 'prompt-item conversation-detail';
+  detail.appendChild(title);
+  detail.appendChild(dates);
+  
+  // Only link to addresses the content script reported from a chat site
+  if (conversation.url && /^https:\/\//.test(conversation.url)) {
+    const link = document.createElement('a');
+    link.className = 'conversation-link';
+    link.href = conversation.url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = `Open chat in ${providerName}`;
+    detail.appendChild(link);
+  }
+  detail.appendChild(summary);
+  
+  // One row per recorded inference; edits and regenerations repeat their turn's number
+  const table = document.createElement('table');
+  table.className = 'turn-table';
+  table.innerHTML = '<thead><tr><th>Turn</th><th>Prompt</th><th>Reply</th><th>Reasoning</th><th>Context</th><th>Water (ml)</th></tr></thead>';
+  const body = document.createElement('tbody');
+  const turnNumbers = new Map();
+  let estimatedReplies = false;
+  conversation.entries.forEach(entry => {
+    const turnId = entry.parentId || entry.id;
+    if (!turnNumbers.has(turnId)) turnNumbers.set(turnId, turnNumbers.size + 1);
+    
+    const energyData = entry.energyData || {};
+    const { realWorldWaterUsageMl } = entry.energyData
+      ? window.energyStats.getAdjustedEnergy(entry.energyData)
+      : { realWorldWaterUsageMl: 0 };
+    
+    // Replies still being written, or never measured, show their estimated size
+    const measured = energyData.observedResponseTokens != null;
+    const replyTokens = Math.round((measured ? energyData.observedResponseTokens : energyData.estimatedResponseTokens) || 0);
+    if (!measured) estimatedReplies = true;
+    
+    const row = document.createElement('tr');
+    const cells = [
+      ENTRY_KIND_LABELS[entry.kind] ? `${turnNumbers.get(turnId)} (${ENTRY_KIND_LABELS[entry.kind].toLowerCase()})` : turnNumbers.get(turnId),
+      (energyData.promptTokens || 0).toLocaleString(),
+      `${measured ? '' : '~'}${replyTokens.toLocaleString()}`,
+      Math.round(energyData.reasoningTokens || 0).toLocaleString(),
+      (energyData.contextTokens || 0).toLocaleString(),
+      realWorldWaterUsageMl.toFixed(2)
+    ];
+    cells.forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value;
+      row.appendChild(cell);
+    });
+    
+    // The prompt itself, below its figures
+    const promptRow = document.createElement('tr');
+    promptRow.className = 'turn-prompt';
+    const promptCell = document.createElement('td');
+    promptCell.colSpan = cells.length;
+    const codeNote = energyData.codeTokens > 0 ? ` [${energyData.codeTokens.toLocaleString()} tokens of code]` : '';
+    if (entry.redacted) {
+      promptCell.textContent = 'Redacted';
+      promptCell.title = entry.promptHash;
     } else {
-      impactInfo.textContent = 'Energy data not available';
+      promptCell.textContent = (entry.prompt.length > 120 ? entry.prompt.substring(0, 120) + '...' : entry.prompt || '(no text)') + codeNote;
+      promptCell.title = entry.prompt;
     }
+    promptRow.appendChild(promptCell);
     
-    promptElement.appendChild(timestamp);
-    promptElement.appendChild(promptText);
-    promptElement.appendChild(impactInfo);
-    
-    conversationList.appendChild(promptElement);
+    body.appendChild(row);
+    body.appendChild(promptRow);
   });
+  table.appendChild(body);
+  detail.appendChild(table);
+  
+  if (estimatedReplies) {
+    const note = document.createElement('p');
+    note.className = 'turn-note';
+    note.textContent = '~ Reply not measured; its estimated size is shown';
+    detail.appendChild(note);
+  }
+  
+  container.appendChild(back);
+  container.appendChild(detail);
+}
+
+// Prompts shown per page of the Prompts tab's list
+const PROMPTS_PAGE_SIZE = 50;
+
+// Ids of the entries ticked in the prompts list, kept across pages and searches
+const selectedEntryIds = new Set();
+
+// First entry of the page shown, and the number of the latest search (older answers are dropped)
+let promptsOffset = 0;
+let promptsSearchCount = 0;
+
+/**
+ * Read the Prompts tab's search and filters
+ * 
+ * Dates are whole local days: "to" includes the day it names
+ * 
+ * INPUT: None (reads the filter controls)
+ * OUTPUT: Search for the background worker (see historySearch.js)
+ * EXAMPLE: getPromptsQuery() // Returns { text: 'python', provider: 'claude', sort: 'water', offset: 0, limit: 50, ... }
+ */
+function getPromptsQuery() {
+  const value = id => document.getElementById(id).value;
+  const from = value('filter-from');
+  const to = value('filter-to');
+  
+  return {
+    text: value('history-search'),
+    from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+    to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null,
+    provider: value('filter-provider') || null,
+    model: value('filter-model') || null,
+    reasoningLevel: Number(value('filter-reasoning')) || null,
+    minWaterMl: parseFloat(value('filter-min-water')) || 0,
+    sort: value('history-sort'),
+    offset: promptsOffset,
+    limit: PROMPTS_PAGE_SIZE
+  };
+}
+
+/**
+ * Fill a filter menu with the values found in the history
+ * 
+ * INPUT: selectId - Id of the select element, options - Array of { id, name }
+ * OUTPUT: Menu listing "all" and each option; the selection is kept if still offered
+ * EXAMPLE: setFilterOptions('filter-model', [{ id: 'gpt-4o', name: 'GPT-4o' }])
+ */
+function setFilterOptions(selectId, options) {
+  const select = document.getElementById(selectId);
+  const selected = select.value;
+  
+  // The first option ("All sites", "All models") stays
+  while (select.options.length > 1) {
+    select.remove(1);
+  }
+  options.forEach(({ id, name }) => select.add(new Option(name, id)));
+  select.value = options.some(option => option.id === selected) ? selected : '';
+}
+
+/**
+ * Show which page of the matching prompts is listed
+ * 
+ * INPUT: result - Search result with total, offset and limit
+ * OUTPUT: Updated page status and previous/next buttons; hidden when one page holds everything
+ * EXAMPLE: "51–100 of 340"
+ */
+function updatePagination(result) {
+  const pagination = document.getElementById('history-pagination');
+  pagination.hidden = result.total <= result.limit;
+  
+  document.getElementById('page-status').textContent = result.total > 0
+    ? `${result.offset + 1}–${Math.min(result.offset + result.limit, result.total)} of ${result.total}`
+    : '';
+  document.getElementById('page-previous').disabled = result.offset === 0;
+  document.getElementById('page-next').disabled = result.offset + result.limit >= result.total;
+}
+
+/**
+ * Update the prompts list in the UI
+ * 
+ * Asks the background worker for the page of prompts matching the search and
+ * filters, so only one page of entries is ever rendered
+ * 
+ * INPUT: None (reads the filter controls)
+ * OUTPUT: Updated UI with the page of matching prompts
+ * EXAMPLE: updatePromptsList() displays the 50 newest prompts with timestamps and impact data
+ */
+async function updatePromptsList() {
+  const conversationList = document.getElementById('conversation-list');
+  const searchNumber = ++promptsSearchCount;
+  const result = await window.energyStats.searchHistory(getPromptsQuery());
+  if (searchNumber !== promptsSearchCount) return; // A newer search was started meanwhile
+  
+  promptsOffset = result.offset;
+  setFilterOptions('filter-provider', result.filterOptions.providers);
+  setFilterOptions('filter-model', result.filterOptions.models);
+  updatePagination(result);
+  
+  if (result.total === 0) {
+    const recorded = result.filterOptions.providers.length > 0;
+    conversationList.innerHTML = `<p class="empty-state">${recorded ? 'No prompts match the search.' : 'No prompts recorded yet.'}</p>`;
+    return;
+  }
+  
+  conversationList.innerHTML = '';
+  result.entries.forEach(item => conversationList.appendChild(createPromptElement(item)));
+  updateSelectionControls();
+}
+
+/**
+ * Create the list item for a recorded prompt
+ * 
+ * Truncates very long prompts for better display
+ * 
+ * INPUT: item - History entry, options - { selectable }: false to leave out the
+ *        checkbox, for lists outside the Prompts tab
+ * OUTPUT: Element with the prompt's timestamp, text and environmental impact
+ * EXAMPLE: createPromptElement(entry) // Returns a .prompt-item div
+ */
+function createPromptElement(item, options = {}) {
+  const { selectable = true } = options;
+  const promptElement = document.createElement('div');
+  promptElement.className = 'prompt-item';
+  
+  const timestamp = document.createElement('div');
+  timestamp.className = 'timestamp';
+  
+  // Ticked entries can be deleted or redacted together
+  if (selectable) {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'entry-select';
+    checkbox.dataset.id = item.id;
+    checkbox.checked = selectedEntryIds.has(item.id);
+    checkbox.setAttribute('aria-label', 'Select prompt');
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        selectedEntryIds.add(item.id);
+      } else {
+        selectedEntryIds.delete(item.id);
+      }
+      updateSelectionControls();
+    });
+    timestamp.appendChild(checkbox);
+  }
+  timestamp.appendChild(document.createTextNode(new Date(item.timestamp).toLocaleString()));
+  
+  // Edits and regenerations are extra inferences for a prompt already in the list
+  if (ENTRY_KIND_LABELS[item.kind]) {
+    const kindTag = document.createElement('span');
+    kindTag.className = 'kind-tag';
+    kindTag.textContent = ENTRY_KIND_LABELS[item.kind];
+    timestamp.appendChild(kindTag);
+  }
+  
+  const promptText = document.createElement('div');
+  promptText.className = 'prompt';
+  if (item.redacted) {
+    promptText.classList.add('redacted');
+    promptText.textContent = `Redacted (${item.promptHash.substring(0, 19)}...)`;
+    promptText.title = item.promptHash;
+  } else {
+    promptText.textContent = item.prompt.length > 300 
+      ? item.prompt.substring(0, 300) + '...' 
+      : item.prompt || '(no text)';
+  }
+  
+  const impactInfo = document.createElement('div');
+  impactInfo.className = 'environmental-impact';
+  
+  if (item.energyData) {
+    // Apply the deployment factors from the settings page
+    const { realWorldKWh, realWorldWaterUsageMl } = window.energyStats.getAdjustedEnergy(item.energyData);
+    
+    const energyText = formatEnergy(realWorldKWh);
+    
+    // Show the measured reply size when available, otherwise the estimate
+    const measured = item.energyData.observedResponseTokens != null;
+    const responseTokens = measured
+      ? item.energyData.observedResponseTokens
+      : item.energyData.estimatedResponseTokens;
+    
+    // Entries recorded before other chat sites were supported all come from ChatGPT
+    const providerLine = `<strong>Site:</strong> ${item.providerName || DEFAULT_PROVIDER_NAME}<br>`;
+    // The model's name comes from the chat page, so it is set as text below
+    const modelLine = item.energyData.modelName
+      ? '<strong>Model:</strong> <span class="model-name"></span><br>'
+      : '';
+    const regionLine = item.energyData.regionName
+      ? `<strong>Data center:</strong> ${item.energyData.regionName}<br>`
+      : '';
+    
+    // Hidden reasoning tokens are timed from "Thought for N seconds" when the site showed it
+    const reasoningLine = item.energyData.reasoningTokens > 0
+      ? `<strong>Reasoning:</strong> ${Math.round(item.energyData.reasoningTokens).toLocaleString()} hidden tokens (${
+          item.energyData.reasoningSeconds ? `thought for ${item.energyData.reasoningSeconds} s` : 'estimated'})<br>`
+      : '';
+    // Later turns of a chat re-read everything before them
+    const contextLine = item.energyData.contextTokens > 0
+      ? `<strong>Context:</strong> ${item.energyData.contextTokens.toLocaleString()} tokens from earlier turns<br>`
+      : '';
+    const codeNote = item.energyData.codeTokens > 0
+      ? ` (${item.energyData.codeTokens.toLocaleString()} of pasted code)`
+      : '';
+    
+    // Images, files and voice are charged per item rather than per token
+    const attachmentSummary = describeAttachments(item.energyData);
+    const attachmentLine = attachmentSummary
+      ? `<strong>Attachments:</strong> ${attachmentSummary}<br>`
+      : '';
+    
+    // Recomputed entries keep their capture-time figures for audit
+    const originalLine = item.originalEnergyData && item.originalEnergyData.realWorldWaterUsageMl != null
+      ? `<br><em>Recomputed; originally ${item.originalEnergyData.realWorldWaterUsageMl.toFixed(2)} ml</em>`
+      : '';
+    
+    impactInfo.innerHTML = `
+      ${providerLine}
+      ${modelLine}
+      ${regionLine}
+      ${attachmentLine}
+      <strong>Tokens:</strong> ${item.energyData.totalTokens.toLocaleString()}${codeNote}<br>
+      ${contextLine}
+      <strong>Response:</strong> ${Math.round(responseTokens || 0).toLocaleString()} tokens (${measured ? 'measured' : 'estimated'})<br>
+      ${reasoningLine}
+      <strong>Energy:</strong> ${energyText}<br>
+      <strong>Water:</strong> ${realWorldWaterUsageMl.toFixed(2)} ml
+      ${originalLine}
+    `;
+    
+    // Models without a profile of their own are charged as their site's typical model
+    const { modelName, modelProfileName } = item.energyData;
+    if (modelName) {
+      const chargedAs = modelProfileName && modelProfileName !== modelName ? ` (charged as ${modelProfileName})` : '';
+      impactInfo.querySelector('.model-name').textContent = modelName + chargedAs;
+    }
+  } else {
+    impactInfo.textContent = 'Energy data not available';
+  }
+  
+  const actions = document.createElement('div');
+  actions.className = 'entry-actions';
+  if (!item.redacted) {
+    const redactButton = document.createElement('button');
+    redactButton.textContent = 'Redact';
+    redactButton.title = 'Replace the text with its hash, keeping the water and energy figures';
+    redactButton.addEventListener('click', () => redactHistoryEntries([item.id]));
+    actions.appendChild(redactButton);
+  }
+  const deleteButton = document.createElement('button');
+  deleteButton.textContent = 'Delete';
+  deleteButton.addEventListener('click', () => deleteHistoryEntries([item.id]));
+  actions.appendChild(deleteButton);
+  
+  promptElement.appendChild(timestamp);
+  promptElement.appendChild(promptText);
+  promptElement.appendChild(impactInfo);
+  promptElement.appendChild(actions);
+  
+  return promptElement;
+}
+
+/**
+ * Show how many prompts are ticked, enabling the buttons acting on them
+ * 
+ * INPUT: None (uses selectedEntryIds)
+ * OUTPUT: Updated selection status and buttons
+ */
+function updateSelectionControls() {
+  const count = selectedEntryIds.size;
+  document.getElementById('selection-status').textContent = count > 0
+    ? `${count} selected`
+    : 'Tick prompts to delete or redact several at once';
+  document.getElementById('delete-selected').disabled = count === 0;
+  document.getElementById('redact-selected').disabled = count === 0;
+  document.getElementById('clear-selection').disabled = count === 0;
+}
+
+/**
+ * Reload the history after entries were changed, and show it again
+ * 
+ * INPUT: None
+ * OUTPUT: Updated statistics for the selected period and prompts list
+ */
+async function reloadHistory() {
+  await window.energyStats.loadConversationHistory();
+  updateStatsDisplay(document.getElementById('time-period').value);
+  updateUsageChart();
+  updatePromptsView();
+  updateInsights();
+}
+
+/**
+ * Delete prompts from the history
+ * 
+ * Their water and energy are removed from the totals; a deleted prompt isn't
+ * recorded again when its chat is revisited
+ * 
+ * INPUT: ids - Ids of the entries to delete (user confirmation via dialog)
+ * OUTPUT: History without the entries
+ * EXAMPLE: Clicking "Delete" on a prompt and confirming removes it from the list
+ */
+async function deleteHistoryEntries(ids) {
+  const what = ids.length === 1 ? 'this prompt' : `${ids.length} prompts`;
+  if (!confirm(`Delete ${what} from the history? Its water and energy are removed from your totals. This cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    await window.energyStats.deleteEntries(ids);
+  } catch (e) {
+    console.error('Error deleting prompts:', e);
+    alert('Failed to delete the prompts. Try reloading the extension.');
+    return;
+  }
+  ids.forEach(id => selectedEntryIds.delete(id));
+  updateSelectionControls();
+  await reloadHistory();
+}
+
+/**
+ * Redact prompts in the history
+ * 
+ * Their text, and that of their regenerated replies' prompts, is replaced with
+ * its SHA-256 hash and their chat's title is cleared; their water and energy figures are kept
+ * 
+ * INPUT: ids - Ids of the entries to redact (user confirmation via dialog)
+ * OUTPUT: History with the entries' text replaced by its hash
+ * EXAMPLE: Clicking "Redact" on a prompt and confirming shows "Redacted (sha256:9f86d0818...)"
+ */
+async function redactHistoryEntries(ids) {
+  const what = ids.length === 1 ? 'this prompt' : `${ids.length} prompts`;
+  if (!confirm(`Replace the text of ${what} with its hash and forget the chat's title? The water and energy figures are kept. This cannot be undone.`)) {
+    return;
+  }
+  
+  try {
+    await window.energyStats.redactEntries(ids);
+  } catch (e) {
+    console.error('Error redacting prompts:', e);
+    alert('Failed to redact the prompts. Try reloading the extension.');
+    return;
+  }
+  await reloadHistory();
 }
 
 /**
@@ -356,9 +1447,78 @@ function updatePromptsList() {
 function setupEventListeners() {
   // Period selector
   document.getElementById('time-period').addEventListener('change', function() {
+    updateCustomRangeInputs(this.value);
     updateStatsDisplay(this.value);
   });
   
+  // Custom period dates
+  ['period-from', 'period-to'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => updateStatsDisplay('custom'));
+  });
+  
+  // Usage chart: value, range and chart type
+  ['chart-metric', 'chart-range', 'chart-type'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateUsageChart);
+  });
+  
+  // Insights heatmaps: range and value, and closing the list of a cell's prompts
+  ['insights-range', 'insights-metric'].forEach(id => {
+    document.getElementById(id).addEventListener('change', updateInsights);
+  });
+  document.getElementById('drilldown-close').addEventListener('click', () => {
+    openInsightsCell = null;
+    document.getElementById('insights-drilldown').hidden = true;
+  });
+  
+  // Prompts tab view: one by one or grouped by conversation
+  document.getElementById('prompts-view').addEventListener('change', updatePromptsView);
+  
+  // Prompt search and filters start again from the first page
+  const searchPrompts = () => {
+    promptsOffset = 0;
+    updatePromptsList();
+  };
+  let searchTimer = null;
+  document.getElementById('history-search').addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(searchPrompts, 250); // Wait for the user to stop typing
+  });
+  ['filter-from', 'filter-to', 'filter-provider', 'filter-model', 'filter-reasoning', 'filter-min-water', 'history-sort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', searchPrompts);
+  });
+  document.getElementById('clear-filters').addEventListener('click', () => {
+    document.querySelectorAll('#history-filters input, #history-filters select').forEach(control => {
+      control.value = control.id === 'history-sort' ? 'newest' : '';
+    });
+    searchPrompts();
+  });
+  
+  // Acting on the ticked prompts
+  document.getElementById('select-page').addEventListener('click', () => {
+    document.querySelectorAll('#conversation-list .entry-select').forEach(checkbox => {
+      checkbox.checked = true;
+      selectedEntryIds.add(checkbox.dataset.id);
+    });
+    updateSelectionControls();
+  });
+  document.getElementById('clear-selection').addEventListener('click', () => {
+    selectedEntryIds.clear();
+    document.querySelectorAll('#conversation-list .entry-select').forEach(checkbox => { checkbox.checked = false; });
+    updateSelectionControls();
+  });
+  document.getElementById('delete-selected').addEventListener('click', () => deleteHistoryEntries([...selectedEntryIds]));
+  document.getElementById('redact-selected').addEventListener('click', () => redactHistoryEntries([...selectedEntryIds]));
+  
+  // Paging through the matching prompts
+  document.getElementById('page-previous').addEventListener('click', () => {
+    promptsOffset = Math.max(0, promptsOffset - PROMPTS_PAGE_SIZE);
+    updatePromptsList();
+  });
+  document.getElementById('page-next').addEventListener('click', () => {
+    promptsOffset += PROMPTS_PAGE_SIZE;
+    updatePromptsList();
+  });
+  
   // Export buttons
   document.getElementById('export-json').addEventListener('click', exportAsJSON);
   document.getElementById('export-csv').addEventListener('click', exportAsCSV);
@@ -366,6 +1526,25 @@ function setupEventListeners() {
   // Clear history button
   document.getElementById('clear-history').addEventListener('click', clearHistory);
   
+  // Recompute history button
+  document.getElementById('recompute-history').addEventListener('click', recomputeHistory);
+  
+  // Settings link opens the options page (data center region, coefficients)
+  document.getElementById('open-settings').addEventListener('click', (event) => {
+    event.preventDefault();
+    chrome.runtime.openOptionsPage();
+  });
+  
+  // Capture check shows the active chat page's diagnostics
+  document.getElementById('run-diagnostics').addEventListener('click', (event) => {
+    event.preventDefault();
+    showDiagnostics();
+  });
+  document.getElementById('capture-warning').addEventListener('click', () => {
+    document.querySelector('.tab[data-tab="stats"]').click();
+    showDiagnostics();
+  });
+  
   // Data sharing toggle
   const dataSharingToggle = document.getElementById('data-sharing-toggle');
   if (dataSharingToggle) {
@@ -440,21 +1619,39 @@ function exportAsCSV() {
     return;
   }
   
-  let csvContent = 'Timestamp,Prompt,Tokens,Energy (kWh),Water (ml)\n';
+  let csvContent = 'Timestamp,Conversation,Prompt,Type,Provider,Model,Region,Methodology Version,Tokens,Estimated Response Tokens,Observed Response Tokens,Context Tokens,Code Tokens,Reasoning Tokens,Thinking Time (s),Attachments,Energy (kWh),Water (ml),Original Water (ml)\n';
   
   history.forEach(item => {
     // Escape and format for CSV
     const timestamp = item.timestamp;
-    const prompt = `"${item.prompt.replace(/"/g, '""')}"`;
+    const text = item.redacted ? `[redacted ${item.promptHash}]` : item.prompt;
+    const prompt = `"${text.replace(/"/g, '""')}"`;
+    const conversation = item.conversationId || '';
+    const kind = item.kind || 'prompt';
+    const provider = item.providerName || DEFAULT_PROVIDER_NAME;
+    const model = item.model ? `"${item.model.replace(/"/g, '""')}"` : '';
+    const region = item.region || '';
     
-    let tokens = 0, energy = 0, water = 0;
+    let methodologyVersion = '', tokens = 0, estimatedResponse = 0, observedResponse = '', contextTokens = 0, codeTokens = 0;
+    let reasoningTokens = 0, thinkingTime = '';
+    let attachments = '', energy = 0, water = 0;
     if (item.energyData) {
+      methodologyVersion = item.energyData.methodologyVersion || '';
       tokens = item.energyData.totalTokens || 0;
+      estimatedResponse = item.energyData.estimatedResponseTokens || 0;
+      observedResponse = item.energyData.observedResponseTokens != null ? item.energyData.observedResponseTokens : '';
+      contextTokens = item.energyData.contextTokens || 0;
+      codeTokens = item.energyData.codeTokens || 0;
+      reasoningTokens = item.energyData.reasoningTokens || 0;
+      thinkingTime = item.energyData.reasoningSeconds || '';
+      attachments = `"${describeAttachments(item.energyData)}"`;
       energy = item.energyData.realWorldKWh || 0;
       water = item.energyData.realWorldWaterUsageMl || 0;
     }
     
-    csvContent += `${timestamp},${prompt},${tokens},${energy},${water}\n`;
+    const originalWater = item.originalEnergyData ? item.originalEnergyData.realWorldWaterUsageMl : '';
+    
+    csvContent += `${timestamp},${conversation},${prompt},${kind},${provider},${model},${region},${methodologyVersion},${tokens},${estimatedResponse},${observedResponse},${contextTokens},${codeTokens},${reasoningTokens},${thinkingTime},${attachments},${energy},${water},${originalWater}\n`;
   });
   
   const dataUri = 'data:text/csv;charset=utf-8,' + encodeURIComponent(csvContent);
@@ -479,24 +1676,86 @@ function exportAsCSV() {
  * EXAMPLE: User clicks "Clear History", confirms, and all recorded data is removed
  * 
  * Uses confirmation dialog to prevent accidental data loss
- * Sends message to content script to clear localStorage data
+ * Asks the background worker to clear the history store and notify open chat tabs
  */
 function clearHistory() {
   if (confirm('Are you sure you want to clear all conversation history? This cannot be undone.')) {
-    chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-      chrome.tabs.sendMessage(tabs[0].id, { action: "clearHistory" }, (response) => {
-        if (response && response.success) {
-          window.energyStats.conversationHistory = [];
-          updateStatsDisplay('today');
-          updatePromptsList();
-        } else {
-          alert('Failed to clear history. Try reloading the page.');
-        }
-      });
+    chrome.runtime.sendMessage({ action: "clearHistory" }, (response) => {
+      if (response && response.success) {
+        window.energyStats.conversationHistory = [];
+        selectedEntryIds.clear();
+        updateStatsDisplay('today');
+        updateUsageChart();
+        updatePromptsView();
+        openInsightsCell = null;
+        document.getElementById('insights-drilldown').hidden = true;
+        updateInsights();
+      } else {
+        alert('Failed to clear history. Try reloading the extension.');
+      }
     });
   }
 }
 
+/**
+ * Recompute all stored prompts with the current estimator
+ * 
+ * Asks the background worker to re-run the estimator over the whole history
+ * in chunks, showing its progress, then reloads the statistics
+ * 
+ * INPUT: None (user confirmation via dialog)
+ * OUTPUT: History with current energy figures; capture-time figures kept as originalEnergyData
+ * EXAMPLE: After changing coefficients, user clicks "Recompute All" and watches "Recomputed 150 of 420 prompts..."
+ * 
+ * Uses a long-lived port so progress can be reported while the work runs
+ */
+function recomputeHistory() {
+  if (!confirm('Recompute all stored prompts with the current estimator and settings? The original values are kept for audit.')) {
+    return;
+  }
+  
+  const button = document.getElementById('recompute-history');
+  const progress = document.getElementById('recompute-progress');
+  const status = document.getElementById('recompute-status');
+  
+  button.disabled = true;
+  progress.hidden = false;
+  progress.value = 0;
+  status.textContent = 'Starting recompute...';
+  
+  const port = chrome.runtime.connect({ name: 'recomputeHistory' });
+  let finished = false;
+  
+  port.onMessage.addListener((message) => {
+    if (message.type === 'progress') {
+      progress.max = message.total;
+      progress.value = message.done;
+      status.textContent = `Recomputed ${message.done} of ${message.total} prompts...`;
+    } else if (message.type === 'done') {
+      finished = true;
+      status.textContent = `Recomputed ${message.total} prompts with methodology version ${message.methodologyVersion}.`;
+      button.disabled = false;
+      progress.hidden = true;
+      port.disconnect();
+      loadStats();
+    } else if (message.type === 'error') {
+      finished = true;
+      status.textContent = `Recompute failed: ${message.message}`;
+      button.disabled = false;
+      progress.hidden = true;
+      port.disconnect();
+    }
+  });
+  
+  port.onDisconnect.addListener(() => {
+    if (!finished) {
+      status.textContent = 'Recompute failed. Try reloading the extension.';
+      button.disabled = false;
+      progress.hidden = true;
+    }
+  });
+}
+
 /**
  * Trigger the history overlay in the content script
  * 
@@ -512,4 +1771,148 @@ function triggerHistoryOverlay() {
   chrome.tabs.query({ active: true, currentWindow: true }, function(tabs) {
     chrome.tabs.sendMessage(tabs[0].id, { action: "showHistoryOverlay" });
   });
+}
+
+// Delay before checking the active chat page again while a capture problem isn't confirmed
+const CAPTURE_RECHECK_MS = 2000;
+
+// Checks in a row that found a capture problem on the active page, and the next check's timer
+let captureFailures = 0;
+let captureRecheckTimer = null;
+
+/**
+ * Check whether the chat page in the active tab is being captured
+ * 
+ * Asks the page's content script for its diagnostics report and judges it
+ * with the shared capture health rules (captureHealth.js); a problem stays
+ * 'pending' until several checks in a row found it
+ * 
+ * INPUT: None
+ * OUTPUT: Promise resolving to { report, health }, or null if the tab isn't a supported chat page
+ * EXAMPLE: await checkCaptureHealth() // Returns {report: {userMessages: 0, ...}, health: {status: 'broken', ...}}
+ */
+async function checkCaptureHealth() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) return null;
+  
+  let report;
+  try {
+    report = await chrome.tabs.sendMessage(tab.id, { action: 'runDiagnostics' });
+  } catch (e) {
+    return null; // No recorder runs on this page
+  }
+  if (!report) return null;
+  
+  const { evaluateCaptureHealth, confirmCaptureHealth } = await import(chrome.runtime.getURL('captureHealth.js'));
+  const { health, failures } = confirmCaptureHealth(evaluateCaptureHealth(report), captureFailures);
+  captureFailures = failures;
+  return { report, health };
+}
+
+/**
+ * Show the "capture may be broken" badge when the active chat page isn't being recorded
+ * 
+ * INPUT: None
+ * OUTPUT: Badge below the title shown or hidden
+ * EXAMPLE: On a ChatGPT page whose markup changed, shows "⚠ Capture may be broken on ChatGPT"
+ */
+async function updateCaptureWarning() {
+  showCaptureWarning(await checkCaptureHealth());
+}
+
+/**
+ * Show or hide the "capture may be broken" badge for a capture check
+ * 
+ * A problem not found in enough checks in a row yet is checked again shortly
+ * 
+ * INPUT: result - Result of checkCaptureHealth()
+ * OUTPUT: Badge below the title shown or hidden
+ */
+function showCaptureWarning(result) {
+  const warning = document.getElementById('capture-warning');
+  
+  clearTimeout(captureRecheckTimer);
+  if (result && result.health.status === 'pending') {
+    captureRecheckTimer = setTimeout(updateCaptureWarning, CAPTURE_RECHECK_MS);
+  }
+  
+  if (!result || (result.health.status !== 'broken' && result.health.status !== 'degraded')) {
+    warning.hidden = true;
+    return;
+  }
+  
+  const broken = result.health.status === 'broken';
+  warning.textContent = `⚠ Capture may be ${broken ? 'broken' : 'incomplete'} on ${result.report.providerName}`;
+  warning.classList.toggle('degraded', !broken);
+  warning.hidden = false;
+}
+
+/**
+ * Show the diagnostics of the active chat page
+ * 
+ * Lists the problems found, how many prompts were found versus expected and
+ * recorded, and how many elements each of the site adapter's selectors matched
+ * 
+ * INPUT: None (triggered by "Check capture on this page" or the warning badge)
+ * OUTPUT: Filled diagnostics panel
+ * EXAMPLE: "User messages  [data-message-author-role="user"]  0" highlighted as not matching
+ */
+async function showDiagnostics() {
+  const panel = document.getElementById('diagnostics-panel');
+  panel.hidden = false;
+  panel.textContent = 'Checking...';
+  
+  const result = await checkCaptureHealth();
+  showCaptureWarning(result);
+  if (!result) {
+    panel.textContent = 'This tab is not a supported chat page (or was opened before the extension was installed; reload it).';
+    return;
+  }
+  
+  const { report, health } = result;
+  const statusText = {
+    ok: 'Capture is working.',
+    idle: 'No conversation found on this page.',
+    degraded: 'Capture may be incomplete.',
+    broken: 'Capture may be broken.',
+    pending: 'Capture looks off, checking again...'
+  };
+  
+  panel.innerHTML = '';
+  
+  const status = document.createElement('strong');
+  status.textContent = `${report.providerName}: ${statusText[health.status]}`;
+  const counts = document.createElement('div');
+  counts.textContent = `Prompts found: ${health.foundPrompts} of about ${health.expectedPrompts} expected, ` +
+    `${report.recordedMessages} recorded. Model: ${report.model || 'not detected'}.`;
+  panel.append(status, counts);
+  
+  if (health.problems.length > 0) {
+    const problems = document.createElement('ul');
+    health.problems.forEach(problem => {
+      const item = document.createElement('li');
+      item.textContent = problem;
+      problems.appendChild(item);
+    });
+    panel.appendChild(problems);
+  }
+  
+  const table = document.createElement('table');
+  report.selectors.forEach(({ name, selector, matches }) => {
+    const row = document.createElement('tr');
+    if (matches === 0) row.className = 'no-match';
+    
+    const nameCell = document.createElement('td');
+    nameCell.textContent = name;
+    const selectorCell = document.createElement('td');
+    const code = document.createElement('code');
+    code.textContent = selector;
+    selectorCell.appendChild(code);
+    const matchesCell = document.createElement('td');
+    matchesCell.textContent = matches;
+    
+    row.append(nameCell, selectorCell, matchesCell);
+    table.appendChild(row);
+  });
+  panel.appendChild(table);
 }
\ No newline at end of file
@@ -1,12 +1,15 @@
 /**
- * ChatGPT Energy Statistics Calculator
+ * AI Chat Energy Statistics Calculator
  * 
  * This module provides functionality for calculating, tracking, and reporting 
- * the environmental impact (energy usage and water consumption) of ChatGPT interactions.
+ * the environmental impact (energy usage and water consumption) of AI chat interactions.
  * 
  * Key features:
- * - Load conversation history from ChatGPT
- * - Calculate energy and water usage based on token counts
+ * - Load conversation history and statistics from the background worker
+ * - Show energy and water usage based on token counts
+ * - Find when the AI is used most, by day and by weekday and hour
+ * - Apply the deployment factors chosen on the settings page to all history
+ * - Track the water and energy budgets set on the settings page
  * - Generate user-friendly environmental comparisons
  * - Anonymously report aggregated data to central server
  * 
@@ -35,153 +38,269 @@ class EnergyStatisticsCalculator {
   constructor() {
     this.conversationHistory = [];
     this.loaded = false;
+    this.historyStats = null; // Shared statistics module, loaded with the history
     this.dataReportingEnabled = false;
     this.lastSubmittedWaterUsage = 0;
+    this.coefficients = null; // Estimation coefficients from the settings page, if any were saved
+    this.budgets = null; // Water and energy budgets from the settings page, if any were set
+    this.budgetTools = null; // Shared budgets module, loaded with the history
     
     // Check if data reporting is enabled and get last submitted value
-    chrome.storage.local.get(['dataReportingEnabled', 'lastSubmittedWaterUsage'], (result) => {
-      this.dataReportingEnabled = result.dataReportingEnabled === true;
-      this.lastSubmittedWaterUsage = result.lastSubmittedWaterUsage || 0;
+    this.settingsLoaded = new Promise((resolve) => {
+      chrome.storage.local.get(['dataReportingEnabled', 'lastSubmittedWaterUsage', 'estimationSettings', 'budgets'], (result) => {
+        this.dataReportingEnabled = result.dataReportingEnabled === true;
+        this.lastSubmittedWaterUsage = result.lastSubmittedWaterUsage || 0;
+        this.coefficients = (result.estimationSettings && result.estimationSettings.coefficients) || null;
+        this.budgets = result.budgets || null;
+        resolve();
+      });
     });
   }
   
   /**
-   * Load conversation history from the active ChatGPT tab
+   * Get the real-world energy and water of a prompt under the current settings
+   * 
+   * Applies the deployment factors saved on the settings page, exactly as the
+   * background worker does for the statistics (see historyStats.js)
+   * 
+   * INPUT: energyData - Energy data stored with a prompt
+   * OUTPUT: Object with realWorldKWh and realWorldWaterUsageMl
+   * EXAMPLE: With the idle load factor raised from 1.7 to 3.4, getAdjustedEnergy(energyData) doubles both values
+   */
+  getAdjustedEnergy(energyData) {
+    return this.historyStats.getAdjustedEnergy(energyData, this.coefficients);
+  }
+  
+  /**
+   * Load conversation history from the background worker
    * 
-   * Attempts multiple methods to retrieve history:
-   * 1. Request via content script message
-   * 2. Direct localStorage access via chrome.scripting API
+   * The worker owns the history of all chat tabs, so this works whichever
+   * tab is active
    * 
    * INPUT: None
    * OUTPUT: Promise resolving to conversation history array
    * EXAMPLE: await energyStats.loadConversationHistory() // Returns array of conversations
    * 
-   * Error handling for multiple fallback approaches
-   * Uses async/await pattern for cleaner promise handling
+   * The shared statistics and budgets modules are loaded with a dynamic import since this is a classic script
    */
   async loadConversationHistory() {
-    return new Promise((resolve) => {
-      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-        chrome.tabs.sendMessage(tabs[0].id, { action: "getConversationHistory" }, (response) => {
-          if (response && response.history) {
-            this.conversationHistory = response.history;
-            this.loaded = true;
-            resolve(this.conversationHistory);
-          } else {
-            // Try loading from localStorage directly if content script messaging fails
-            try {
-              // Use chrome.scripting.executeScript instead of deprecated chrome.tabs.executeScript
-              if (chrome.scripting && chrome.scripting.executeScript) {
-                chrome.scripting.executeScript({
-                  target: { tabId: tabs[0].id },
-                  function: () => localStorage.getItem("chatgpt-conversation-history")
-                }).then(result => {
-                  if (result && result[0] && result[0].result) {
-                    try {
-                      this.conversationHistory = JSON.parse(result[0].result);
-                      this.loaded = true;
-                      resolve(this.conversationHistory);
-                    } catch (e) {
-                      console.error('Error parsing stored conversation history:', e);
-                      this.conversationHistory = [];
-                      resolve([]);
-                    }
-                  } else {
-                    this.conversationHistory = [];
-                    resolve([]);
-                  }
-                }).catch(err => {
-                  console.error('Error executing script:', err);
-                  this.conversationHistory = [];
-                  resolve([]);
-                });
-              } else {
-                console.error('chrome.scripting.executeScript not available. Check extension permissions.');
-                this.conversationHistory = [];
-                resolve([]);
-              }
-            } catch (e) {
-              console.error('Error accessing localStorage:', e);
-              this.conversationHistory = [];
-              resolve([]);
-            }
-          }
-        });
-      });
-    });
+    await this.settingsLoaded;
+    
+    try {
+      this.historyStats = await import(chrome.runtime.getURL('historyStats.js'));
+      this.budgetTools = await import(chrome.runtime.getURL('budgets.js'));
+      const response = await chrome.runtime.sendMessage({ action: 'getHistory' });
+      this.conversationHistory = response.history || [];
+      this.loaded = true;
+    } catch (e) {
+      console.error('Error loading conversation history:', e);
+      this.conversationHistory = [];
+    }
+    return this.conversationHistory;
   }
   
   /**
-   * Get statistics for a specific time period
+   * Get the day weeks start on for the user
    * 
-   * Filters conversation history based on specified time range
-   * Calculates aggregated energy and water usage metrics
+   * INPUT: None
+   * OUTPUT: 0 for Sunday, 1 for Monday, ... as in the browser's locale; Sunday before the history is loaded
+   * EXAMPLE: getWeekStart() // Returns 1 in a German browser
+   */
+  getWeekStart() {
+    return this.historyStats ? this.historyStats.getLocaleWeekStart(navigator.language) : 0;
+  }
+  
+  /**
+   * Get statistics for a specific time period
    * 
-   * INPUT: period - String representing time period ('today', 'week', 'month', 'all')
-   * OUTPUT: Statistics object containing usage metrics and filtered prompts
-   * EXAMPLE: getStatsByPeriod('week') // Returns statistics for current week
+   * Asks the background worker to aggregate energy and water usage over the
+   * specified time range, and over the period before it for comparison
    * 
-   * Optimized for performance by calculating everything in a single pass
+   * INPUT: period - 'today', 'week', 'month', 'last7', 'last30', 'last90', 'custom' or 'all',
+   *        range - { from, to } ISO bounds for a 'custom' period
+   * OUTPUT: Promise resolving to a statistics object containing usage metrics and the
+   *         previous period's (stats.previous, null for 'all'), or null if unavailable
+   * EXAMPLE: await getStatsByPeriod('week') // Returns statistics for current week and last week until the same time
    */
-  getStatsByPeriod(period) {
+  async getStatsByPeriod(period, range = {}) {
     if (!this.loaded) {
       return null; // Not loaded yet
     }
     
-    const now = new Date();
-    let startDate;
-    
-    // Calculate start date based on period
-    switch(period) {
-      case 'today':
-        startDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-        break;
-      case 'week':
-        // Start of the current week (Sunday)
-        const day = now.getDay(); // 0 = Sunday, 6 = Saturday
-        startDate = new Date(now);
-        startDate.setDate(now.getDate() - day);
-        startDate.setHours(0, 0, 0, 0);
-        break;
-      case 'month':
-        startDate = new Date(now.getFullYear(), now.getMonth(), 1);
-        break;
-      case 'all':
-      default:
-        startDate = new Date(0); // Beginning of time
-        break;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getStats',
+        period,
+        from: range.from,
+        to: range.to,
+        weekStart: this.getWeekStart()
+      });
+      return response.stats || null;
+    } catch (e) {
+      console.error('Error loading statistics:', e);
+      return null;
     }
-    
-    // Filter prompts for the selected period
-    const filteredPrompts = this.conversationHistory.filter(item => {
+  }
+  
+  /**
+   * Measure the budgets of a period against its statistics
+   * 
+   * INPUT: period - Period of the statistics, stats - Statistics from getStatsByPeriod()
+   * OUTPUT: Array of { metric, limit, used, remaining, fraction, description }, one per
+   *         budget set for the period (none for periods without budgets, e.g. 'all')
+   * EXAMPLE: getBudgetProgress('today', stats)
+   *          // Returns [{ metric: 'water', limit: 100, used: 84, fraction: 0.84, description: '84 ml of your 100 ml daily water budget used (84%)', ... }]
+   */
+  getBudgetProgress(period, stats) {
+    if (!this.budgetTools) {
+      return [];
+    }
+    return this.budgetTools.getBudgetProgress(this.budgets, period, stats)
+      .map(progress => ({ ...progress, description: this.budgetTools.describeBudget(progress) }));
+  }
+  
+  /**
+   * Get energy, water and prompts over time
+   * 
+   * Asks the background worker to add up the history per day or week
+   * 
+   * INPUT: bucket - 'day' or 'week', count - Number of days or weeks, ending with the current one
+   * OUTPUT: Promise resolving to { bucket, buckets } (oldest first), or null if unavailable
+   * EXAMPLE: await getTimeSeries('day', 30) // Returns { bucket: 'day', buckets: [{ start, end, prompts, tokens, energyKwh, waterMl }, ...] }
+   */
+  async getTimeSeries(bucket, count) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getTimeSeries', bucket, count, weekStart: this.getWeekStart() });
+      return response.series || null;
+    } catch (e) {
+      console.error('Error loading time series:', e);
+      return null;
+    }
+  }
+  
+  /**
+   * Get the prompts per day of the latest weeks, for the calendar heatmap
+   * 
+   * Computed from the loaded history, with weeks starting as in the user's locale
+   * 
+   * INPUT: weeks - Number of weeks, ending with the current one
+   * OUTPUT: { weekStart, days }, days oldest first with their start, prompts and waterMl; null before the history is loaded
+   * EXAMPLE: getCalendarHeatmap(26) // Returns { weekStart: 0, days: [{ start: '...', prompts: 4, waterMl: 12.5, ... }, ...] }
+   */
+  getCalendarHeatmap(weeks) {
+    if (!this.loaded) {
+      return null;
+    }
+    return this.historyStats.computeCalendarHeatmap(this.conversationHistory, weeks, this.coefficients, new Date(), this.getWeekStart());
+  }
+  
+  /**
+   * Get the prompts per weekday and hour of the day
+   * 
+   * Computed from the loaded history, in the user's time zone
+   * 
+   * INPUT: since - Date to count prompts from
+   * OUTPUT: { cells }, cells[weekday][hour] (weekday 0 = Sunday) with prompts and waterMl; null before the history is loaded
+   * EXAMPLE: getHourWeekdayMatrix(since).cells[3][14].prompts // Returns prompts sent on Wednesdays 14:00-15:00
+   */
+  getHourWeekdayMatrix(since) {
+    if (!this.loaded) {
+      return null;
+    }
+    return this.historyStats.computeHourWeekdayMatrix(this.conversationHistory, this.coefficients, since);
+  }
+  
+  /**
+   * Get the prompts in a cell of a heatmap
+   * 
+   * INPUT: cell - { start, end } ISO bounds of a calendar day, or { weekday, hour, since } of the hour matrix
+   * OUTPUT: Array of the cell's prompts, newest first
+   * EXAMPLE: getPromptsInCell({ weekday: 3, hour: 14, since }) // Returns the prompts sent on Wednesdays 14:00-15:00
+   */
+  getPromptsInCell(cell) {
+    return this.conversationHistory.filter(item => {
       const promptDate = new Date(item.timestamp);
-      return promptDate >= startDate && promptDate <= now;
-    });
-    
-    // Calculate aggregate statistics
-    let totalTokens = 0;
-    let totalPrompts = filteredPrompts.length;
-    let totalEnergyKwh = 0;
-    let totalWaterMl = 0;
-    
-    filteredPrompts.forEach(item => {
-      if (item.energyData) {
-        totalTokens += item.energyData.totalTokens || 0;
-        totalEnergyKwh += item.energyData.realWorldKWh || 0;
-        totalWaterMl += item.energyData.realWorldWaterUsageMl || 0;
+      if (cell.start) {
+        return promptDate >= new Date(cell.start) && promptDate < new Date(cell.end);
       }
-    });
-    
-    return {
-      totalPrompts,
-      totalTokens,
-      totalEnergyKwh,
-      totalWaterMl,
-      period,
-      startDate,
-      endDate: now,
-      filteredPrompts
-    };
+      return promptDate >= cell.since && promptDate.getDay() === cell.weekday && promptDate.getHours() === cell.hour;
+    }).sort((a, b) => (a.timestamp < b.timestamp ? 1 : a.timestamp > b.timestamp ? -1 : 0));
+  }
+  
+  /**
+   * Get the recorded prompts grouped by conversation
+   * 
+   * Asks the background worker, which groups the history and adds up each
+   * conversation's energy and water under the current settings
+   * 
+   * INPUT: None
+   * OUTPUT: Promise resolving to an array of conversations, most recently active first
+   * EXAMPLE: await getConversations() // Returns [{conversationId: '6f2c...', turnCount: 12, entries: [...], ...}]
+   */
+  async getConversations() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getConversations' });
+      return response.conversations || [];
+    } catch (e) {
+      console.error('Error loading conversations:', e);
+      return [];
+    }
+  }
+  
+  /**
+   * Search the recorded prompts
+   * 
+   * Asks the background worker for one page of the prompts matching a search
+   * (see historySearch.js for its fields)
+   * 
+   * INPUT: query - Search text, filters, sort order, offset and limit
+   * OUTPUT: Promise resolving to { entries, total, offset, limit, filterOptions }
+   * EXAMPLE: await searchHistory({ text: 'python', sort: 'water' }) // Returns { entries: [...], total: 134, ... }
+   */
+  async searchHistory(query) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'searchHistory', query });
+      if (!response.entries) {
+        throw new Error(response.error);
+      }
+      return response;
+    } catch (e) {
+      console.error('Error searching history:', e);
+      return { entries: [], total: 0, offset: 0, limit: 0, filterOptions: { providers: [], models: [] } };
+    }
+  }
+  
+  /**
+   * Delete history entries
+   * 
+   * INPUT: ids - Ids of the entries to delete
+   * OUTPUT: Promise resolving to the number of entries deleted
+   * EXAMPLE: await deleteEntries(['a1b2']) // Returns 1
+   */
+  async deleteEntries(ids) {
+    const response = await chrome.runtime.sendMessage({ action: 'deleteEntries', ids });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response from the background worker');
+    }
+    return response.deleted;
+  }
+  
+  /**
+   * Redact history entries
+   * 
+   * Replaces their text (and that of their regenerations) with its hash,
+   * keeping their energy and water figures
+   * 
+   * INPUT: ids - Ids of the entries to redact
+   * OUTPUT: Promise resolving to the number of entries redacted
+   * EXAMPLE: await redactEntries(['a1b2']) // Returns 2 for a prompt with one regeneration
+   */
+  async redactEntries(ids) {
+    const response = await chrome.runtime.sendMessage({ action: 'redactEntries', ids });
+    if (!response || !response.success) {
+      throw new Error(response ? response.error : 'No response from the background worker');
+    }
+    return response.redacted;
   }
   
   /**
@@ -349,7 +468,7 @@ class EnergyStatisticsCalculator {
   async submitAccumulatedData() {
     if (!this.dataReportingEnabled) return;
     
-    const stats = this.getStatsByPeriod('all');
+    const stats = await this.getStatsByPeriod('all');
     if (stats && stats.totalWaterMl > 0) {
       await this.submitWaterUsage(stats.totalWaterMl);
     }
@@ -0,0 +1,182 @@
+// Site adapters for the prompt recorder
+// Each supported chat site describes where its messages are, how to tell when a
+// reply has finished, which model answered and what the open conversation is.
+// Loaded before content.js, which uses the adapter of the current site.
+//
+// Adapter fields:
+// - id, name: Provider tag stored with every entry, and its display name
+// - hosts: Hostnames the adapter handles (subdomains included)
+// - threadSelector: Element holding the conversation, watched for changes
+// - userMessageSelector, assistantMessageSelector: One element per message
+// - alternativeUserMessageSelector: Tried when no user messages match (optional)
+// - messageIdAttribute: Attribute with the site's own message id; without one, prompts
+//   are identified by a hash of their text (and how often it was asked before in the
+//   chat), and replies aren't identified
+// - turnSelector: Element around a message holding its "< 2/3 >" branch navigator;
+//   sites without one have no edit detection
+// - streamingSelector: Matches a reply (or its container) while it is being generated
+// - stopButtonSelector: Shown while the newest reply is being generated
+// - modelPickerSelector: Element whose text names the selected model
+// - ignoredTextSelector: Parts of a message that aren't its text, like screen-reader labels
+// - attachmentSelector: Chip of a file attached to a prompt, showing its name and size
+// - generatedImageSelector: Image the model generated in a reply (null if the site can't generate images)
+// - voiceMessageSelector: Marks a message spoken in voice mode; audio elements always count
+// - watchedAttributes: Attributes whose changes signal new messages or finished replies
+// - conversationIdPattern: Matches the conversation id in the URL's path
+// - sidebarSelector: List of the user's chats, whose link to the open chat shows its title;
+//   without one (or a match), the title is taken from the page title
+// - detectModel(responseMessages): Site-specific model detection (optional)
+//
+// Only ChatGPT's markup has message ids and branch navigators, so regenerated replies and
+// edited prompts are only recorded as such there. Elsewhere a regenerated reply isn't
+// recorded, and an edited prompt is recorded as a new prompt.
+
+const SITE_ADAPTERS = [
+    {
+        id: 'chatgpt',
+        name: 'ChatGPT',
+        hosts: ['chat.openai.com', 'chatgpt.com'],
+        threadSelector: 'main',
+        userMessageSelector: '[data-message-author-role="user"]',
+        assistantMessageSelector: '[data-message-author-role="assistant"]',
+        alternativeUserMessageSelector: '[role="row"] [data-role="user"], .message-thread [data-testid*="user"], .user-message',
+        messageIdAttribute: 'data-message-id',
+        turnSelector: '[data-testid^="conversation-turn"], article',
+        streamingSelector: '.result-streaming',
+        stopButtonSelector: '[data-testid="stop-button"]',
+        modelPickerSelector: '[data-testid="model-switcher-dropdown-button"]',
+        ignoredTextSelector: null,
+        attachmentSelector: '[data-testid*="file-tile"], [class*="file-tile"]',
+        generatedImageSelector: 'img[alt^="Generated image"]',
+        voiceMessageSelector: '[data-testid*="voice-message"]',
+        watchedAttributes: ['class', 'data-message-id'],
+        // /c/<id>, also inside custom GPTs (/g/<gpt>/c/<id>)
+        conversationIdPattern: /\/c\/([\w-]+)/,
+        sidebarSelector: 'nav',
+        // ChatGPT stamps the model slug on each assistant message; before a reply
+        // exists, the model in the URL is the one that will answer
+        detectModel(responseMessages) {
+            for (const message of responseMessages) {
+                const slugElement = message.hasAttribute('data-message-model-slug')
+                    ? message
+                    : message.querySelector('[data-message-model-slug]');
+                if (slugElement) {
+                    return slugElement.getAttribute('data-message-model-slug');
+                }
+            }
+            return new URLSearchParams(location.search).get('model');
+        }
+    },
+    {
+        id: 'claude',
+        name: 'Claude',
+        hosts: ['claude.ai'],
+        threadSelector: 'main',
+        userMessageSelector: '[data-testid="user-message"]',
+        assistantMessageSelector: '.font-claude-response, .font-claude-message',
+        alternativeUserMessageSelector: null,
+        messageIdAttribute: null,
+        turnSelector: null,
+        streamingSelector: '[data-is-streaming="true"]',
+        stopButtonSelector: 'button[aria-label="Stop response"]',
+        modelPickerSelector: '[data-testid="model-selector-dropdown"]',
+        ignoredTextSelector: null,
+        attachmentSelector: '[data-testid="file-thumbnail"]',
+        generatedImageSelector: null,
+        voiceMessageSelector: null,
+        watchedAttributes: ['data-is-streaming'],
+        conversationIdPattern: /\/chat\/([\w-]+)/,
+        sidebarSelector: 'nav'
+    },
+    {
+        id: 'gemini',
+        name: 'Gemini',
+        hosts: ['gemini.google.com'],
+        threadSelector: 'chat-window, main',
+        userMessageSelector: 'user-query',
+        assistantMessageSelector: 'model-response',
+        alternativeUserMessageSelector: null,
+        messageIdAttribute: null,
+        turnSelector: null,
+        streamingSelector: null,
+        stopButtonSelector: 'button[aria-label="Stop response"]',
+        modelPickerSelector: '[data-test-id="bard-mode-menu-button"]',
+        ignoredTextSelector: '.cdk-visually-hidden',
+        attachmentSelector: 'user-query-file-preview, .file-preview-container',
+        generatedImageSelector: 'generated-image img, .generated-image img',
+        voiceMessageSelector: null,
+        watchedAttributes: ['class'],
+        conversationIdPattern: /\/app\/([\w-]+)/,
+        sidebarSelector: 'side-navigation-v2, bard-sidenav'
+    },
+    {
+        id: 'copilot',
+        name: 'Copilot',
+        hosts: ['copilot.microsoft.com'],
+        threadSelector: 'main',
+        userMessageSelector: '[data-content="user-message"]',
+        assistantMessageSelector: '[data-content="ai-message"]',
+        alternativeUserMessageSelector: null,
+        messageIdAttribute: null,
+        turnSelector: null,
+        streamingSelector: null,
+        stopButtonSelector: 'button[data-testid="stop-button"], button[aria-label="Interrupt message"]',
+        modelPickerSelector: null,
+        ignoredTextSelector: null,
+        attachmentSelector: '[data-testid*="attachment"]',
+        generatedImageSelector: 'img[alt*="generated" i]',
+        voiceMessageSelector: '[data-content="voice-message"]',
+        watchedAttributes: ['class'],
+        conversationIdPattern: /\/chats\/([\w-]+)/,
+        sidebarSelector: 'nav'
+    },
+    {
+        id: 'perplexity',
+        name: 'Perplexity',
+        hosts: ['perplexity.ai'],
+        threadSelector: 'main',
+        userMessageSelector: '[class*="group/query"]',
+        assistantMessageSelector: '[id^="markdown-content-"]',
+        alternativeUserMessageSelector: null,
+        messageIdAttribute: null,
+        turnSelector: null,
+        streamingSelector: null,
+        stopButtonSelector: 'button[aria-label="Stop"], button[data-testid="stop-generating-response-button"]',
+        modelPickerSelector: null,
+        ignoredTextSelector: null,
+        attachmentSelector: '[class*="attachment"]',
+        generatedImageSelector: null,
+        voiceMessageSelector: null,
+        watchedAttributes: ['class'],
+        conversationIdPattern: /\/search\/([\w.-]+)/,
+        sidebarSelector: null
+    },
+    {
+        id: 'mistral',
+        name: 'Mistral Le Chat',
+        hosts: ['chat.mistral.ai'],
+        threadSelector: 'main',
+        userMessageSelector: '[data-message-author-role="user"]',
+        assistantMessageSelector: '[data-message-author-role="assistant"]',
+        alternativeUserMessageSelector: null,
+        messageIdAttribute: null,
+        turnSelector: null,
+        streamingSelector: null,
+        stopButtonSelector: 'button[aria-label="Stop generation"]',
+        modelPickerSelector: null,
+        ignoredTextSelector: null,
+        attachmentSelector: '[class*="attachment"]',
+        generatedImageSelector: 'img[alt*="generated" i]',
+        voiceMessageSelector: null,
+        watchedAttributes: ['class'],
+        conversationIdPattern: /\/chat\/([\w-]+)/,
+        sidebarSelector: 'nav'
+    }
+];
+
+// Find the adapter for a hostname, or null if the site isn't supported
+function getSiteAdapter(hostname) {
+    return SITE_ADAPTERS.find(adapter =>
+        adapter.hosts.some(host => hostname === host || hostname.endsWith(`.${host}`))
+    ) || null;
+}
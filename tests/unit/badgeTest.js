@@ -0,0 +1,61 @@
+/**
+ * Unit tests for the toolbar badge
+ * Tests what the badge shows (the remaining budget, or today's water) and its color by budget or by how today ranks among earlier days
+ */
+
+import { BADGE_COLORS, MIN_PERCENTILE_DAYS, getPercentileRank, getBadgeState } from '../../badge.js';
+
+describe('Toolbar Badge Tests', () => {
+  // Ten earlier days with 10 to 100 ml of water
+  const pastDays = Array.from({ length: 10 }, (_, index) => (index + 1) * 10);
+
+  describe('Percentile Rank', () => {
+    test('Today is ranked by the share of days with less water', () => {
+      expect(getPercentileRank(55, pastDays)).toBe(0.5);
+      expect(getPercentileRank(10, pastDays)).toBe(0);
+      expect(getPercentileRank(500, pastDays)).toBe(1);
+      expect(getPercentileRank(20, [])).toBe(0);
+    });
+  });
+
+  describe('Badge State', () => {
+    test('Without budgets, the badge shows today\'s water', () => {
+      expect(getBadgeState(45.7, [], pastDays).text).toBe('45ml');
+      expect(getBadgeState(2480, [], pastDays).text).toBe('2.4L');
+      expect(getBadgeState(0, [], []).text).toBe('0ml');
+    });
+
+    test('Without budgets, heavy days are colored by how they rank', () => {
+      expect(getBadgeState(55, [], pastDays).color).toBe(BADGE_COLORS.NORMAL);
+      expect(getBadgeState(85, [], pastDays).color).toBe(BADGE_COLORS.WARNING);
+      expect(getBadgeState(95, [], pastDays).color).toBe(BADGE_COLORS.EXCEEDED);
+      expect(getBadgeState(95, [], pastDays).title).toBe('Today: 95.0 ml of water, more than on 90% of your recent days');
+    });
+
+    test('Too few earlier days aren\'t ranked', () => {
+      const state = getBadgeState(500, [], pastDays.slice(0, MIN_PERCENTILE_DAYS - 1));
+
+      expect(state.color).toBe(BADGE_COLORS.NORMAL);
+      expect(state.title).toBe('Today: 500.0 ml of water');
+    });
+
+    test('Budgets decide the color and are listed in the tooltip', () => {
+      const budget = fraction => ({ period: 'today', metric: 'water', limit: 100, used: fraction * 100, remaining: Math.max(0, 100 - fraction * 100), fraction });
+
+      expect(getBadgeState(95, [budget(0.5)], pastDays).color).toBe(BADGE_COLORS.NORMAL);
+      expect(getBadgeState(10, [budget(0.5), budget(0.85)], pastDays).color).toBe(BADGE_COLORS.WARNING);
+      expect(getBadgeState(10, [budget(1.2)], []).color).toBe(BADGE_COLORS.EXCEEDED);
+      expect(getBadgeState(50, [budget(0.5)], []).title)
+        .toBe('Today: 50.0 ml of water\n50 ml of your 100 ml daily water budget used (50%)');
+    });
+
+    test('With budgets, the badge shows what is left of the one closest to running out', () => {
+      const water = { period: 'today', metric: 'water', limit: 100, used: 84, remaining: 16, fraction: 0.84 };
+      const energy = { period: 'week', metric: 'energy', limit: 200, used: 150, remaining: 50, fraction: 0.75 };
+
+      expect(getBadgeState(84, [energy, water], pastDays).text).toBe('16ml');
+      expect(getBadgeState(84, [energy], pastDays).text).toBe('50Wh');
+      expect(getBadgeState(120, [{ ...water, used: 120, remaining: 0, fraction: 1.2 }], []).text).toBe('0ml');
+    });
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Unit tests for the bundled BPE tokenizer
+ * Tests that token counts match OpenAI's tiktoken encodings, and that each model's text is counted in its encoding
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BpeTokenizer } from '../../estimator/bpeTokenizer.js';
+import {
+  getTokenizer, loadTokenizer, countTokens, countCodeTokens, setTokenCounter, approximateTokenCount, CODE_CHARS_PER_TOKEN
+} from '../../estimator/tokenCounter.js';
+import { getModelProfile } from '../../estimator/modelProfiles.js';
+
+// Read vocabularies from disk since fetch() can't load file URLs in Node
+function readVocabulary(encoding) {
+  const file = path.join(__dirname, '../../estimator/encoders', `${encoding}.json`);
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+describe('BPE Tokenizer Tests', () => {
+  let cl100k;
+  let o200k;
+  
+  beforeAll(() => {
+    cl100k = new BpeTokenizer(readVocabulary('cl100k_base'));
+    o200k = new BpeTokenizer(readVocabulary('o200k_base'));
+  });
+  
+  describe('cl100k_base (GPT-4)', () => {
+    test('Encodes common words to known token ids', () => {
+      expect(cl100k.encode('hello world')).toEqual([15339, 1917]);
+    });
+    
+    test('Counts tokens like tiktoken', () => {
+      expect(cl100k.countTokens('What is the capital of France?')).toBe(7);
+    });
+    
+    test('Handles contractions case-insensitively', () => {
+      expect(cl100k.countTokens("I'M")).toBe(cl100k.countTokens("I'm"));
+    });
+    
+    test('Handles non-ASCII text and emoji', () => {
+      const tokens = cl100k.encode('日本語のテキスト 🤖');
+      
+      expect(tokens.length).toBeGreaterThan(0);
+      tokens.forEach(token => expect(Number.isInteger(token)).toBe(true));
+    });
+    
+    test('Empty text has no tokens', () => {
+      expect(cl100k.countTokens('')).toBe(0);
+    });
+  });
+  
+  describe('o200k_base (GPT-4o)', () => {
+    test('Counts tokens like tiktoken', () => {
+      expect(o200k.countTokens('What is the capital of France?')).toBe(7);
+    });
+    
+    test('Uses a different vocabulary than cl100k_base', () => {
+      expect(o200k.encode('hello world')).not.toEqual(cl100k.encode('hello world'));
+    });
+  });
+  
+  describe('Token Counter Integration', () => {
+    afterEach(() => {
+      setTokenCounter(null);
+    });
+    
+    test('Falls back to the word approximation before a tokenizer loads', () => {
+      expect(countTokens('one two three four')).toBe(approximateTokenCount('one two three four'));
+    });
+    
+    test('loadTokenizer makes countTokens exact', async () => {
+      await loadTokenizer('cl100k_base', async encoding => readVocabulary(encoding));
+      
+      expect(countTokens('What is the capital of France?')).toBe(7);
+    });
+    
+    test('Code is approximated by characters rather than words', () => {
+      const code = 'const total = items.reduce((sum, x) => sum + x, 0);';
+      
+      expect(countCodeTokens(code)).toBe(Math.ceil(code.length / CODE_CHARS_PER_TOKEN));
+      expect(countCodeTokens(code)).toBeGreaterThan(approximateTokenCount(code));
+      expect(countCodeTokens('  ')).toBe(0);
+    });
+    
+    test('loadTokenizer makes countCodeTokens exact', async () => {
+      await loadTokenizer('cl100k_base', async encoding => readVocabulary(encoding));
+      const code = 'for (let i = 0; i < n; i++) {}';
+      
+      expect(countCodeTokens(code)).toBe(countTokens(code));
+    });
+    
+    test('Text is counted in the encoding asked for', async () => {
+      await getTokenizer('cl100k_base', async encoding => readVocabulary(encoding));
+      await getTokenizer('o200k_base', async encoding => readVocabulary(encoding));
+      const text = 'Привет, как дела?';
+      
+      expect(countTokens(text, 'cl100k_base')).toBe(8);
+      expect(countTokens(text, 'o200k_base')).toBe(6);
+      expect(countCodeTokens(text, 'o200k_base')).toBe(6);
+      // getTokenizer doesn't change the counter used without an encoding
+      expect(countTokens(text)).toBe(approximateTokenCount(text));
+    });
+    
+    test('Models count in their own encoding', () => {
+      expect(getModelProfile('gpt-4').encoding).toBe('cl100k_base');
+      expect(getModelProfile('gpt-4o-mini').encoding).toBe('o200k_base');
+      expect(getModelProfile('o3').encoding).toBe('o200k_base');
+    });
+    
+    test('loadTokenizer rejects unknown encodings', async () => {
+      await expect(loadTokenizer('p50k_base', async encoding => readVocabulary(encoding))).rejects.toThrow('Unknown encoding');
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit tests for water and energy budgets
+ * Tests validating budgets, measuring their progress, and when alerts and the toolbar badge change
+ */
+
+import {
+  validateBudgets, getBudgetProgress, getTightestBudget, getNewThreshold, formatBadgeAmount, describeBudget
+} from '../../budgets.js';
+
+describe('Budget Tests', () => {
+  const stats = { totalWaterMl: 84, totalEnergyKwh: 0.05, startDate: '2025-05-14T00:00:00.000Z' };
+
+  describe('Validation', () => {
+    test('Empty values leave budgets unset', () => {
+      const { budgets, errors } = validateBudgets({ today: { water: '100', energy: '' }, week: { water: 500 } });
+
+      expect(budgets).toEqual({
+        today: { water: 100, energy: null },
+        week: { water: 500, energy: null },
+        month: { water: null, energy: null }
+      });
+      expect(errors).toEqual({});
+    });
+
+    test('Budgets must be positive numbers', () => {
+      const { budgets, errors } = validateBudgets({ today: { water: '-5', energy: 'lots' }, month: { water: 0 } });
+
+      expect(budgets.today).toEqual({ water: null, energy: null });
+      expect(errors['today.water']).toBe('Daily water budget must be a positive number');
+      expect(errors['today.energy']).toBe('Daily energy budget must be a positive number');
+      expect(errors['month.water']).toBeDefined();
+    });
+  });
+
+  describe('Progress', () => {
+    test('Each budget of the period is measured against its statistics', () => {
+      const progress = getBudgetProgress({ today: { water: 100, energy: 40 } }, 'today', stats);
+
+      expect(progress).toHaveLength(2);
+      expect(progress[0]).toMatchObject({ period: 'today', metric: 'water', limit: 100, used: 84, fraction: 0.84, periodStart: stats.startDate });
+      expect(progress[0].remaining).toBeCloseTo(16, 10);
+      expect(progress[1]).toMatchObject({ metric: 'energy', used: 50, remaining: 0, fraction: 1.25 });
+    });
+
+    test('Periods without budgets have no progress', () => {
+      expect(getBudgetProgress({ today: { water: 100 } }, 'week', stats)).toEqual([]);
+      expect(getBudgetProgress(null, 'today', stats)).toEqual([]);
+      expect(getBudgetProgress({ today: { water: 100 } }, 'all', stats)).toEqual([]);
+    });
+
+    test('The budget closest to running out is found', () => {
+      const progress = [{ metric: 'water', fraction: 0.5 }, { metric: 'energy', fraction: 0.9 }];
+
+      expect(getTightestBudget(progress).metric).toBe('energy');
+      expect(getTightestBudget([])).toBeNull();
+    });
+  });
+
+  describe('Alerts', () => {
+    const progress = fraction => ({ period: 'today', metric: 'water', fraction, periodStart: stats.startDate });
+
+    test('Thresholds are alerted once each per period', () => {
+      expect(getNewThreshold(progress(0.5), {})).toBeNull();
+      expect(getNewThreshold(progress(0.85), {})).toBe(0.8);
+      expect(getNewThreshold(progress(0.9), { 'today.water': { periodStart: stats.startDate, threshold: 0.8 } })).toBeNull();
+      expect(getNewThreshold(progress(1.1), { 'today.water': { periodStart: stats.startDate, threshold: 0.8 } })).toBe(1);
+    });
+
+    test('Crossing both thresholds at once alerts the highest', () => {
+      expect(getNewThreshold(progress(1.2), {})).toBe(1);
+    });
+
+    test('Alerts of an earlier period don\'t count', () => {
+      expect(getNewThreshold(progress(0.85), { 'today.water': { periodStart: '2025-05-13T00:00:00.000Z', threshold: 1 } })).toBe(0.8);
+    });
+  });
+
+  describe('Formatting', () => {
+    test('Badge amounts fit in four characters and are rounded down', () => {
+      expect(formatBadgeAmount(45.7, 'water')).toBe('45ml');
+      expect(formatBadgeAmount(2480, 'water')).toBe('2.4L');
+      expect(formatBadgeAmount(12500, 'water')).toBe('12L');
+      expect(formatBadgeAmount(0, 'energy')).toBe('0Wh');
+      expect(formatBadgeAmount(1500, 'energy')).toBe('1.5k');
+    });
+
+    test('Budgets are described with their period and share used', () => {
+      const [water] = getBudgetProgress({ week: { water: 100 } }, 'week', stats);
+
+      expect(describeBudget(water)).toBe('84 ml of your 100 ml weekly water budget used (84%)');
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Unit tests for capture health
+ * Tests how the popup judges a chat page's diagnostics report, and confirms problems over several checks
+ */
+
+import { CAPTURE_STATUS, FAILURES_TO_REPORT, getExpectedPrompts, evaluateCaptureHealth, confirmCaptureHealth } from '../../captureHealth.js';
+
+// Diagnostics report of a ChatGPT page with three recorded prompts
+function createReport(overrides = {}) {
+  return {
+    provider: 'chatgpt',
+    providerName: 'ChatGPT',
+    userMessages: 3,
+    alternativeUserMessages: 0,
+    assistantMessages: 3,
+    turns: 6,
+    recordedMessages: 3,
+    unconfirmedMessages: 0,
+    ...overrides
+  };
+}
+
+describe('Capture Health Tests', () => {
+  describe('Expected Prompts', () => {
+    test('Each reply answers a prompt', () => {
+      expect(getExpectedPrompts({ assistantMessages: 4, turns: 0 })).toBe(4);
+    });
+    
+    test('Without replies, half the generic turns are prompts', () => {
+      expect(getExpectedPrompts({ assistantMessages: 0, turns: 7 })).toBe(3);
+    });
+  });
+  
+  describe('Status', () => {
+    test('Found and recorded prompts are healthy', () => {
+      const health = evaluateCaptureHealth(createReport());
+      
+      expect(health.status).toBe(CAPTURE_STATUS.OK);
+      expect(health.problems).toEqual([]);
+      expect(health.foundPrompts).toBe(3);
+      expect(health.expectedPrompts).toBe(3);
+    });
+    
+    test('A page without a conversation is idle', () => {
+      const health = evaluateCaptureHealth(createReport({
+        userMessages: 0, assistantMessages: 0, turns: 0, recordedMessages: 0
+      }));
+      
+      expect(health.status).toBe(CAPTURE_STATUS.IDLE);
+    });
+    
+    test('Replies without matching prompts mean the selectors broke', () => {
+      const health = evaluateCaptureHealth(createReport({ userMessages: 0, recordedMessages: 0 }));
+      
+      expect(health.status).toBe(CAPTURE_STATUS.BROKEN);
+      expect(health.problems[0]).toContain('none matched the ChatGPT selectors');
+    });
+    
+    test('Prompts found but never recorded are broken', () => {
+      const health = evaluateCaptureHealth(createReport({ recordedMessages: 0 }));
+      
+      expect(health.status).toBe(CAPTURE_STATUS.BROKEN);
+    });
+    
+    test('Prompts still being recorded are not reported as broken', () => {
+      const health = evaluateCaptureHealth(createReport({ recordedMessages: 0, unconfirmedMessages: 1 }));
+      
+      expect(health.status).not.toBe(CAPTURE_STATUS.BROKEN);
+    });
+    
+    test('Recording through the fallback selectors is degraded', () => {
+      const health = evaluateCaptureHealth(createReport({ userMessages: 0, alternativeUserMessages: 3 }));
+      
+      expect(health.status).toBe(CAPTURE_STATUS.DEGRADED);
+      expect(health.foundPrompts).toBe(3);
+      expect(health.problems[0]).toContain('fallback selectors');
+    });
+    
+    test('Missing replies or prompts are degraded', () => {
+      expect(evaluateCaptureHealth(createReport({ assistantMessages: 0 })).status).toBe(CAPTURE_STATUS.DEGRADED);
+      expect(evaluateCaptureHealth(createReport({ userMessages: 2 })).status).toBe(CAPTURE_STATUS.DEGRADED);
+    });
+    
+    test('A stopped reply is not a capture problem', () => {
+      // The first prompt of a chat, its reply stopped before it showed any text
+      const firstPrompt = createReport({ userMessages: 1, assistantMessages: 0, turns: 1, recordedMessages: 1, pendingResponses: 1 });
+      // The newest prompt of a longer chat
+      const newestPrompt = createReport({ assistantMessages: 2, turns: 5, pendingResponses: 1 });
+      
+      expect(evaluateCaptureHealth(firstPrompt).status).toBe(CAPTURE_STATUS.OK);
+      expect(evaluateCaptureHealth(newestPrompt).status).toBe(CAPTURE_STATUS.OK);
+    });
+  });
+  
+  describe('Confirming Problems', () => {
+    // Judge a series of reports as the popup does, one check after the other
+    function checkInARow(reports) {
+      let failures = 0;
+      return reports.map(report => {
+        const result = confirmCaptureHealth(evaluateCaptureHealth(report), failures);
+        failures = result.failures;
+        return result.health.status;
+      });
+    }
+    
+    test('A problem is only reported once several checks in a row found it', () => {
+      const statuses = checkInARow(Array.from({ length: FAILURES_TO_REPORT }, () => createReport({ recordedMessages: 0 })));
+      
+      expect(statuses.slice(0, -1).every(status => status === CAPTURE_STATUS.PENDING)).toBe(true);
+      expect(statuses[statuses.length - 1]).toBe(CAPTURE_STATUS.BROKEN);
+    });
+    
+    test('A page that was just reloaded is not reported as broken', () => {
+      // Nothing is confirmed until the page's prompts were sent to the worker again
+      const statuses = checkInARow([createReport({ recordedMessages: 0 }), createReport()]);
+      
+      expect(statuses).toEqual([CAPTURE_STATUS.PENDING, CAPTURE_STATUS.OK]);
+    });
+    
+    test('A healthy check starts the count again', () => {
+      const broken = createReport({ recordedMessages: 0 });
+      const reports = [...Array(FAILURES_TO_REPORT - 1).fill(broken), createReport(), ...Array(FAILURES_TO_REPORT - 1).fill(broken)];
+      
+      expect(checkInARow(reports)).not.toContain(CAPTURE_STATUS.BROKEN);
+    });
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Unit tests for captured prompts
+ * Tests how the background worker decides whether a prompt reported by a chat tab is recorded,
+ * and how edits are linked to the prompt they replaced
+ */
+
+import { prepareCapturedPrompt, updateConversationInfo } from '../../capturedPrompts.js';
+
+describe('Captured Prompt Tests', () => {
+  const timestamp = '2025-05-14T10:00:00.000Z';
+  let entries;
+  let deletedIds;
+  let store;
+
+  beforeEach(() => {
+    entries = new Map();
+    deletedIds = new Set();
+    store = {
+      getEntry: async id => entries.get(id),
+      isDeleted: async id => deletedIds.has(id)
+    };
+  });
+
+  const capture = (request) => prepareCapturedPrompt({ prompt: 'What is the capital of France?', ...request }, store, timestamp);
+
+  describe('Recording Each Message Once', () => {
+    test('A new message is recorded as a prompt', async () => {
+      const { entry, existing, deleted } = await capture({ messageId: 'm1', conversationId: 'c1', model: 'gpt-4o' });
+
+      expect(existing).toBeUndefined();
+      expect(deleted).toBeUndefined();
+      expect(entry).toMatchObject({
+        id: 'm1', messageId: 'm1', conversationId: 'c1', kind: 'prompt', parentId: null,
+        timestamp, prompt: 'What is the capital of France?', code: '', attachments: [], model: 'gpt-4o'
+      });
+    });
+
+    test('A message that was already recorded is returned instead', async () => {
+      const recorded = { id: 'm1', prompt: 'What is the capital of France?' };
+      entries.set('m1', recorded);
+
+      const result = await capture({ messageId: 'm1' });
+
+      expect(result.existing).toBe(recorded);
+      expect(result.entry).toBeUndefined();
+    });
+
+    test('Asking the same text in a new message records it again', async () => {
+      entries.set('m1', { id: 'm1', prompt: 'What is the capital of France?' });
+
+      const { entry } = await capture({ messageId: 'm2' });
+
+      expect(entry.id).toBe('m2');
+    });
+
+    test('Messages the user deleted are not recorded again', async () => {
+      deletedIds.add('m1');
+
+      const result = await capture({ messageId: 'm1' });
+
+      expect(result).toEqual({ deleted: true });
+    });
+
+    test('Prompts need a message id', async () => {
+      await expect(capture({})).rejects.toThrow('Prompts need a message id');
+    });
+  });
+
+  describe('Edits', () => {
+    test('An edit is linked to the prompt it replaced', async () => {
+      entries.set('m1', { id: 'm1', kind: 'prompt', parentId: null });
+
+      const { entry } = await capture({ messageId: 'm2', editOf: 'm1' });
+
+      expect(entry.kind).toBe('edit');
+      expect(entry.parentId).toBe('m1');
+    });
+
+    test('Editing an edit links to the first version', async () => {
+      entries.set('m2', { id: 'm2', kind: 'edit', parentId: 'm1' });
+
+      const { entry } = await capture({ messageId: 'm3', editOf: 'm2' });
+
+      expect(entry.parentId).toBe('m1');
+    });
+
+    test('Edits of prompts that were never recorded are new prompts', async () => {
+      const { entry } = await capture({ messageId: 'm2', editOf: 'm1' });
+
+      expect(entry.kind).toBe('prompt');
+      expect(entry.parentId).toBeNull();
+    });
+  });
+
+  describe('Conversation Info', () => {
+    test('Ids and addresses are filled in once, titles follow renames', () => {
+      const entry = { conversationId: null, conversationUrl: null, conversationTitle: 'Capitals' };
+
+      expect(updateConversationInfo(entry, { conversationId: 'c1', conversationUrl: 'https://chatgpt.com/c/c1' })).toBe(true);
+      expect(updateConversationInfo(entry, { conversationId: 'c2', conversationTitle: 'European capitals' })).toBe(true);
+      expect(entry).toEqual({ conversationId: 'c1', conversationUrl: 'https://chatgpt.com/c/c1', conversationTitle: 'European capitals' });
+      expect(updateConversationInfo(entry, { conversationId: 'c1', conversationTitle: 'European capitals' })).toBe(false);
+    });
+
+    test('Redacted entries get no title back', () => {
+      const entry = { conversationId: 'c1', conversationUrl: 'https://chatgpt.com/c/c1', conversationTitle: null, redacted: true };
+
+      expect(updateConversationInfo(entry, { conversationId: 'c1', conversationTitle: 'My API key' })).toBe(false);
+      expect(entry.conversationTitle).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Unit tests for conversation grouping
+ * Tests the context each turn re-reads and the per-conversation totals shown in the popup
+ */
+
+import { getTurnId, getTurnTokens, getContextTokens, groupConversations } from '../../conversations.js';
+
+// A turn recorded at the given minute past 10:00 with its prompt and reply sizes
+function turn(id, minute, promptTokens, responseTokens, extra = {}) {
+  return {
+    id,
+    conversationId: 'chat-1',
+    kind: 'prompt',
+    parentId: null,
+    timestamp: new Date(Date.UTC(2025, 4, 14, 10, minute)).toISOString(),
+    energyData: { promptTokens, observedResponseTokens: responseTokens, totalTokens: promptTokens + responseTokens, realWorldKWh: 0.001, realWorldWaterUsageMl: 1 },
+    ...extra
+  };
+}
+
+describe('Conversation Tests', () => {
+  describe('Turns', () => {
+    test('Edits and regenerations belong to their original turn', () => {
+      expect(getTurnId(turn('a', 0, 10, 100))).toBe('a');
+      expect(getTurnId(turn('b', 1, 10, 100, { kind: 'regeneration', parentId: 'a' }))).toBe('a');
+    });
+    
+    test('A turn adds its prompt and visible reply to the context', () => {
+      expect(getTurnTokens(turn('a', 0, 12, 300))).toBe(312);
+      expect(getTurnTokens({ energyData: { promptTokens: 12, observedResponseTokens: null, estimatedResponseTokens: 50, reasoningTokens: 900 } })).toBe(62);
+      expect(getTurnTokens({})).toBe(0);
+    });
+  });
+  
+  describe('Context', () => {
+    const first = turn('a', 0, 50, 100);
+    const second = turn('b', 1, 20, 400);
+    const third = turn('c', 2, 30, 200);
+    
+    test('The first turn has no context', () => {
+      expect(getContextTokens(first, [first, second, third])).toBe(0);
+    });
+    
+    test('Each turn re-reads all turns before it', () => {
+      expect(getContextTokens(second, [first, second, third])).toBe(150);
+      expect(getContextTokens(third, [first, second, third])).toBe(570);
+    });
+    
+    test('A regeneration re-reads the same context as its original', () => {
+      const regeneration = turn('b2', 5, 20, 350, { kind: 'regeneration', parentId: 'b' });
+      
+      expect(getContextTokens(regeneration, [first, second, third, regeneration])).toBe(150);
+    });
+    
+    test('Later turns use the newest reply of a regenerated turn', () => {
+      const regeneration = turn('a2', 1, 50, 300, { kind: 'regeneration', parentId: 'a' });
+      const next = turn('b', 2, 20, 400);
+      
+      expect(getContextTokens(next, [first, regeneration, next])).toBe(350);
+    });
+    
+    test('Editing a prompt drops the turns that followed it from the context', () => {
+      const edit = turn('b-edit', 3, 25, 250, { kind: 'edit', parentId: 'b' });
+      const afterEdit = turn('d', 4, 10, 100);
+      
+      expect(getContextTokens(edit, [first, second, third, edit, afterEdit])).toBe(150);
+      expect(getContextTokens(afterEdit, [first, second, third, edit, afterEdit])).toBe(150 + 275);
+    });
+  });
+  
+  describe('Grouping', () => {
+    test('History is grouped by conversation, most recently active first', () => {
+      const history = [
+        turn('a', 0, 50, 100, { energyData: { ...turn('a', 0, 50, 100).energyData, totalTokens: 150 } }),
+        turn('x', 1, 10, 10, { conversationId: 'chat-2', provider: 'claude', providerName: 'Claude' }),
+        turn('b', 2, 20, 400, { energyData: { ...turn('b', 2, 20, 400).energyData, contextTokens: 150, totalTokens: 570 } }),
+        turn('b2', 3, 20, 380, { kind: 'regeneration', parentId: 'b', energyData: { contextTokens: 150, totalTokens: 550, realWorldKWh: 0.001, realWorldWaterUsageMl: 1 } }),
+        { id: 'legacy-0', timestamp: '2024-01-01T00:00:00.000Z', prompt: 'Old' }
+      ];
+      
+      const conversations = groupConversations(history, null);
+      
+      expect(conversations.map(conversation => conversation.conversationId)).toEqual(['chat-1', 'chat-2', null]);
+      expect(conversations[0].turnCount).toBe(2);
+      expect(conversations[0].entries.map(entry => entry.id)).toEqual(['a', 'b', 'b2']);
+      expect(conversations[0].totalTokens).toBe(150 + 570 + 550);
+      expect(conversations[0].contextTokens).toBe(300);
+      expect(conversations[0].maxContextTokens).toBe(150);
+      expect(conversations[0].realWorldWaterUsageMl).toBeCloseTo(3, 10);
+      expect(conversations[1].providerName).toBe('Claude');
+      expect(conversations[2].realWorldWaterUsageMl).toBe(0);
+    });
+    
+    test('The newest reported title and address are used', () => {
+      const history = [
+        turn('a', 0, 50, 100, { conversationUrl: 'https://chatgpt.com/c/chat-1' }),
+        turn('b', 1, 20, 400, { conversationTitle: 'Water usage of AI' }),
+        turn('c', 2, 30, 200, { conversationTitle: 'Water use of LLMs' }),
+        turn('d', 3, 10, 100)
+      ];
+      
+      const [conversation] = groupConversations(history, null);
+      
+      expect(conversation.title).toBe('Water use of LLMs');
+      expect(conversation.url).toBe('https://chatgpt.com/c/chat-1');
+      expect(groupConversations([turn('e', 0, 1, 1)], null)[0].title).toBeNull();
+    });
+    
+    test('Deployment factors from the settings are applied', () => {
+      const entry = turn('a', 0, 50, 100);
+      entry.energyData.deploymentOverhead = 2;
+      
+      const [conversation] = groupConversations([entry], { IDLE_LOAD_FACTOR: 4, NETWORK_OVERHEAD_FACTOR: 1, AMORTIZED_TRAINING_FACTOR: 1, PRODUCTION_ENVIRONMENT_FACTOR: 1 });
+      
+      expect(conversation.realWorldWaterUsageMl).toBeCloseTo(2, 10);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * @jest-environment jsdom
+ * @jest-environment-options {"url": "https://chatgpt.com/c/chat-1"}
+ */
+
+/**
+ * Unit tests for edit detection
+ * Tests how the content script tells an edited prompt from turns a long chat loads or unloads later,
+ * running the shipped content script on a ChatGPT page
+ */
+
+import { readFileSync } from 'fs';
+import { join } from 'path';
+
+describe('Edit Detection Tests', () => {
+  const thread = () => document.querySelector('main');
+
+  // A ChatGPT turn with a prompt, its reply and, for edited prompts, the "< 2/2 >" navigator
+  function createTurn(messageId, text, branch = null) {
+    const turn = document.createElement('article');
+    turn.innerHTML = `<div data-message-author-role="user" data-message-id="${messageId}">${text}</div>`
+      + (branch ? `<div><button>&lt;</button><span>${branch}</span><button>&gt;</button></div>` : '')
+      + `<div data-message-author-role="assistant" data-message-id="reply-${messageId}">Answer</div>`;
+    return turn;
+  }
+
+  // Check every prompt on the page as a scan of the thread does, returning what each was an edit of
+  function scanPrompts() {
+    return Array.from(document.querySelectorAll('[data-message-author-role="user"]'))
+      .map(message => findEditedMessageId(message, getMessageId(message)));
+  }
+
+  beforeAll(() => {
+    // The script's scans of the thread are left to the tests
+    jest.useFakeTimers();
+    global.MutationObserver = class { observe() {} disconnect() {} };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    document.body.innerHTML = '<main></main>';
+    global.chrome = {
+      runtime: {
+        sendMessage: jest.fn(() => Promise.resolve({})),
+        onMessage: { addListener: jest.fn() },
+        getURL: path => path
+      }
+    };
+
+    const root = join(__dirname, '..', '..');
+    const source = ['siteAdapters.js', 'content.js'].map(file => readFileSync(join(root, file), 'utf8')).join('\n');
+    (0, eval)(source); // As the browser runs content scripts, in the page's global scope
+  });
+
+  beforeEach(() => {
+    thread().innerHTML = '';
+  });
+
+  test('An edited prompt is linked to the prompt it replaced', () => {
+    thread().append(createTurn('m1', 'What is the capital of France?'), createTurn('m2', 'And of Spain?'));
+    expect(scanPrompts()).toEqual([null, null]);
+
+    thread().lastChild.replaceWith(createTurn('m2-edit', 'And of Italy?', '2/2'));
+
+    expect(scanPrompts()).toEqual([null, 'm2']);
+  });
+
+  test('Older turns loaded above known ones are not edits', () => {
+    thread().append(createTurn('m3', 'Tell me more'), createTurn('m4', 'Shorter, please', '2/2'));
+    expect(scanPrompts()).toEqual([null, null]);
+
+    thread().prepend(createTurn('m1', 'What is the capital of France?'), createTurn('m2', 'And of Spain?', '2/2'));
+
+    expect(scanPrompts()).toEqual([null, null, null, null]);
+  });
+
+  test('Older turns unloaded above known ones are not edits', () => {
+    thread().append(
+      createTurn('m5', 'What is the capital of France?'),
+      createTurn('m6', 'And of Spain?', '2/2'),
+      createTurn('m7', 'Tell me more')
+    );
+    expect(scanPrompts()).toEqual([null, null, null]);
+
+    thread().firstChild.remove();
+
+    expect(scanPrompts()).toEqual([null, null]);
+  });
+});
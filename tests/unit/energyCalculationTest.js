@@ -1,58 +1,10 @@
 /**
  * Unit tests for energy calculation functionality
- * Tests the energy and water usage calculations in index.js and content.js
+ * Tests the shared estimation engine used by content.js, the CLI and the popup
  */
 
-// Import the necessary functions for testing
-// Note: For testing purposes, we'll create wrapper functions or mock implementations
-// since the original functions might have dependencies on browser environment
-
-// Mock implementation based on content.js calculateEnergy function
-function calculateEnergy(prompt, promptTokens) {
-  const BASE_KWH_PER_1000_TOKENS = 0.002;
-  const WATER_USAGE_ML_PER_KWH = 1500;
-  const DATACENTER_OVERHEAD_FACTOR = 2.5;
-  const IDLE_LOAD_FACTOR = 1.7;
-  const NETWORK_OVERHEAD_FACTOR = 1.15;
-  const AMORTIZED_TRAINING_FACTOR = 1.2;
-  const PRODUCTION_ENVIRONMENT_FACTOR = 1.3;
-  
-  // Simplified estimateResponseTokens for testing
-  function estimateResponseTokens(prompt, promptTokens) {
-    return promptTokens * 3; // Simple multiplier for testing
-  }
-  
-  const estimatedResponseTokens = estimateResponseTokens(prompt, promptTokens);
-  const totalTokens = promptTokens + estimatedResponseTokens;
-  
-  // Basic complexity assessment (simplified)
-  const complexity = Math.min((prompt.length / 500) * 0.5, 0.8);
-  
-  // Base energy calculation
-  const baseKWh = (totalTokens / 1000) * BASE_KWH_PER_1000_TOKENS;
-  
-  // Apply a simplified modifier
-  const totalModifier = 1 + (complexity * 0.5);
-  
-  // Direct inference energy calculation
-  const directKWh = baseKWh * totalModifier;
-  const directWaterUsageMl = directKWh * WATER_USAGE_ML_PER_KWH;
-  
-  // Real-world total energy with overhead
-  const realWorldKWh = directKWh * DATACENTER_OVERHEAD_FACTOR * IDLE_LOAD_FACTOR * 
-                     NETWORK_OVERHEAD_FACTOR * AMORTIZED_TRAINING_FACTOR * PRODUCTION_ENVIRONMENT_FACTOR;
-  const realWorldWaterUsageMl = realWorldKWh * WATER_USAGE_ML_PER_KWH;
-  
-  return {
-    promptTokens,
-    estimatedResponseTokens,
-    totalTokens,
-    directKWh,
-    directWaterUsageMl,
-    realWorldKWh,
-    realWorldWaterUsageMl
-  };
-}
+import { calculateEnergy, OVERHEAD_FACTORS, WATER_USAGE_ML_PER_KWH, getModelProfile, findModelProfileKey, getRegionProfile, DEFAULT_COEFFICIENTS, validateCoefficients, METHODOLOGY_VERSION, DEFAULT_DOCUMENT_KB, MAX_CONTEXT_TOKENS } from '../../estimator/index.js';
+import { estimateResponseTokens } from '../../estimator/tokenEstimator.js';
 
 describe('Energy Calculation Tests', () => {
   
@@ -185,4 +137,348 @@ describe('Energy Calculation Tests', () => {
       expect(result.realWorldKWh).toBeCloseTo(result.directKWh * totalFactor, 5);
     });
   });
+  
+  describe('Shared Estimation Engine', () => {
+    test('Results record the methodology version', () => {
+      const result = calculateEnergy("What is the capital of France?", 7);
+      
+      expect(Number.isInteger(METHODOLOGY_VERSION)).toBe(true);
+      expect(result.methodologyVersion).toBe(METHODOLOGY_VERSION);
+    });
+    
+    test('Response tokens come from the shared token estimator', () => {
+      const prompt = "Write 50 lines of Python code to scrape a website";
+      const result = calculateEnergy(prompt, 12);
+      
+      expect(result.estimatedResponseTokens).toBe(estimateResponseTokens(prompt, 12));
+      expect(result.totalTokens).toBe(12 + result.estimatedResponseTokens);
+    });
+    
+    test('Same prompt always produces the same water figure', () => {
+      const prompt = "Explain how photosynthesis works";
+      const first = calculateEnergy(prompt);
+      const second = calculateEnergy(prompt, first.promptTokens);
+      
+      expect(second.realWorldWaterUsageMl).toBe(first.realWorldWaterUsageMl);
+    });
+    
+    test('Very simple prompts have no negative complexity', () => {
+      // Scores about grade -2 on Flesch-Kincaid
+      const result = calculateEnergy("Hi. Go on now", 5);
+      
+      expect(result.complexity).toBe(0);
+      expect(result.totalModifier).toBeGreaterThanOrEqual(1);
+    });
+    
+    test('Exported constants match the calculation', () => {
+      const result = calculateEnergy("Test exported constants", 10);
+      const totalFactor = Object.values(OVERHEAD_FACTORS).reduce((product, factor) => product * factor, getRegionProfile().pue);
+      
+      expect(result.realWorldWaterUsageMl).toBeCloseTo(result.realWorldKWh * WATER_USAGE_ML_PER_KWH, 5);
+      expect(result.realWorldKWh).toBeCloseTo(result.directKWh * totalFactor, 5);
+    });
+  });
+  
+  describe('Observed Response Tokens', () => {
+    test('Observed response size replaces the estimate', () => {
+      const prompt = "Explain how photosynthesis works";
+      const estimated = calculateEnergy(prompt, 5);
+      const observed = calculateEnergy(prompt, 5, { responseTokens: 120 });
+      
+      expect(observed.estimatedResponseTokens).toBe(estimated.estimatedResponseTokens);
+      expect(observed.observedResponseTokens).toBe(120);
+      expect(observed.responseTokens).toBe(120);
+      expect(observed.totalTokens).toBe(125);
+    });
+    
+    test('Estimate is used until the response has been measured', () => {
+      const result = calculateEnergy("Explain how photosynthesis works", 5);
+      
+      expect(result.observedResponseTokens).toBeNull();
+      expect(result.responseTokens).toBe(result.estimatedResponseTokens);
+    });
+    
+    test('Longer observed responses use more energy', () => {
+      const prompt = "Tell me about rivers";
+      const shortReply = calculateEnergy(prompt, 5, { responseTokens: 50 });
+      const longReply = calculateEnergy(prompt, 5, { responseTokens: 2000 });
+      
+      expect(longReply.realWorldWaterUsageMl).toBeGreaterThan(shortReply.realWorldWaterUsageMl);
+    });
+  });
+  
+  describe('Model Profiles', () => {
+    test('Model slugs and picker labels resolve to profiles', () => {
+      expect(findModelProfileKey('gpt-4o-mini-2024-07-18')).toBe('gpt-4o-mini');
+      expect(findModelProfileKey('ChatGPT 4o')).toBe('gpt-4o');
+      expect(findModelProfileKey('o3-mini-high')).toBe('o3-mini');
+      expect(findModelProfileKey('unknown-model')).toBeNull();
+    });
+    
+    test('Unknown models use the GPT-4 baseline', () => {
+      const withoutModel = calculateEnergy("Explain gravity", 3, { responseTokens: 400 });
+      const unknownModel = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'unknown-model' });
+      
+      expect(unknownModel.model).toBe('gpt-4');
+      expect(unknownModel.realWorldKWh).toBe(withoutModel.realWorldKWh);
+    });
+    
+    test('Other chat sites fall back to their own generic profile', () => {
+      expect(findModelProfileKey('Claude Sonnet 4')).toBe('claude');
+      expect(getModelProfile(null, 'gemini').id).toBe('gemini');
+      expect(getModelProfile('unknown-model', 'mistral').id).toBe('mistral');
+      expect(getModelProfile('gpt-4o', 'copilot').id).toBe('gpt-4o');
+      
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, provider: 'perplexity' });
+      expect(result.model).toBe('perplexity');
+      expect(result.modelName).toBe('Perplexity (typical model)');
+    });
+    
+    test('The detected model is shown rather than a generic profile', () => {
+      const claude = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'Claude Sonnet 4', provider: 'claude' });
+      const unknown = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'Some new model' });
+      const known = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'ChatGPT 4o' });
+      
+      expect(claude.modelName).toBe('Claude Sonnet 4');
+      expect(claude.modelProfileName).toBe('Claude (typical model)');
+      expect(unknown.modelName).toBe('Some new model');
+      expect(unknown.modelProfileName).toBe('GPT-4');
+      expect(known.modelName).toBe('GPT-4o');
+    });
+    
+    test('Mini models use less energy than frontier models', () => {
+      const mini = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'gpt-4o-mini' });
+      const frontier = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'gpt-4o' });
+      
+      expect(mini.realWorldWaterUsageMl).toBeLessThan(frontier.realWorldWaterUsageMl);
+      expect(mini.modelName).toBe('GPT-4o mini');
+    });
+    
+    test('Reasoning models are charged for hidden reasoning tokens', () => {
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'o3' });
+      const profile = getModelProfile('o3');
+      
+      expect(result.reasoningTokens).toBe(400 * profile.reasoningTokenMultiplier);
+      expect(result.totalTokens).toBe(3 + 400 + result.reasoningTokens);
+      expect(result.baseKWh).toBeCloseTo(
+        (3 / 1000) * profile.inputKWhPer1000Tokens + ((400 + result.reasoningTokens) / 1000) * profile.outputKWhPer1000Tokens,
+        10
+      );
+    });
+    
+    test('Observed thinking time replaces the reasoning multiplier', () => {
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'o3', reasoningSeconds: 20 });
+      const profile = getModelProfile('o3');
+      
+      expect(result.reasoningSeconds).toBe(20);
+      expect(result.reasoningTokens).toBe(20 * profile.outputTokensPerSecond);
+      expect(result.totalTokens).toBe(3 + 400 + result.reasoningTokens);
+    });
+    
+    test('Thinking time is charged even for models without a reasoning multiplier', () => {
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'claude-sonnet-4', reasoningSeconds: 10 });
+      
+      expect(result.reasoningTokens).toBe(10 * getModelProfile('claude-sonnet-4').outputTokensPerSecond);
+    });
+    
+    test('Without a thinking time no reasoning seconds are reported', () => {
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, model: 'o3' });
+      
+      expect(result.reasoningSeconds).toBeNull();
+    });
+  });
+  
+  describe('Conversation Context', () => {
+    test('Context is charged at the input rate', () => {
+      const first = calculateEnergy("And in French?", 4, { responseTokens: 300 });
+      const later = calculateEnergy("And in French?", 4, { responseTokens: 300, contextTokens: 6000 });
+      const profile = getModelProfile();
+      
+      expect(later.contextTokens).toBe(6000);
+      expect(later.totalTokens).toBe(first.totalTokens + 6000);
+      expect(later.baseKWh).toBeCloseTo(first.baseKWh + (6000 / 1000) * profile.inputKWhPer1000Tokens, 10);
+      expect(later.promptTokens).toBe(first.promptTokens);
+    });
+    
+    test('Context is capped at the context window', () => {
+      const result = calculateEnergy("Continue", 1, { responseTokens: 300, contextTokens: MAX_CONTEXT_TOKENS * 2 });
+      
+      expect(result.contextTokens).toBe(MAX_CONTEXT_TOKENS);
+    });
+  });
+  
+  describe('Pasted Code', () => {
+    test('Code tokens are added to the prompt tokens', () => {
+      const plain = calculateEnergy("Fix this function", 4, { responseTokens: 300 });
+      const withCode = calculateEnergy("Fix this function", 4, { responseTokens: 300, codeTokens: 250 });
+      
+      expect(withCode.codeTokens).toBe(250);
+      expect(withCode.promptTokens).toBe(254);
+      expect(withCode.totalTokens).toBe(plain.totalTokens + 250);
+      expect(withCode.directKWh).toBeGreaterThan(plain.directKWh);
+    });
+    
+    test('Code does not change the prompt analysis', () => {
+      const plain = calculateEnergy("Fix this function", 4, { responseTokens: 300 });
+      const withCode = calculateEnergy("Fix this function", 4, { responseTokens: 300, codeTokens: 250 });
+      
+      expect(withCode.complexity).toBe(plain.complexity);
+      expect(withCode.totalModifier).toBe(plain.totalModifier);
+    });
+  });
+  
+  describe('Region Profiles', () => {
+    test('Default region reproduces the original water and PUE figures', () => {
+      const profile = getRegionProfile();
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400 });
+      
+      expect(profile.id).toBe('default');
+      expect(profile.pue).toBe(2.5);
+      expect(profile.waterUsageMlPerKWh).toBeCloseTo(WATER_USAGE_ML_PER_KWH, 6);
+      expect(result.realWorldWaterUsageMl).toBeCloseTo(result.realWorldKWh * WATER_USAGE_ML_PER_KWH, 10);
+    });
+    
+    test('Unknown regions fall back to the default profile', () => {
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, region: 'atlantis' });
+      
+      expect(result.region).toBe('default');
+    });
+    
+    test('Real-world energy uses the region PUE', () => {
+      const nordic = calculateEnergy("Explain gravity", 3, { responseTokens: 400, region: 'nordic' });
+      const expectedKWh = nordic.directKWh * getRegionProfile('nordic').pue * OVERHEAD_FACTORS.IDLE_LOAD_FACTOR *
+        OVERHEAD_FACTORS.NETWORK_OVERHEAD_FACTOR * OVERHEAD_FACTORS.AMORTIZED_TRAINING_FACTOR *
+        OVERHEAD_FACTORS.PRODUCTION_ENVIRONMENT_FACTOR;
+      
+      expect(nordic.pue).toBe(1.1);
+      expect(nordic.realWorldKWh).toBeCloseTo(expectedKWh, 10);
+    });
+    
+    test('Water is split into on-site cooling and off-site generation', () => {
+      const result = calculateEnergy("Explain gravity", 3, { responseTokens: 400, region: 'us-arizona' });
+      const profile = getRegionProfile('us-arizona');
+      
+      expect(result.realWorldOnSiteWaterMl).toBeCloseTo(result.realWorldKWh / profile.pue * profile.onSiteWueLPerKWh * 1000, 10);
+      expect(result.realWorldOffSiteWaterMl).toBeCloseTo(result.realWorldKWh * profile.offSiteWaterLPerKWh * 1000, 10);
+      expect(result.realWorldWaterUsageMl).toBeCloseTo(result.realWorldOnSiteWaterMl + result.realWorldOffSiteWaterMl, 10);
+    });
+    
+    test('Arizona uses more water than the Nordics for the same prompt', () => {
+      const arizona = calculateEnergy("Explain gravity", 3, { responseTokens: 400, region: 'us-arizona' });
+      const nordic = calculateEnergy("Explain gravity", 3, { responseTokens: 400, region: 'nordic' });
+      
+      expect(arizona.regionName).toMatch(/Arizona/);
+      expect(arizona.realWorldWaterUsageMl).toBeGreaterThan(nordic.realWorldWaterUsageMl * 5);
+    });
+  });
+  
+  describe('Estimation Coefficients', () => {
+    test('Defaults match the original overhead factors', () => {
+      expect(DEFAULT_COEFFICIENTS.IDLE_LOAD_FACTOR).toBe(OVERHEAD_FACTORS.IDLE_LOAD_FACTOR);
+      expect(DEFAULT_COEFFICIENTS.NETWORK_OVERHEAD_FACTOR).toBe(OVERHEAD_FACTORS.NETWORK_OVERHEAD_FACTOR);
+      expect(DEFAULT_COEFFICIENTS.AMORTIZED_TRAINING_FACTOR).toBe(OVERHEAD_FACTORS.AMORTIZED_TRAINING_FACTOR);
+      expect(DEFAULT_COEFFICIENTS.PRODUCTION_ENVIRONMENT_FACTOR).toBe(OVERHEAD_FACTORS.PRODUCTION_ENVIRONMENT_FACTOR);
+    });
+    
+    test('Invalid values are reported and replaced by defaults', () => {
+      const { coefficients, errors } = validateCoefficients({
+        IDLE_LOAD_FACTOR: '2',
+        NETWORK_OVERHEAD_FACTOR: 0.5,
+        COMPLEXITY_WEIGHT: 'lots',
+        BASE_INFERENCE_OVERHEAD: ''
+      });
+      
+      expect(coefficients.IDLE_LOAD_FACTOR).toBe(2);
+      expect(coefficients.NETWORK_OVERHEAD_FACTOR).toBe(DEFAULT_COEFFICIENTS.NETWORK_OVERHEAD_FACTOR);
+      expect(coefficients.COMPLEXITY_WEIGHT).toBe(DEFAULT_COEFFICIENTS.COMPLEXITY_WEIGHT);
+      expect(coefficients.BASE_INFERENCE_OVERHEAD).toBe(DEFAULT_COEFFICIENTS.BASE_INFERENCE_OVERHEAD);
+      expect(Object.keys(errors).sort()).toEqual(['COMPLEXITY_WEIGHT', 'NETWORK_OVERHEAD_FACTOR']);
+    });
+    
+    test('Deployment factors scale real-world energy', () => {
+      const defaults = calculateEnergy("Explain gravity", 3, { responseTokens: 400 });
+      const doubled = calculateEnergy("Explain gravity", 3, {
+        responseTokens: 400,
+        coefficients: { IDLE_LOAD_FACTOR: DEFAULT_COEFFICIENTS.IDLE_LOAD_FACTOR * 2 }
+      });
+      
+      expect(doubled.directKWh).toBe(defaults.directKWh);
+      expect(doubled.deploymentOverhead).toBeCloseTo(defaults.deploymentOverhead * 2, 10);
+      expect(doubled.realWorldKWh).toBeCloseTo(defaults.realWorldKWh * 2, 10);
+    });
+    
+    test('Prompt modifiers change the total modifier', () => {
+      const prompt = "Write a creative story about dragons";
+      const defaults = calculateEnergy(prompt, 7, { responseTokens: 400 });
+      const noOverhead = calculateEnergy(prompt, 7, {
+        responseTokens: 400,
+        coefficients: { BASE_INFERENCE_OVERHEAD: 0, MEDIUM_INFERENCE_OVERHEAD: 0, HIGH_INFERENCE_OVERHEAD: 0 }
+      });
+      
+      expect(noOverhead.inferenceOverhead).toBe(0);
+      expect(noOverhead.totalModifier).toBeCloseTo(defaults.totalModifier - defaults.inferenceOverhead, 10);
+    });
+  });
+  
+  describe('Attachments', () => {
+    test('Prompts without attachments are unchanged', () => {
+      const plain = calculateEnergy("Describe a sunset", 4, { responseTokens: 300 });
+      const empty = calculateEnergy("Describe a sunset", 4, { responseTokens: 300, attachments: [] });
+      
+      expect(empty.directKWh).toBe(plain.directKWh);
+      expect(plain.attachmentKWh).toBe(0);
+      expect(plain.inputImages).toBe(0);
+    });
+    
+    test('Images, documents and voice add their own energy', () => {
+      const plain = calculateEnergy("Summarize these", 3, { responseTokens: 300 });
+      const result = calculateEnergy("Summarize these", 3, {
+        responseTokens: 300,
+        attachments: [
+          { type: 'image', width: 1024, height: 768 },
+          { type: 'generatedImage' },
+          { type: 'document', bytes: 2048 },
+          { type: 'audio', seconds: 30 }
+        ]
+      });
+      const expected = DEFAULT_COEFFICIENTS.IMAGE_INPUT_KWH + DEFAULT_COEFFICIENTS.IMAGE_GENERATION_KWH +
+                       2 * DEFAULT_COEFFICIENTS.DOCUMENT_KWH_PER_KB + 30 * DEFAULT_COEFFICIENTS.AUDIO_KWH_PER_SECOND;
+      
+      expect(result.inputImages).toBe(1);
+      expect(result.generatedImages).toBe(1);
+      expect(result.documents).toBe(1);
+      expect(result.audioSeconds).toBe(30);
+      expect(result.attachmentKWh).toBeCloseTo(expected, 10);
+      expect(result.directKWh).toBeCloseTo(plain.directKWh + expected, 10);
+      expect(result.realWorldKWh).toBeGreaterThan(plain.realWorldKWh);
+    });
+    
+    test('Documents of unknown size use the default size', () => {
+      const result = calculateEnergy("Read this", 2, { attachments: [{ type: 'document' }] });
+      
+      expect(result.attachmentKWh).toBeCloseTo(DEFAULT_DOCUMENT_KB * DEFAULT_COEFFICIENTS.DOCUMENT_KWH_PER_KB, 10);
+    });
+    
+    test('Image-only prompts without text are estimated', () => {
+      const result = calculateEnergy("", 0, { attachments: [{ type: 'image' }] });
+      
+      expect(result.attachmentKWh).toBe(DEFAULT_COEFFICIENTS.IMAGE_INPUT_KWH);
+      expect(result.realWorldWaterUsageMl).toBeGreaterThan(0);
+    });
+    
+    test('Unknown attachment types are ignored', () => {
+      const result = calculateEnergy("Hello", 1, { attachments: [{ type: 'hologram' }, null] });
+      
+      expect(result.attachmentKWh).toBe(0);
+    });
+    
+    test('Attachment factors can be adjusted', () => {
+      const result = calculateEnergy("Draw a cat", 3, {
+        attachments: [{ type: 'generatedImage' }],
+        coefficients: { IMAGE_GENERATION_KWH: 0.01 }
+      });
+      
+      expect(result.attachmentKWh).toBe(0.01);
+    });
+  });
 });
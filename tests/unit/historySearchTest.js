@@ -0,0 +1,114 @@
+/**
+ * Unit tests for history search
+ * Tests the search, filters, sort orders and paging of the popup's Prompts tab
+ */
+
+import { HISTORY_SORT_ORDERS, DEFAULT_PAGE_SIZE, matchesQuery, getFilterOptions, searchHistory } from '../../historySearch.js';
+
+// An entry sent on the given day of May 2025 with its water and token figures
+function entry(id, day, prompt, extra = {}, energyData = {}) {
+  return {
+    id,
+    prompt,
+    timestamp: new Date(Date.UTC(2025, 4, day, 12)).toISOString(),
+    provider: 'chatgpt',
+    providerName: 'ChatGPT',
+    energyData: {
+      model: 'gpt-4o',
+      modelName: 'GPT-4o',
+      reasoningLevel: 1,
+      totalTokens: 100,
+      realWorldKWh: 0.001,
+      realWorldWaterUsageMl: 1,
+      ...energyData
+    },
+    ...extra
+  };
+}
+
+const history = [
+  entry('a', 1, 'Explain photosynthesis', {}, { totalTokens: 300, realWorldWaterUsageMl: 2 }),
+  entry('b', 2, 'Write a Python script', { code: 'import pandas' }, { reasoningLevel: 2, realWorldWaterUsageMl: 5 }),
+  entry('c', 3, 'Compare Python and Rust', { provider: 'claude', providerName: 'Claude' }, { model: 'claude-sonnet', modelName: 'Claude Sonnet', reasoningLevel: 3, totalTokens: 900 }),
+  entry('d', 4, 'Older entry without a provider', { provider: undefined, providerName: undefined })
+];
+
+describe('History Search Tests', () => {
+  describe('Filters', () => {
+    test('Every search word must appear in the prompt or its code, in any case', () => {
+      expect(matchesQuery(history[1], { text: 'PYTHON script' }, null)).toBe(true);
+      expect(matchesQuery(history[1], { text: 'pandas' }, null)).toBe(true);
+      expect(matchesQuery(history[1], { text: 'python rust' }, null)).toBe(false);
+      expect(matchesQuery(history[1], { text: '   ' }, null)).toBe(true);
+    });
+
+    test('Dates bound the search inclusively', () => {
+      const query = { from: history[1].timestamp, to: history[2].timestamp };
+
+      expect(history.filter(item => matchesQuery(item, query, null)).map(item => item.id)).toEqual(['b', 'c']);
+    });
+
+    test('Entries without a provider count as ChatGPT', () => {
+      const ids = history.filter(item => matchesQuery(item, { provider: 'chatgpt' }, null)).map(item => item.id);
+
+      expect(ids).toEqual(['a', 'b', 'd']);
+    });
+
+    test('Model and reasoning level filters', () => {
+      expect(history.filter(item => matchesQuery(item, { model: 'claude-sonnet' }, null)).map(item => item.id)).toEqual(['c']);
+      expect(history.filter(item => matchesQuery(item, { reasoningLevel: '2' }, null)).map(item => item.id)).toEqual(['b']);
+    });
+
+    test('The water threshold applies the deployment factors from the settings', () => {
+      const item = entry('e', 5, 'Hello', {}, { realWorldWaterUsageMl: 2, deploymentOverhead: 2 });
+      const coefficients = { IDLE_LOAD_FACTOR: 4, NETWORK_OVERHEAD_FACTOR: 1, AMORTIZED_TRAINING_FACTOR: 1, PRODUCTION_ENVIRONMENT_FACTOR: 1 };
+
+      expect(matchesQuery(item, { minWaterMl: 3 }, null)).toBe(false);
+      expect(matchesQuery(item, { minWaterMl: 3 }, coefficients)).toBe(true);
+      expect(matchesQuery({ ...item, energyData: null }, { minWaterMl: 1 }, null)).toBe(false);
+    });
+  });
+
+  describe('Filter Options', () => {
+    test('Sites and models found in the history are listed by name', () => {
+      const options = getFilterOptions(history);
+
+      expect(options.providers).toEqual([{ id: 'chatgpt', name: 'ChatGPT' }, { id: 'claude', name: 'Claude' }]);
+      expect(options.models).toEqual([{ id: 'claude-sonnet', name: 'Claude Sonnet' }, { id: 'gpt-4o', name: 'GPT-4o' }]);
+    });
+  });
+
+  describe('Sorting and Paging', () => {
+    const ids = result => result.entries.map(item => item.id);
+
+    test('Newest first by default', () => {
+      expect(ids(searchHistory(history))).toEqual(['d', 'c', 'b', 'a']);
+      expect(ids(searchHistory(history, { sort: HISTORY_SORT_ORDERS.OLDEST }))).toEqual(['a', 'b', 'c', 'd']);
+    });
+
+    test('Most water or most tokens first, newest first among equals', () => {
+      expect(ids(searchHistory(history, { sort: HISTORY_SORT_ORDERS.WATER }))).toEqual(['b', 'a', 'd', 'c']);
+      expect(ids(searchHistory(history, { sort: HISTORY_SORT_ORDERS.TOKENS }))).toEqual(['c', 'a', 'd', 'b']);
+    });
+
+    test('Only the requested page is returned, with the number of matches', () => {
+      const many = Array.from({ length: 120 }, (_, index) => entry(`e${index}`, 1 + (index % 28), `Prompt ${index}`));
+
+      const first = searchHistory(many);
+      expect(first.entries).toHaveLength(DEFAULT_PAGE_SIZE);
+      expect(first.total).toBe(120);
+
+      const last = searchHistory(many, { offset: 100, limit: 50 });
+      expect(last.entries).toHaveLength(20);
+      expect(last.offset).toBe(100);
+    });
+
+    test('Pages past the end return the last page', () => {
+      const result = searchHistory(history, { offset: 8, limit: 3 });
+
+      expect(result.offset).toBe(3);
+      expect(ids(result)).toEqual(['a']);
+      expect(searchHistory([], { offset: 50 }).offset).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+/**
+ * Unit tests for history statistics
+ * Tests the period aggregation and time series the background worker uses to answer the popup's statistics queries
+ */
+
+import {
+  TIME_SERIES_BUCKETS, getLocaleWeekStart, getBucketStart, getPeriodStartDate, getPeriodRange, getPreviousRange, getAdjustedEnergy, computeStats, computeTimeSeries,
+  computeCalendarHeatmap, computeHourWeekdayMatrix
+} from '../../historyStats.js';
+
+describe('History Statistics Tests', () => {
+  // Wednesday, May 14th 2025, 15:30 local time
+  const now = new Date(2025, 4, 14, 15, 30);
+  
+  const history = [
+    { timestamp: new Date(2025, 4, 14, 9, 0).toISOString(), prompt: 'Today', energyData: { totalTokens: 100, realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5 } },
+    { timestamp: new Date(2025, 4, 12, 9, 0).toISOString(), prompt: 'This week', energyData: { totalTokens: 200, realWorldKWh: 0.002, realWorldWaterUsageMl: 3 } },
+    { timestamp: new Date(2025, 4, 2, 9, 0).toISOString(), prompt: 'This month', energyData: { totalTokens: 300, realWorldKWh: 0.003, realWorldWaterUsageMl: 4.5 } },
+    { timestamp: new Date(2024, 11, 24, 9, 0).toISOString(), prompt: 'Last year', energyData: { totalTokens: 400, realWorldKWh: 0.004, realWorldWaterUsageMl: 6 } },
+    { timestamp: new Date(2025, 4, 14, 10, 0).toISOString(), prompt: 'No energy data' }
+  ];
+  
+  describe('Period Boundaries', () => {
+    test('Periods start at midnight, Sunday and the 1st', () => {
+      expect(getPeriodStartDate('today', now)).toEqual(new Date(2025, 4, 14));
+      expect(getPeriodStartDate('week', now)).toEqual(new Date(2025, 4, 11));
+      expect(getPeriodStartDate('month', now)).toEqual(new Date(2025, 4, 1));
+      expect(getPeriodStartDate('all', now)).toEqual(new Date(0));
+    });
+    
+    test('Rolling periods include today and start at midnight', () => {
+      expect(getPeriodStartDate('last7', now)).toEqual(new Date(2025, 4, 8));
+      expect(getPeriodStartDate('last30', now)).toEqual(new Date(2025, 3, 15));
+      expect(getPeriodStartDate('last90', now)).toEqual(new Date(2025, 1, 14));
+    });
+    
+    test('Weeks start on the day of the locale', () => {
+      expect(getLocaleWeekStart('en-US')).toBe(0);
+      expect(getLocaleWeekStart('de-DE')).toBe(1);
+      expect(getLocaleWeekStart('not a locale')).toBe(0);
+      expect(getPeriodStartDate('week', now, 1)).toEqual(new Date(2025, 4, 12));
+      expect(getPeriodStartDate('week', new Date(2025, 4, 11, 12), 1)).toEqual(new Date(2025, 4, 5));
+    });
+    
+    test('Custom periods use the chosen dates and end now at the latest', () => {
+      const from = new Date(2025, 4, 10).toISOString();
+      
+      expect(getPeriodRange('custom', now, { from, to: new Date(2025, 4, 12, 23, 59).toISOString() }))
+        .toEqual({ start: new Date(2025, 4, 10), end: new Date(2025, 4, 12, 23, 59) });
+      expect(getPeriodRange('custom', now, { from, to: new Date(2025, 4, 20).toISOString() }).end).toEqual(now);
+      expect(() => getPeriodRange('custom', now, { from })).toThrow();
+    });
+  });
+  
+  describe('Previous Period', () => {
+    test('Periods are compared with the one before, up to the same point', () => {
+      const range = period => getPreviousRange(period, getPeriodRange(period, now));
+      
+      expect(range('today')).toEqual({ start: new Date(2025, 4, 13), end: new Date(2025, 4, 13, 15, 30) });
+      expect(range('week')).toEqual({ start: new Date(2025, 4, 4), end: new Date(2025, 4, 7, 15, 30) });
+      expect(range('month')).toEqual({ start: new Date(2025, 3, 1), end: new Date(2025, 3, 14, 15, 30) });
+      expect(range('last7')).toEqual({ start: new Date(2025, 4, 1), end: new Date(2025, 4, 7, 15, 30) });
+      expect(range('all')).toBeNull();
+    });
+    
+    test('Custom periods are compared with as many days just before', () => {
+      const range = { start: new Date(2025, 4, 10), end: new Date(2025, 4, 12, 23, 59, 59, 999) };
+      
+      expect(getPreviousRange('custom', range)).toEqual({ start: new Date(2025, 4, 7), end: new Date(2025, 4, 9, 23, 59, 59, 999) });
+    });
+    
+    test('A longer month is compared with all of a shorter one', () => {
+      const endOfMarch = new Date(2025, 2, 31, 12);
+      
+      expect(getPreviousRange('month', getPeriodRange('month', endOfMarch)))
+        .toEqual({ start: new Date(2025, 1, 1), end: new Date(new Date(2025, 2, 1).getTime() - 1) });
+    });
+    
+    test('Statistics include the previous period\'s totals', () => {
+      const withLastWeek = [
+        ...history,
+        { timestamp: new Date(2025, 4, 6, 9, 0).toISOString(), energyData: { totalTokens: 50, realWorldKWh: 0.001, realWorldWaterUsageMl: 2 } },
+        { timestamp: new Date(2025, 4, 8, 9, 0).toISOString(), energyData: { totalTokens: 50, realWorldKWh: 0.001, realWorldWaterUsageMl: 2 } }
+      ];
+      
+      const week = computeStats(withLastWeek, 'week', null, now);
+      
+      expect(week.previous.totalPrompts).toBe(1);
+      expect(week.previous.totalWaterMl).toBeCloseTo(2, 10);
+      expect(week.previous.startDate).toBe(new Date(2025, 4, 4).toISOString());
+      expect(computeStats(withLastWeek, 'all', null, now).previous).toBeNull();
+    });
+  });
+  
+  describe('Aggregation', () => {
+    test('Totals include only prompts in the period', () => {
+      const today = computeStats(history, 'today', null, now);
+      const week = computeStats(history, 'week', null, now);
+      const all = computeStats(history, 'all', null, now);
+      
+      expect(today.totalPrompts).toBe(2);
+      expect(today.totalTokens).toBe(100);
+      expect(week.totalPrompts).toBe(3);
+      expect(week.totalWaterMl).toBeCloseTo(4.5, 10);
+      expect(all.totalPrompts).toBe(5);
+      expect(all.totalEnergyKwh).toBeCloseTo(0.01, 10);
+    });
+    
+    test('Period bounds are returned as ISO strings for messaging', () => {
+      const stats = computeStats(history, 'month', null, now);
+      
+      expect(stats.period).toBe('month');
+      expect(stats.startDate).toBe(new Date(2025, 4, 1).toISOString());
+      expect(stats.endDate).toBe(now.toISOString());
+    });
+  });
+  
+  describe('Time Series', () => {
+    test('Days start at midnight and weeks on Sunday', () => {
+      expect(getBucketStart(now, TIME_SERIES_BUCKETS.DAY)).toEqual(new Date(2025, 4, 14));
+      expect(getBucketStart(now, TIME_SERIES_BUCKETS.WEEK)).toEqual(new Date(2025, 4, 11));
+    });
+    
+    test('Daily buckets end with today and include empty days', () => {
+      const series = computeTimeSeries(history, TIME_SERIES_BUCKETS.DAY, 14, null, now);
+      
+      expect(series.bucket).toBe('day');
+      expect(series.buckets).toHaveLength(14);
+      expect(series.buckets[0].start).toBe(new Date(2025, 4, 1).toISOString());
+      expect(series.buckets[13].start).toBe(new Date(2025, 4, 14).toISOString());
+      expect(series.buckets[13].end).toBe(new Date(2025, 4, 15).toISOString());
+      
+      const today = series.buckets[13];
+      expect(today.prompts).toBe(2);
+      expect(today.tokens).toBe(100);
+      expect(today.waterMl).toBeCloseTo(1.5, 10);
+      expect(series.buckets[11].waterMl).toBeCloseTo(3, 10);
+      expect(series.buckets[1].energyKwh).toBeCloseTo(0.003, 10);
+      expect(series.buckets[5].prompts).toBe(0);
+    });
+    
+    test('Weekly buckets start on the given first day of the week', () => {
+      const series = computeTimeSeries(history, TIME_SERIES_BUCKETS.WEEK, 1, null, now, 1);
+      
+      expect(series.buckets[0].start).toBe(new Date(2025, 4, 12).toISOString());
+      expect(series.buckets[0].prompts).toBe(3);
+    });
+    
+    test('Weekly buckets add up each week from Sunday', () => {
+      const series = computeTimeSeries(history, TIME_SERIES_BUCKETS.WEEK, 3, null, now);
+      
+      expect(series.buckets.map(bucket => bucket.start)).toEqual([
+        new Date(2025, 3, 27).toISOString(),
+        new Date(2025, 4, 4).toISOString(),
+        new Date(2025, 4, 11).toISOString()
+      ]);
+      expect(series.buckets.map(bucket => bucket.prompts)).toEqual([1, 0, 3]);
+      expect(series.buckets[2].waterMl).toBeCloseTo(4.5, 10);
+    });
+    
+    test('Deployment factors from the settings are applied', () => {
+      const adjusted = [{ timestamp: now.toISOString(), energyData: { realWorldKWh: 0.001, realWorldWaterUsageMl: 2, deploymentOverhead: 2 } }];
+      const coefficients = { IDLE_LOAD_FACTOR: 4, NETWORK_OVERHEAD_FACTOR: 1, AMORTIZED_TRAINING_FACTOR: 1, PRODUCTION_ENVIRONMENT_FACTOR: 1 };
+      
+      const series = computeTimeSeries(adjusted, TIME_SERIES_BUCKETS.DAY, 1, coefficients, now);
+      
+      expect(series.buckets[0].waterMl).toBeCloseTo(4, 10);
+    });
+  });
+  
+  describe('Heatmaps', () => {
+    test('The calendar starts with a whole week and ends today', () => {
+      const heatmap = computeCalendarHeatmap(history, 2, null, now, 1);
+      
+      expect(heatmap.weekStart).toBe(1);
+      expect(heatmap.days).toHaveLength(10);
+      expect(heatmap.days[0].start).toBe(new Date(2025, 4, 5).toISOString());
+      expect(heatmap.days[9].start).toBe(new Date(2025, 4, 14).toISOString());
+      expect(heatmap.days[9].prompts).toBe(2);
+      expect(heatmap.days[7].waterMl).toBeCloseTo(3, 10);
+    });
+    
+    test('Prompts are counted by weekday and local hour', () => {
+      const matrix = computeHourWeekdayMatrix(history, null);
+      
+      expect(matrix.cells).toHaveLength(7);
+      expect(matrix.cells[3]).toHaveLength(24);
+      expect(matrix.cells[3][9]).toEqual({ prompts: 1, waterMl: 1.5 });
+      expect(matrix.cells[3][10]).toEqual({ prompts: 1, waterMl: 0 });
+      expect(matrix.cells[1][9].prompts).toBe(1);
+    });
+    
+    test('Prompts before the start of the range are left out', () => {
+      const matrix = computeHourWeekdayMatrix(history, null, new Date(2025, 4, 13));
+      
+      expect(matrix.cells.flat().reduce((total, cell) => total + cell.prompts, 0)).toBe(2);
+    });
+  });
+  
+  describe('Deployment Factor Adjustment', () => {
+    const coefficients = {
+      IDLE_LOAD_FACTOR: 3.4,
+      NETWORK_OVERHEAD_FACTOR: 1.15,
+      AMORTIZED_TRAINING_FACTOR: 1.2,
+      PRODUCTION_ENVIRONMENT_FACTOR: 1.3
+    };
+    const recordedOverhead = 1.7 * 1.15 * 1.2 * 1.3;
+    
+    test('Saved factors rescale prompts that recorded theirs', () => {
+      const adjusted = getAdjustedEnergy({ realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5, deploymentOverhead: recordedOverhead }, coefficients);
+      
+      expect(adjusted.realWorldKWh).toBeCloseTo(0.002, 10);
+      expect(adjusted.realWorldWaterUsageMl).toBeCloseTo(3, 10);
+    });
+    
+    test('Older prompts and unset factors keep their figures', () => {
+      expect(getAdjustedEnergy({ realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5 }, coefficients))
+        .toEqual({ realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5 });
+      expect(getAdjustedEnergy({ realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5, deploymentOverhead: recordedOverhead }, null))
+        .toEqual({ realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5 });
+    });
+  });
+});
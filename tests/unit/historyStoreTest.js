@@ -0,0 +1,107 @@
+/**
+ * Unit tests for the conversation history store
+ * Tests the one-time migration of localStorage history into the extension's IndexedDB store,
+ * and redacting the text of stored entries
+ */
+
+import { prepareLegacyEntries, redactEntry } from '../../historyStore.js';
+
+describe('History Store Tests', () => {
+  
+  describe('Legacy localStorage Migration', () => {
+    const legacyHistory = [
+      {
+        timestamp: '2025-05-01T10:00:00.000Z',
+        prompt: 'What is the capital of France?',
+        energyData: { totalTokens: 100, realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5 }
+      },
+      {
+        timestamp: '2025-05-01T10:05:00.000Z',
+        prompt: 'Thanks!',
+        energyData: { totalTokens: 20, realWorldKWh: 0.0002, realWorldWaterUsageMl: 0.3 }
+      }
+    ];
+    
+    test('Entries get ids derived from the site and position', () => {
+      const entries = prepareLegacyEntries(legacyHistory, 'chatgpt.com');
+      
+      expect(entries.map(entry => entry.id)).toEqual(['legacy-chatgpt.com-0', 'legacy-chatgpt.com-1']);
+      expect(entries[0].source).toBe('chatgpt.com');
+      expect(entries[0].prompt).toBe('What is the capital of France?');
+      expect(entries[0].energyData).toEqual(legacyHistory[0].energyData);
+    });
+    
+    test('Importing the same data twice produces the same ids', () => {
+      const first = prepareLegacyEntries(legacyHistory, 'chat.openai.com');
+      const second = prepareLegacyEntries(legacyHistory, 'chat.openai.com');
+      
+      expect(second.map(entry => entry.id)).toEqual(first.map(entry => entry.id));
+    });
+    
+    test('Histories from both ChatGPT domains do not collide', () => {
+      const openai = prepareLegacyEntries(legacyHistory, 'chat.openai.com');
+      const chatgpt = prepareLegacyEntries(legacyHistory, 'chatgpt.com');
+      const ids = new Set([...openai, ...chatgpt].map(entry => entry.id));
+      
+      expect(ids.size).toBe(4);
+    });
+    
+    test('Existing ids are kept', () => {
+      const entries = prepareLegacyEntries([{ ...legacyHistory[0], id: 'abc' }], 'chatgpt.com');
+      
+      expect(entries[0].id).toBe('abc');
+    });
+    
+    test('Malformed data is skipped', () => {
+      expect(prepareLegacyEntries(null, 'chatgpt.com')).toEqual([]);
+      expect(prepareLegacyEntries({ prompt: 'not an array' }, 'chatgpt.com')).toEqual([]);
+      
+      const entries = prepareLegacyEntries([null, { prompt: 'No timestamp' }, legacyHistory[1]], 'chatgpt.com');
+      expect(entries).toHaveLength(1);
+      expect(entries[0].id).toBe('legacy-chatgpt.com-2');
+    });
+  });
+  
+  describe('Redaction', () => {
+    const entry = {
+      id: 'msg-1',
+      messageId: 'msg-1',
+      conversationId: 'chat-1',
+      conversationTitle: 'Storing my API key',
+      timestamp: '2025-05-01T10:00:00.000Z',
+      prompt: 'My API key is sk-123',
+      code: 'const key = "sk-123";',
+      energyData: { promptTokens: 20, codeTokens: 8, totalTokens: 300, realWorldKWh: 0.001, realWorldWaterUsageMl: 1.5 }
+    };
+    const hashes = { promptHash: 'sha256:aaaa', codeHash: 'sha256:bbbb' };
+    
+    test('Text and code are replaced with their hashes', () => {
+      const redacted = redactEntry(entry, hashes);
+      
+      expect(redacted.prompt).toBe('');
+      expect(redacted.code).toBe('');
+      expect(redacted.redacted).toBe(true);
+      expect(redacted.promptHash).toBe('sha256:aaaa');
+      expect(redacted.codeHash).toBe('sha256:bbbb');
+      expect(JSON.stringify(redacted)).not.toContain('sk-123');
+    });
+    
+    test('The conversation title, often named after the prompt, is cleared', () => {
+      const redacted = redactEntry(entry, hashes);
+      
+      expect(redacted.conversationTitle).toBeNull();
+      expect(JSON.stringify(redacted)).not.toContain('API key');
+    });
+    
+    test('Figures and identity are kept', () => {
+      const redacted = redactEntry(entry, { promptHash: 'sha256:aaaa', codeHash: null });
+      
+      expect(redacted.energyData).toEqual(entry.energyData);
+      expect(redacted.id).toBe('msg-1');
+      expect(redacted.conversationId).toBe('chat-1');
+      expect(redacted.timestamp).toBe(entry.timestamp);
+      expect(redacted.codeHash).toBeNull();
+      expect(entry.prompt).toBe('My API key is sk-123'); // The original object is left alone
+    });
+  });
+});
@@ -3,12 +3,7 @@
  * Tests the token estimation functionality for different types of prompts
  */
 
-import { estimateResponseTokens } from '../../How-Wet-is-AI--1/tokenEstimator.js';
-
-// Mock the encoding_for_model function if needed
-jest.mock('@dqbd/tiktoken', () => ({
-  encoding_for_model: jest.fn()
-}));
+import { estimateResponseTokens } from '../../estimator/tokenEstimator.js';
 
 describe('Token Estimator Tests', () => {
   